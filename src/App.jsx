@@ -1,13 +1,17 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
 import { Provider } from 'react-redux';
 import { PersistGate } from 'redux-persist/integration/react';
-import { store, persistor } from './store/store';
-import { Layout, Tabs } from 'antd';
+import { store, startPersistence } from './store/store';
+import { onStorageError } from './store/idbStorage';
+import { Layout, Tabs, message } from 'antd';
 import { useSelector, useDispatch } from 'react-redux';
 import { setActiveTab } from './store/candidatesSlice';
 import IntervieweeTab from './components/IntervieweeTab';
 import InterviewerTab from './components/InterviewerTab';
 import CandidateDetailView from './components/CandidateDetailView';
+import CandidateComparison from './components/CandidateComparison';
+import UnlockScreen from './components/UnlockScreen';
+import Encryption from './utils/encryption';
 import './App.css';
 
 // Add timer animations
@@ -44,6 +48,11 @@ const AppContent = () => {
   
   const currentCandidate = candidates.find(c => c.id === currentCandidateId);
   
+  // Surface failed saves instead of losing data silently
+  useEffect(() => onStorageError(() => {
+    message.error({ key: 'storage-error', content: 'Could not save your data in this browser. Free up storage space and try again.' });
+  }), []);
+  
   // Handle tab change
   const onTabChange = (key) => {
     dispatch(setActiveTab(key));
@@ -55,6 +64,9 @@ const AppContent = () => {
     if (viewMode === 'details' && currentCandidateId && currentCandidate) {
       return <CandidateDetailView />;
     }
+    if (viewMode === 'compare') {
+      return <CandidateComparison />;
+    }
 
     return (
       <Tabs
@@ -107,6 +119,16 @@ const AppContent = () => {
 };
 
 function App() {
+  // With encrypted storage nothing is loaded until the passphrase is entered
+  const [persistor, setPersistor] = useState(() => (Encryption.isLocked() ? null : startPersistence()));
+  
+  // Encryption was turned on or off in another tab; start over to pick it up
+  useEffect(() => Encryption.onConfigChange(() => window.location.reload()), []);
+  
+  if (!persistor) {
+    return <UnlockScreen onUnlock={() => setPersistor(startPersistence())} />;
+  }
+  
   return (
     <Provider store={store}>
       <PersistGate loading={null} persistor={persistor}>
@@ -0,0 +1,202 @@
+import React, { useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { Card, List, Button, Switch, Tag, Typography, Space, Form, Input, InputNumber, AutoComplete, message } from 'antd';
+import { ArrowUpOutlined, ArrowDownOutlined, ApiOutlined, CloudServerOutlined, SyncOutlined, BranchesOutlined } from '@ant-design/icons';
+import { setProviderOrder, setLocalLLMConfig, setInterviewSettings } from '../store/settingsSlice';
+import { listProviders, getDefaultProviderOrder } from '../utils/aiService';
+import LocalLLMAPI from '../utils/localLLMAPI';
+
+const { Title, Text } = Typography;
+
+const AISettingsPanel = () => {
+  const dispatch = useDispatch();
+  const aiSettings = useSelector(state => state.settings.ai);
+  const interviewSettings = useSelector(state => state.settings.interview);
+  const { providerOrder, local } = aiSettings;
+  const providers = listProviders();
+  const [models, setModels] = useState([]);
+  const [discovering, setDiscovering] = useState(false);
+
+  // Enabled providers keep their chain order, disabled ones are listed after them
+  const enabled = providerOrder.filter(id => providers.some(p => p.id === id));
+  const disabled = providers.map(p => p.id).filter(id => !enabled.includes(id));
+  const rows = [...enabled, ...disabled].map(id => providers.find(p => p.id === id));
+
+  const toggleProvider = (id, checked) => {
+    const next = checked ? [...enabled, id] : enabled.filter(p => p !== id);
+    dispatch(setProviderOrder(next));
+  };
+
+  const moveProvider = (id, delta) => {
+    const index = enabled.indexOf(id);
+    const target = index + delta;
+    if (index === -1 || target < 0 || target >= enabled.length) return;
+    const next = [...enabled];
+    [next[index], next[target]] = [next[target], next[index]];
+    dispatch(setProviderOrder(next));
+  };
+
+  const discoverModels = async () => {
+    setDiscovering(true);
+    try {
+      const found = await LocalLLMAPI.listModels(local);
+      setModels(found);
+      if (found.length === 0) {
+        message.warning('The server did not report any models.');
+      } else {
+        message.success(`Found ${found.length} model${found.length === 1 ? '' : 's'}`);
+        if (!local.model) dispatch(setLocalLLMConfig({ model: found[0] }));
+      }
+    } catch (error) {
+      console.error('Error discovering local models:', error);
+      message.error(`Failed to reach local server: ${error.message}`);
+    } finally {
+      setDiscovering(false);
+    }
+  };
+
+  return (
+    <Space direction="vertical" size="large" style={{ width: '100%' }}>
+      <Card>
+        <Title level={4} style={{ marginTop: 0 }}>
+          <ApiOutlined style={{ marginRight: '0.5rem' }} />
+          AI Providers
+        </Title>
+        <Text type="secondary" style={{ display: 'block', marginBottom: '1rem' }}>
+          Enabled providers are tried from top to bottom. If one fails or is not configured, the next one is used.
+        </Text>
+        <List
+          bordered
+          dataSource={rows}
+          renderItem={(provider) => {
+            const position = enabled.indexOf(provider.id);
+            const isEnabled = position !== -1;
+            const available = provider.isAvailable(aiSettings);
+            return (
+              <List.Item
+                key={provider.id}
+                actions={[
+                  <Button
+                    key="up"
+                    icon={<ArrowUpOutlined />}
+                    disabled={!isEnabled || position === 0}
+                    onClick={() => moveProvider(provider.id, -1)}
+                  />,
+                  <Button
+                    key="down"
+                    icon={<ArrowDownOutlined />}
+                    disabled={!isEnabled || position === enabled.length - 1}
+                    onClick={() => moveProvider(provider.id, 1)}
+                  />,
+                  <Switch
+                    key="enabled"
+                    checked={isEnabled}
+                    onChange={(checked) => toggleProvider(provider.id, checked)}
+                  />
+                ]}
+              >
+                <Space>
+                  <Text strong>{isEnabled ? `${position + 1}.` : '–'}</Text>
+                  <Text>{provider.label}</Text>
+                  {available
+                    ? <Tag color="success">Configured</Tag>
+                    : <Tag color="default">Not configured</Tag>}
+                </Space>
+              </List.Item>
+            );
+          }}
+        />
+        <Button
+          style={{ marginTop: '1rem' }}
+          onClick={() => dispatch(setProviderOrder(getDefaultProviderOrder()))}
+        >
+          Reset to Default Order
+        </Button>
+      </Card>
+
+      <Card>
+        <Title level={4} style={{ marginTop: 0 }}>
+          <CloudServerOutlined style={{ marginRight: '0.5rem' }} />
+          Local Model Server
+        </Title>
+        <Text type="secondary" style={{ display: 'block', marginBottom: '1rem' }}>
+          Any server that speaks the OpenAI chat-completions protocol, such as Ollama, llama.cpp or LM Studio.
+          Requests go straight from this browser to the server, so answers never leave your network.
+        </Text>
+        <Form layout="vertical" style={{ maxWidth: '600px' }}>
+          <Form.Item label="Base URL" extra="For example http://localhost:11434/v1 (Ollama) or http://localhost:1234/v1 (LM Studio)">
+            <Input
+              value={local.baseUrl}
+              placeholder="http://localhost:11434/v1"
+              onChange={(e) => dispatch(setLocalLLMConfig({ baseUrl: e.target.value }))}
+            />
+          </Form.Item>
+          <Form.Item label="Model">
+            <Space.Compact style={{ width: '100%' }}>
+              <AutoComplete
+                value={local.model}
+                options={models.map(id => ({ value: id }))}
+                placeholder="llama3.1:8b"
+                onChange={(value) => dispatch(setLocalLLMConfig({ model: value }))}
+                style={{ width: '100%' }}
+              />
+              <Button
+                icon={<SyncOutlined />}
+                loading={discovering}
+                disabled={!local.baseUrl}
+                onClick={discoverModels}
+              >
+                Discover Models
+              </Button>
+            </Space.Compact>
+          </Form.Item>
+          <Form.Item label="API Key (optional)">
+            <Input.Password
+              value={local.apiKey}
+              placeholder="Only if your server requires one"
+              onChange={(e) => dispatch(setLocalLLMConfig({ apiKey: e.target.value }))}
+            />
+          </Form.Item>
+        </Form>
+      </Card>
+
+      <Card>
+        <Title level={4} style={{ marginTop: 0 }}>
+          <BranchesOutlined style={{ marginRight: '0.5rem' }} />
+          Adaptive Interview
+        </Title>
+        <Text type="secondary" style={{ display: 'block', marginBottom: '1rem' }}>
+          After each answer the AI may ask a follow-up that probes a vague or incorrect part of it.
+          Follow-ups are asked right away and shown under their original question.
+          With adaptive difficulty, the interview starts at Medium and moves up after strong answers
+          and down after weak ones; the final score weights answers by the level they were asked at.
+        </Text>
+        <Form layout="vertical" style={{ maxWidth: '600px' }}>
+          <Form.Item label="Adaptive difficulty">
+            <Switch
+              checked={interviewSettings.adaptiveDifficulty}
+              onChange={(checked) => dispatch(setInterviewSettings({ adaptiveDifficulty: checked }))}
+            />
+          </Form.Item>
+          <Form.Item label="Follow-up questions">
+            <Switch
+              checked={interviewSettings.adaptiveFollowUps}
+              onChange={(checked) => dispatch(setInterviewSettings({ adaptiveFollowUps: checked }))}
+            />
+          </Form.Item>
+          <Form.Item label="Maximum follow-ups per question">
+            <InputNumber
+              min={1}
+              max={3}
+              value={interviewSettings.maxFollowUpsPerQuestion}
+              disabled={!interviewSettings.adaptiveFollowUps}
+              onChange={(value) => dispatch(setInterviewSettings({ maxFollowUpsPerQuestion: value || 1 }))}
+            />
+          </Form.Item>
+        </Form>
+      </Card>
+    </Space>
+  );
+};
+
+export default AISettingsPanel;
@@ -0,0 +1,174 @@
+import React from 'react';
+import { Typography, Tag, Collapse, Space, Progress, Tooltip } from 'antd';
+import { WarningOutlined, CheckOutlined, CloseOutlined } from '@ant-design/icons';
+import { getRubricForQuestion, getLevelDescription } from '../utils/rubrics';
+
+const { Text } = Typography;
+
+const scoreColor = (score) => (score >= 8 ? '#059669' : score >= 6 ? '#d97706' : '#b91c1c');
+
+// Per-criterion scores against the question's rubric, so a total can be traced to its parts
+const RubricBreakdown = ({ criteria, rubric }) => {
+  const byName = new Map(criteria.map(c => [c.name, c]));
+  // Rubric criteria first in rubric order, then anything extra the model scored
+  const rows = [
+    ...rubric.criteria.map(def => ({ def, result: byName.get(def.id) })),
+    ...criteria
+      .filter(c => !rubric.criteria.some(def => def.id === c.name))
+      .map(c => ({ def: { id: c.name, label: c.name }, result: c }))
+  ];
+
+  return (
+    <div style={{ marginBottom: '0.5rem' }}>
+      <Text strong>Rubric breakdown</Text>
+      {rows.map(({ def, result }) => {
+        const score = result?.score;
+        const scored = typeof score === 'number';
+        return (
+          <div key={def.id} style={{ marginTop: '0.5rem' }}>
+            <Space wrap>
+              <Text>{def.label}</Text>
+              {typeof def.weight === 'number' && (
+                <Text type="secondary">weight {Math.round(def.weight * 100)}%</Text>
+              )}
+              {scored && def.levels && <Tag>{getLevelDescription(def, score)}</Tag>}
+            </Space>
+            {scored ? (
+              <Tooltip title={`${score}/10`}>
+                <Progress
+                  percent={score * 10}
+                  showInfo={false}
+                  size="small"
+                  strokeColor={scoreColor(score)}
+                />
+              </Tooltip>
+            ) : (
+              <div><Text type="secondary">Not scored</Text></div>
+            )}
+            {result?.comment && <Text type="secondary" style={{ fontSize: '0.85rem' }}>{result.comment}</Text>}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+// Hidden and example test results for a coding answer
+const TestResults = ({ tests, reviewScore }) => (
+  <div style={{ marginBottom: '0.5rem' }}>
+    <Space wrap>
+      <Text strong>Tests: {tests.passed}/{tests.total} passed</Text>
+      <Text type="secondary">test score {tests.score}/10</Text>
+      {typeof reviewScore === 'number' && <Text type="secondary">code review {reviewScore}/10</Text>}
+      {tests.timedOut && <Tag color="error">Time limit exceeded</Tag>}
+    </Space>
+    {tests.results.map(r => (
+      <div key={r.index}>
+        <Tag color={r.passed ? 'success' : 'error'}>{r.passed ? 'Pass' : 'Fail'}</Tag>
+        <Text>{r.name}</Text>
+        {r.hidden && <Text type="secondary"> (hidden)</Text>}
+        {r.error && <Text type="danger" style={{ fontSize: '0.85rem' }}> – {r.error}</Text>}
+      </div>
+    ))}
+  </div>
+);
+
+// Every option of a choice question with what was picked and what was right
+const ChoiceResult = ({ question, selected }) => (
+  <div style={{ marginBottom: '0.5rem' }}>
+    <Text strong>Options</Text>
+    {question.options.map(option => {
+      const picked = selected.includes(option.id);
+      const correct = question.correctOptions.includes(option.id);
+      return (
+        <div key={option.id}>
+          {picked
+            ? (correct ? <CheckOutlined style={{ color: '#059669' }} /> : <CloseOutlined style={{ color: '#b91c1c' }} />)
+            : <span style={{ display: 'inline-block', width: 14 }} />}
+          <Text style={{ marginLeft: '0.5rem' }} strong={correct}>{option.text}</Text>
+          {correct && <Text type="secondary"> (correct)</Text>}
+        </div>
+      );
+    })}
+  </div>
+);
+
+// Structured evaluation details for one answer, plus the raw model output for debugging
+const AnswerEvaluation = ({ answer, question }) => {
+  const evaluation = answer.evaluation;
+
+  if (answer.score === null && answer.evaluationError) {
+    const rawResponses = evaluation?.rawResponses || [];
+    return (
+      <div style={{ marginTop: '0.5rem' }}>
+        <Tag icon={<WarningOutlined />} color="warning">Not evaluated</Tag>
+        <Text type="secondary">{answer.evaluationError}</Text>
+        {rawResponses.length > 0 && (
+          <Collapse
+            size="small"
+            style={{ marginTop: '0.5rem' }}
+            items={[{
+              key: 'raw',
+              label: `Raw responses (${rawResponses.length})`,
+              children: rawResponses.map((raw, i) => (
+                <pre key={i} style={{ whiteSpace: 'pre-wrap', fontSize: '0.8rem' }}>{raw}</pre>
+              ))
+            }]}
+          />
+        )}
+      </div>
+    );
+  }
+
+  if (!evaluation) return null;
+
+  return (
+    <div style={{ marginTop: '0.5rem' }}>
+      {question?.options && evaluation.selectedOptions && (
+        <ChoiceResult question={question} selected={evaluation.selectedOptions} />
+      )}
+      {answer.tests && <TestResults tests={answer.tests} reviewScore={evaluation.reviewScore} />}
+      {answer.tests && answer.evaluationError && (
+        <div><Tag icon={<WarningOutlined />} color="warning">Code not reviewed</Tag><Text type="secondary">{answer.evaluationError}</Text></div>
+      )}
+      {evaluation.criteria?.length > 0 && (
+        <RubricBreakdown criteria={evaluation.criteria} rubric={getRubricForQuestion(question)} />
+      )}
+      {evaluation.strengths?.length > 0 && (
+        <div>
+          <Text strong>Strengths: </Text>
+          {evaluation.strengths.map(s => <Tag key={s} color="green">{s}</Tag>)}
+        </div>
+      )}
+      {evaluation.gaps?.length > 0 && (
+        <div style={{ marginTop: '0.25rem' }}>
+          <Text strong>Gaps: </Text>
+          {evaluation.gaps.map(g => <Tag key={g} color="volcano">{g}</Tag>)}
+        </div>
+      )}
+      <Space style={{ marginTop: '0.5rem' }} wrap>
+        {typeof evaluation.confidence === 'number' && (
+          <Text type="secondary">Confidence: {Math.round(evaluation.confidence * 100)}%</Text>
+        )}
+        {typeof evaluation.modelScore === 'number' && evaluation.modelScore !== (evaluation.reviewScore ?? answer.score) && (
+          <Text type="secondary">Model's overall score: {evaluation.modelScore}/10</Text>
+        )}
+        {evaluation.repaired && <Tag color="gold">Output repaired</Tag>}
+        {evaluation.attempts > 1 && <Tag color="gold">Re-asked {evaluation.attempts - 1}x</Tag>}
+      </Space>
+      {evaluation.raw && (
+        <Collapse
+          size="small"
+          style={{ marginTop: '0.5rem' }}
+          items={[{
+            key: 'raw',
+            label: 'Raw model response',
+            children: <pre style={{ whiteSpace: 'pre-wrap', fontSize: '0.8rem' }}>{evaluation.raw}</pre>
+          }]}
+        />
+      )}
+    </div>
+  );
+};
+
+export default AnswerEvaluation;
@@ -0,0 +1,110 @@
+import React from 'react';
+import { Card, Table, Tag, Button, Typography } from 'antd';
+import { HistoryOutlined } from '@ant-design/icons';
+import { summarizeAttempt } from '../utils/interviewAttempts';
+
+const { Title, Text } = Typography;
+
+const STATUS_LABELS = {
+  not_started: 'Not Started',
+  in_progress: 'In Progress',
+  completed: 'Completed'
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+// Side-by-side numbers for every attempt; picking one shows its questions and
+// answers in the detail view
+const AttemptHistory = ({ attempts, selectedNumber, onSelect }) => {
+  const rows = attempts.map((attempt, idx) => ({
+    ...attempt,
+    ...summarizeAttempt(attempt),
+    previousScore: idx > 0 ? attempts[idx - 1].score : null
+  }));
+
+  const columns = [
+    {
+      title: 'Attempt',
+      key: 'number',
+      render: (_, row) => (
+        <>
+          <Text strong>#{row.number}</Text>
+          {row.current && <Tag color="blue" style={{ marginLeft: '0.5rem' }}>Current</Tag>}
+        </>
+      )
+    },
+    {
+      title: 'Status',
+      dataIndex: 'interviewStatus',
+      key: 'status',
+      render: (status) => STATUS_LABELS[status] || status
+    },
+    {
+      title: 'Template',
+      key: 'template',
+      render: (_, row) => row.template?.name || '—'
+    },
+    {
+      title: 'Started',
+      dataIndex: 'startedAt',
+      key: 'startedAt',
+      render: formatDate
+    },
+    {
+      title: 'Completed',
+      dataIndex: 'completedAt',
+      key: 'completedAt',
+      render: formatDate
+    },
+    {
+      title: 'Answered',
+      key: 'answered',
+      render: (_, row) => `${row.answered}/${row.asked}`
+    },
+    {
+      title: 'Avg. answer',
+      dataIndex: 'averageAnswerScore',
+      key: 'averageAnswerScore',
+      render: (value) => (value === null ? '—' : `${value}/10`)
+    },
+    {
+      title: 'Final score',
+      key: 'score',
+      render: (_, row) => {
+        if (typeof row.score !== 'number') return '—';
+        const delta = typeof row.previousScore === 'number' ? row.score - row.previousScore : null;
+        return (
+          <>
+            <Text strong>{row.score}/100</Text>
+            {delta !== null && delta !== 0 && (
+              <Tag color={delta > 0 ? 'green' : 'red'} style={{ marginLeft: '0.5rem' }}>
+                {delta > 0 ? `+${delta}` : delta}
+              </Tag>
+            )}
+          </>
+        );
+      }
+    },
+    {
+      title: '',
+      key: 'view',
+      render: (_, row) => (
+        <Button size="small" disabled={row.number === selectedNumber} onClick={() => onSelect(row.number)}>
+          {row.number === selectedNumber ? 'Showing' : 'View'}
+        </Button>
+      )
+    }
+  ];
+
+  return (
+    <Card>
+      <Title level={4}>
+        <HistoryOutlined style={{ marginRight: '0.5rem' }} />
+        Attempts
+      </Title>
+      <Table rowKey="number" columns={columns} dataSource={rows} pagination={false} size="small" />
+    </Card>
+  );
+};
+
+export default AttemptHistory;
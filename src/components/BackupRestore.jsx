@@ -0,0 +1,194 @@
+import React, { useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { Card, Button, Typography, Upload, Modal, Radio, Space, Table, Alert, Descriptions, message } from 'antd';
+import { CloudDownloadOutlined, UploadOutlined } from '@ant-design/icons';
+import { restoreCandidates } from '../store/candidatesSlice';
+import { restoreTemplates } from '../store/templatesSlice';
+import { importQuestions } from '../store/questionBankSlice';
+import { restoreSettings } from '../store/settingsSlice';
+import { createBackup, parseBackup, findConflicts, planCandidateRestore, restoreFiles } from '../utils/backup';
+import BlobStore from '../utils/blobStore';
+import { downloadFile } from '../utils/download';
+
+const { Title, Text, Paragraph } = Typography;
+
+const BackupRestore = () => {
+  const dispatch = useDispatch();
+  const candidates = useSelector(state => state.candidates);
+  const settings = useSelector(state => state.settings);
+  const templates = useSelector(state => state.templates);
+  const questionBank = useSelector(state => state.questionBank);
+  const [creating, setCreating] = useState(false);
+  const [pending, setPending] = useState(null); // parsed backup waiting for confirmation, plus its filename
+  const [mode, setMode] = useState('merge');
+  const [onConflict, setOnConflict] = useState('keep');
+  const [restoring, setRestoring] = useState(false);
+
+  const downloadBackup = async () => {
+    setCreating(true);
+    try {
+      const text = await createBackup({ candidates, settings, templates, questionBank });
+      downloadFile(text, `interview-assistant-backup-${new Date().toISOString().slice(0, 10)}.json`, 'application/json');
+      message.success('Backup downloaded');
+    } catch (error) {
+      console.error('Error creating backup:', error);
+      message.error(`Failed to create backup: ${error.message}`);
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const readBackup = (file) => {
+    file.text()
+      .then(parseBackup)
+      .then(backup => {
+        setMode('merge');
+        setOnConflict('keep');
+        setPending({ ...backup, filename: file.name });
+      })
+      .catch(error => {
+        console.error('Error reading backup:', error);
+        message.error(`Could not restore ${file.name}: ${error.message}`);
+      });
+    return false; // handled locally, nothing to upload
+  };
+
+  const conflicts = pending ? findConflicts(pending.data.candidates, candidates.candidates) : [];
+
+  const confirmRestore = async () => {
+    const { data } = pending;
+    const plan = planCandidateRestore(data.candidates, candidates.candidates, { mode, onConflict });
+    setRestoring(true);
+    try {
+      const restored = await restoreFiles(plan.add, data.files);
+      dispatch(restoreCandidates({ candidates: restored, removeIds: plan.removeIds }));
+      dispatch(restoreTemplates({ ...data.templates, mode }));
+      dispatch(importQuestions({ questions: data.questionBank.questions, mode }));
+      if (mode === 'replace' && data.settings) {
+        dispatch(restoreSettings(data.settings));
+      }
+      // Resumes of the candidates that were replaced are no longer referenced,
+      // unless a candidate still points at one: a restored one whose file was
+      // missing from the backup, or one that was kept
+      const removed = new Set(plan.removeIds);
+      const referenced = new Set([...restored, ...candidates.candidates.filter(c => !removed.has(c.id))]
+        .map(c => c.resumeFile?.blobId).filter(Boolean));
+      await Promise.all(candidates.candidates
+        .filter(c => removed.has(c.id) && c.resumeFile?.blobId && !referenced.has(c.resumeFile.blobId))
+        .map(c => BlobStore.remove(c.resumeFile.blobId).catch(() => {})));
+      message.success(`Restored ${restored.length} candidate(s)${plan.skipped.length ? `, kept ${plan.skipped.length} existing` : ''}`);
+      setPending(null);
+    } catch (error) {
+      console.error('Error restoring backup:', error);
+      message.error(`Failed to restore backup: ${error.message}`);
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  const conflictColumns = [
+    {
+      title: 'In backup',
+      key: 'incoming',
+      render: (_, row) => <><Text strong>{row.incoming.name}</Text><br /><Text type="secondary">{row.incoming.email}</Text></>
+    },
+    {
+      title: 'Existing',
+      key: 'existing',
+      render: (_, row) => <><Text strong>{row.existing.name}</Text><br /><Text type="secondary">{row.existing.email}</Text></>
+    },
+    {
+      title: 'Same',
+      dataIndex: 'matchedOn',
+      key: 'matchedOn',
+      render: (value) => (value === 'id' ? 'Candidate ID' : 'Email')
+    }
+  ];
+
+  const counts = pending?.manifest.counts || {};
+
+  return (
+    <Card>
+      <Title level={4}>Backup &amp; restore</Title>
+      <Paragraph type="secondary">
+        Everything is stored in this browser only. A backup file holds every candidate with their attempts,
+        answers and resume files, plus templates, the question bank and settings (without API keys).
+      </Paragraph>
+      <Space>
+        <Button type="primary" icon={<CloudDownloadOutlined />} loading={creating} onClick={downloadBackup}>
+          Download backup
+        </Button>
+        <Upload accept=".json" showUploadList={false} beforeUpload={readBackup}>
+          <Button icon={<UploadOutlined />}>Restore from backup</Button>
+        </Upload>
+      </Space>
+
+      <Modal
+        title={`Restore ${pending?.filename || ''}`}
+        open={!!pending}
+        onOk={confirmRestore}
+        onCancel={() => setPending(null)}
+        okText={mode === 'replace' ? 'Replace all data' : 'Restore'}
+        okButtonProps={{ danger: mode === 'replace', loading: restoring }}
+        width={720}
+      >
+        {pending && (
+          <>
+            <Descriptions size="small" column={2} style={{ marginBottom: '1rem' }}>
+              <Descriptions.Item label="Created">{new Date(pending.manifest.createdAt).toLocaleString()}</Descriptions.Item>
+              <Descriptions.Item label="Checksum">Verified</Descriptions.Item>
+              <Descriptions.Item label="Candidates">{counts.candidates}</Descriptions.Item>
+              <Descriptions.Item label="Resume files">{counts.files}</Descriptions.Item>
+              <Descriptions.Item label="Templates">{counts.templates}</Descriptions.Item>
+              <Descriptions.Item label="Bank questions">{counts.questions}</Descriptions.Item>
+            </Descriptions>
+            {pending.invalid.length > 0 && (
+              <Alert
+                type="warning"
+                showIcon
+                style={{ marginBottom: '1rem' }}
+                message={`${pending.invalid.length} candidate record(s) in the backup are invalid and will be skipped`}
+              />
+            )}
+            <Radio.Group value={mode} onChange={(e) => setMode(e.target.value)} style={{ marginBottom: '1rem' }}>
+              <Space direction="vertical">
+                <Radio value="merge">Merge: add the backup to the current data</Radio>
+                <Radio value="replace">Replace: discard current candidates, templates, questions and settings</Radio>
+              </Space>
+            </Radio.Group>
+            {mode === 'merge' && conflicts.length > 0 && (
+              <>
+                <Paragraph strong>
+                  {conflicts.length} conflict(s) with existing candidates
+                </Paragraph>
+                <Table
+                  rowKey={(row) => `${row.incoming.id}-${row.existing.id}-${row.matchedOn}`}
+                  columns={conflictColumns}
+                  dataSource={conflicts}
+                  pagination={false}
+                  size="small"
+                  style={{ marginBottom: '1rem' }}
+                />
+                <Radio.Group value={onConflict} onChange={(e) => setOnConflict(e.target.value)}>
+                  <Space direction="vertical">
+                    <Radio value="keep">Keep the existing candidates</Radio>
+                    <Radio value="backup">Use the backup's candidates instead</Radio>
+                  </Space>
+                </Radio.Group>
+              </>
+            )}
+            {mode === 'replace' && (
+              <Alert
+                type="error"
+                showIcon
+                message={`All ${candidates.candidates.length} current candidate(s) will be removed.`}
+              />
+            )}
+          </>
+        )}
+      </Modal>
+    </Card>
+  );
+};
+
+export default BackupRestore;
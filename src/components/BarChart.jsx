@@ -0,0 +1,64 @@
+import React from 'react';
+import { Tooltip, Typography, Space } from 'antd';
+
+const { Text } = Typography;
+
+// Minimal vertical bar chart. `series` lists the values drawn side by side for
+// each item ({ key, label, color }); `data` items carry a `label` plus one
+// number (or null) per series key.
+const BarChart = ({ data, series, height = 180, formatValue = (v) => v, emptyText = 'No data yet' }) => {
+  const values = data.flatMap(item => series.map(s => item[s.key])).filter(v => typeof v === 'number');
+  const max = Math.max(...values, 0);
+
+  if (!data.length || max === 0) {
+    return <Text type="secondary">{emptyText}</Text>;
+  }
+
+  return (
+    <div>
+      <div style={{ display: 'flex', alignItems: 'flex-end', gap: '4px', height, borderBottom: '1px solid #e2e8f0' }}>
+        {data.map(item => (
+          <Tooltip
+            key={item.label}
+            title={series.map(s => `${s.label ? `${s.label}: ` : ''}${item[s.key] === null || item[s.key] === undefined ? '–' : formatValue(item[s.key])}`).join(', ')}
+          >
+            <div style={{ flex: 1, minWidth: 0, height: '100%', display: 'flex', alignItems: 'flex-end', justifyContent: 'center', gap: '2px' }}>
+              {series.map(s => (
+                <div
+                  key={s.key}
+                  style={{
+                    flex: 1,
+                    maxWidth: 48,
+                    height: `${((item[s.key] || 0) / max) * 100}%`,
+                    minHeight: item[s.key] ? 2 : 0,
+                    background: s.color,
+                    borderRadius: '3px 3px 0 0'
+                  }}
+                />
+              ))}
+            </div>
+          </Tooltip>
+        ))}
+      </div>
+      <div style={{ display: 'flex', gap: '4px', marginTop: '0.25rem' }}>
+        {data.map(item => (
+          <Text key={item.label} type="secondary" ellipsis style={{ flex: 1, minWidth: 0, textAlign: 'center', fontSize: '0.75rem' }}>
+            {item.label}
+          </Text>
+        ))}
+      </div>
+      {series.length > 1 && (
+        <Space style={{ marginTop: '0.5rem' }}>
+          {series.map(s => (
+            <Space key={s.key} size={4}>
+              <span style={{ display: 'inline-block', width: 10, height: 10, background: s.color, borderRadius: 2 }} />
+              <Text type="secondary">{s.label}</Text>
+            </Space>
+          ))}
+        </Space>
+      )}
+    </div>
+  );
+};
+
+export default BarChart;
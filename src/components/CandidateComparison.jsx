@@ -0,0 +1,183 @@
+import React from 'react';
+import { useSelector, useDispatch } from 'react-redux';
+import { Button, Card, Typography, Row, Col, Tag, Progress, Table, Space, Empty } from 'antd';
+import { ArrowLeftOutlined, UserOutlined } from '@ant-design/icons';
+import { setViewMode, setComparisonIds } from '../store/candidatesSlice';
+import { buildCandidateProfile } from '../utils/candidateProfile';
+import { getCandidateSkills } from '../utils/candidateFilters';
+import { getDifficultyScores, getRubricAverages, alignQuestions } from '../utils/candidateComparison';
+
+const { Title, Text, Paragraph } = Typography;
+
+const scoreColor = (score) => (score >= 8 ? '#059669' : score >= 6 ? '#d97706' : '#b91c1c');
+
+const ScoreBar = ({ label, value, count }) => (
+  <div style={{ marginBottom: '0.25rem' }}>
+    <Space>
+      <Text>{label}</Text>
+      <Text type="secondary">{value === null ? 'not scored' : `${value}/10 (${count})`}</Text>
+    </Space>
+    {value !== null && <Progress percent={value * 10} showInfo={false} size="small" strokeColor={scoreColor(value)} />}
+  </div>
+);
+
+// Finalists side by side: profile, scores, rubric breakdown and summary per
+// candidate, then their answers aligned question by question
+const CandidateComparison = () => {
+  const dispatch = useDispatch();
+  const allCandidates = useSelector(state => state.candidates.candidates);
+  const comparisonIds = useSelector(state => state.candidates.comparisonIds);
+  const candidates = comparisonIds.map(id => allCandidates.find(c => c.id === id)).filter(Boolean);
+
+  const goBack = () => {
+    dispatch(setComparisonIds([]));
+    dispatch(setViewMode('tabs'));
+  };
+
+  const skillSets = candidates.map(c => new Set(getCandidateSkills(c)));
+  const sharedSkills = new Set([...(skillSets[0] || [])].filter(s => skillSets.every(set => set.has(s))));
+  const rows = alignQuestions(candidates);
+  const span = 24 / Math.max(candidates.length, 1);
+
+  const columns = [
+    {
+      title: 'Question',
+      key: 'question',
+      width: 260,
+      fixed: 'left',
+      render: (_, row) => (
+        <div>
+          <Text strong>{row.question}</Text>
+          <div style={{ marginTop: '0.25rem' }}>
+            {row.difficulty && <Tag>{row.difficulty}</Tag>}
+            {Object.keys(row.entries).length > 1 && (
+              <Tag color={row.match === 'same' ? 'blue' : 'purple'}>
+                {row.match === 'same' ? 'Same question' : 'Similar questions'}
+              </Tag>
+            )}
+          </div>
+        </div>
+      ),
+    },
+    ...candidates.map(candidate => ({
+      title: candidate.name,
+      key: candidate.id,
+      width: 320,
+      render: (_, row) => {
+        const entry = row.entries[candidate.id];
+        if (!entry) return <Text type="secondary">Not asked</Text>;
+        const { question, answer } = entry;
+        return (
+          <div>
+            {row.match === 'similar' && question.question !== row.question && (
+              <Text type="secondary" italic style={{ display: 'block', marginBottom: '0.25rem' }}>{question.question}</Text>
+            )}
+            {answer ? (
+              <>
+                {typeof answer.score === 'number' && (
+                  <Tag color={answer.score >= 8 ? 'success' : answer.score >= 6 ? 'warning' : 'error'}>{answer.score}/10</Tag>
+                )}
+                <Paragraph ellipsis={{ rows: 4, expandable: true, symbol: 'more' }} style={{ marginBottom: 0, whiteSpace: 'pre-wrap' }}>
+                  {answer.text || <Text type="secondary">No answer</Text>}
+                </Paragraph>
+              </>
+            ) : (
+              <Text type="secondary">Not answered</Text>
+            )}
+          </div>
+        );
+      },
+    })),
+  ];
+
+  return (
+    <div className="fade-in" style={{ display: 'flex', flexDirection: 'column', flex: 1, width: '100%', height: '100%', padding: '2rem' }}>
+      <Button icon={<ArrowLeftOutlined />} onClick={goBack} style={{ marginBottom: '1.5rem', alignSelf: 'flex-start' }} size="large">
+        Back to Dashboard
+      </Button>
+      <Title level={2} style={{ marginTop: 0 }}>Compare candidates</Title>
+
+      {candidates.length < 2 ? (
+        <Empty description="Select two to four candidates in the dashboard to compare them" />
+      ) : (
+        <>
+          <Row gutter={16} style={{ marginBottom: '1.5rem' }}>
+            {candidates.map(candidate => {
+              const profile = buildCandidateProfile(candidate.resumeData);
+              const rubricAverages = getRubricAverages(candidate);
+              return (
+                <Col span={span} key={candidate.id}>
+                  <Card style={{ height: '100%' }}>
+                    <Title level={4} style={{ marginTop: 0 }}>
+                      <UserOutlined style={{ marginRight: '0.5rem' }} />
+                      {candidate.name}
+                    </Title>
+                    <Text type="secondary">{candidate.email}</Text>
+                    <div style={{ margin: '0.5rem 0' }}>
+                      {candidate.template && <Tag color="blue">{candidate.template.name}</Tag>}
+                      {profile.seniority && <Tag>{profile.seniority}</Tag>}
+                      {typeof candidate.resumeData?.yearsOfExperience === 'number' && (
+                        <Tag>{candidate.resumeData.yearsOfExperience} years</Tag>
+                      )}
+                    </div>
+                    {profile.headline && <Paragraph style={{ marginBottom: '0.5rem' }}>{profile.headline}</Paragraph>}
+
+                    <Text strong>Total score</Text>
+                    {typeof candidate.score === 'number' ? (
+                      <Progress percent={candidate.score} format={(p) => `${p}/100`} />
+                    ) : (
+                      <div><Text type="secondary">{candidate.interviewStatus === 'completed' ? 'Not scored' : 'Interview not finished'}</Text></div>
+                    )}
+
+                    <Title level={5}>By difficulty</Title>
+                    {getDifficultyScores(candidate).map(d => (
+                      <ScoreBar key={d.difficulty} label={d.difficulty} value={d.average} count={d.count} />
+                    ))}
+
+                    <Title level={5}>Rubric breakdown</Title>
+                    {rubricAverages.map(c => (
+                      <ScoreBar key={c.id} label={c.label} value={c.average} count={c.count} />
+                    ))}
+                    {rubricAverages.length === 0 && <Text type="secondary">No rubric scores</Text>}
+
+                    <Title level={5}>Skills <Text type="secondary" style={{ fontSize: '0.85rem', fontWeight: 'normal' }}>(green: shared by all)</Text></Title>
+                    {profile.skills.length ? (
+                      <div>
+                        {profile.skills.map(skill => (
+                          <Tag key={skill} color={sharedSkills.has(skill) ? 'green' : undefined} style={{ marginBottom: '0.25rem' }}>{skill}</Tag>
+                        ))}
+                      </div>
+                    ) : (
+                      <Text type="secondary">None recognised</Text>
+                    )}
+
+                    <Title level={5}>Summary</Title>
+                    <Paragraph ellipsis={{ rows: 6, expandable: true, symbol: 'more' }} style={{ whiteSpace: 'pre-wrap' }}>
+                      {candidate.summary || <Text type="secondary">No summary yet</Text>}
+                    </Paragraph>
+                  </Card>
+                </Col>
+              );
+            })}
+          </Row>
+
+          <Card title="Answers">
+            <Text type="secondary" style={{ display: 'block', marginBottom: '1rem' }}>
+              Questions asked to several candidates come first, matched by question bank entry or similar wording.
+            </Text>
+            <Table
+              rowKey="key"
+              columns={columns}
+              dataSource={rows}
+              pagination={false}
+              scroll={{ x: 'max-content' }}
+              size="small"
+            />
+          </Card>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default CandidateComparison;
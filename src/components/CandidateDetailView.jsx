@@ -1,8 +1,17 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { useSelector, useDispatch } from 'react-redux';
-import { Button, Card, Typography, List, Divider, Row, Col, Tag, Progress, message } from 'antd';
-import { ArrowLeftOutlined, UserOutlined, MailOutlined, PhoneOutlined, CheckCircleOutlined, ClockCircleOutlined, DownloadOutlined } from '@ant-design/icons';
-import { setActiveTab, setCurrentCandidateId, setViewMode } from '../store/candidatesSlice';
+import { Button, Card, Typography, List, Divider, Row, Col, Tag, Progress, Space, Popconfirm, Select, message } from 'antd';
+import { ArrowLeftOutlined, UserOutlined, MailOutlined, PhoneOutlined, CheckCircleOutlined, ClockCircleOutlined, DownloadOutlined, ExportOutlined, DeleteOutlined } from '@ant-design/icons';
+import { setActiveTab, setCurrentCandidateId, setViewMode, removeCandidate, setCandidateTags } from '../store/candidatesSlice';
+import { getProvider } from '../utils/aiService';
+import AnswerEvaluation from './AnswerEvaluation';
+import ResumeProfile from './ResumeProfile';
+import BlobStore from '../utils/blobStore';
+import { downloadFile } from '../utils/download';
+import { threadQuestions } from '../utils/followUps';
+import { getAttempts, withAttempt } from '../utils/interviewAttempts';
+import AttemptHistory from './AttemptHistory';
+import { hasRequiredConsent, buildSubjectExport, eraseCandidateFiles } from '../utils/privacy';
 
 const { Title, Text } = Typography;
 
@@ -10,8 +19,11 @@ const CandidateDetailView = () => {
   const dispatch = useDispatch();
   const candidates = useSelector(state => state.candidates.candidates);
   const currentCandidateId = useSelector(state => state.candidates.currentCandidateId);
+  const quarantine = useSelector(state => state.candidates.quarantine) || [];
+  const [attemptNumber, setAttemptNumber] = useState(null); // null shows the latest attempt
   
   const candidate = candidates.find(c => c.id === currentCandidateId);
+  const knownTags = Array.from(new Set(candidates.flatMap(c => c.tags || []))).sort();
   
   if (!candidate) {
     return (
@@ -29,12 +41,55 @@ const CandidateDetailView = () => {
     );
   }
   
+  // Interview fields (questions, answers, score...) come from the attempt being viewed
+  const attempts = getAttempts(candidate);
+  const viewedAttempt = attempts.find(a => a.number === attemptNumber) || attempts[attempts.length - 1];
+  const shown = withAttempt(candidate, viewedAttempt);
+  
   const goBack = () => {
     dispatch(setCurrentCandidateId(null));
     dispatch(setActiveTab('interviewer'));
     dispatch(setViewMode('tabs'));
   };
   
+  // Resumes live in IndexedDB; older candidates may still carry them inline
+  const downloadResume = async () => {
+    try {
+      const blob = await BlobStore.getFile(candidate.resumeFile);
+      downloadFile(blob, candidate.resumeFile.name || `${candidate.name.replace(/\s+/g, '_')}_resume.pdf`, candidate.resumeFile.type || blob.type);
+      message.success('Resume downloaded successfully');
+    } catch (error) {
+      console.error('Error downloading resume:', error);
+      message.error(`Failed to download resume: ${error.message}`);
+    }
+  };
+
+  // Data subject access: everything held about the candidate, resume included
+  const exportData = async () => {
+    try {
+      const json = await buildSubjectExport(candidate);
+      downloadFile(json, `candidate-${candidate.name.replace(/\s+/g, '_')}-data.json`, 'application/json');
+    } catch (error) {
+      console.error('Error exporting candidate data:', error);
+      message.error(`Failed to export data: ${error.message}`);
+    }
+  };
+
+  // Right to erasure: resume files first, then the record with every attempt
+  // and any quarantined copy of it
+  const eraseData = async () => {
+    try {
+      await eraseCandidateFiles(candidate);
+      await Promise.all(quarantine.filter(entry => entry.id === candidate.id).map(entry => eraseCandidateFiles(entry.record)));
+      dispatch(removeCandidate(candidate.id));
+      dispatch(setActiveTab('interviewer'));
+      message.success('Candidate data erased');
+    } catch (error) {
+      console.error('Error erasing candidate data:', error);
+      message.error(`Failed to erase data: ${error.message}`);
+    }
+  };
+  
   // Get status color
   const getStatusColor = (status) => {
     switch (status) {
@@ -55,6 +110,83 @@ const CandidateDetailView = () => {
     }
   };
   
+  // Question body shared by top-level questions and their follow-ups
+  const renderQuestionDetails = (question, title) => {
+    const answer = shown.answers.find(a => a.questionId === question.id);
+    return (
+      <>
+        <Text strong>{title}: {question.question || question.text}</Text>
+        <br />
+        <Tag color={question.difficulty === 'Easy' ? 'success' : question.difficulty === 'Medium' ? 'warning' : 'error'}>
+          {question.difficulty}
+        </Tag>
+        {question.bankQuestionId && <Tag>Question bank</Tag>}
+        <br />
+        {question.referenceAnswer && (
+          <Text type="secondary" style={{ display: 'block', marginTop: '0.5rem' }}>
+            Reference answer: {question.referenceAnswer}
+          </Text>
+        )}
+        {answer ? (
+          <div style={{ marginTop: '1rem' }}>
+            <Text strong>Answer:</Text>
+            {question.type === 'coding' ? (
+              <pre style={{ 
+                background: '#f8fafc', 
+                padding: '1rem', 
+                borderRadius: '8px',
+                border: '1px solid #e2e8f0',
+                marginTop: '0.5rem',
+                overflowX: 'auto'
+              }}>
+                {answer.text}
+              </pre>
+            ) : (
+              <p style={{ 
+                background: '#f8fafc', 
+                padding: '1rem', 
+                borderRadius: '8px',
+                border: '1px solid #e2e8f0',
+                marginTop: '0.5rem'
+              }}>
+                {answer.text}
+              </p>
+            )}
+            {typeof answer.score === 'number' && (
+              <div style={{ marginTop: '0.5rem' }}>
+                <Text strong>Score: </Text>
+                <Text type={answer.score >= 8 ? 'success' : answer.score >= 6 ? 'warning' : 'danger'}>
+                  {answer.score}/10
+                </Text>
+                {answer.provider && (
+                  <Tag style={{ marginLeft: '0.5rem' }}>
+                    via {getProvider(answer.provider)?.label || answer.provider}
+                  </Tag>
+                )}
+                {answer.gradedLocally && <Tag style={{ marginLeft: '0.5rem' }}>Auto-graded</Tag>}
+                {answer.feedback && (
+                  <p style={{ 
+                    background: '#f0f9ff', 
+                    padding: '0.5rem', 
+                    borderRadius: '4px',
+                    border: '1px solid #bae6fd',
+                    marginTop: '0.5rem',
+                    fontStyle: 'italic'
+                  }}>
+                    {answer.feedback}
+                  </p>
+                )}
+              </div>
+            )}
+            <AnswerEvaluation answer={answer} question={question} />
+          </div>
+        ) : (
+          <Text type="secondary">Not answered yet</Text>
+        )}
+      </>
+    );
+  };
+  
   return (
     <div className="fade-in" style={{ 
       display: 'flex', 
@@ -100,105 +232,125 @@ const CandidateDetailView = () => {
                 <Col span={8}>
                   <Text strong>Status:</Text>
                   <br />
-                  <Tag icon={getStatusIcon(candidate.interviewStatus)} color={getStatusColor(candidate.interviewStatus)}>
-                    {candidate.interviewStatus === 'not_started' && 'Not Started'}
-                    {candidate.interviewStatus === 'in_progress' && 'In Progress'}
-                    {candidate.interviewStatus === 'completed' && 'Completed'}
+                  <Tag icon={getStatusIcon(shown.interviewStatus)} color={getStatusColor(shown.interviewStatus)}>
+                    {shown.interviewStatus === 'not_started' && 'Not Started'}
+                    {shown.interviewStatus === 'in_progress' && 'In Progress'}
+                    {shown.interviewStatus === 'completed' && 'Completed'}
                   </Tag>
+                  {shown.template && (
+                    <Tag color="blue">{shown.template.name}</Tag>
+                  )}
+                  {attempts.length > 1 && viewedAttempt && (
+                    <Tag>Attempt {viewedAttempt.number} of {attempts.length}</Tag>
+                  )}
                 </Col>
               </Row>
               
-              {candidate.resumeFile && (
-                <Row style={{ marginTop: '1rem' }}>
-                  <Col span={24}>
-                    <Button 
-                      type="primary" 
-                      icon={<DownloadOutlined />}
-                      onClick={() => {
-                        try {
-                          if (!candidate.resumeFile || !candidate.resumeFile.data) {
-                            throw new Error('Resume data not found');
-                          }
-                          
-                          const base64Data = candidate.resumeFile.data;
-                          
-                          // Check if it's a valid data URL
-                          if (!base64Data.startsWith('data:')) {
-                            throw new Error('Invalid resume data format');
-                          }
-                          
-                          // Extract the base64 part
-                          const base64Content = base64Data.split(',')[1];
-                          if (!base64Content) {
-                            throw new Error('No base64 content found');
-                          }
-                          
-                          // Convert base64 to blob
-                          const byteCharacters = atob(base64Content);
-                          const byteNumbers = new Array(byteCharacters.length);
-                          for (let i = 0; i < byteCharacters.length; i++) {
-                            byteNumbers[i] = byteCharacters.charCodeAt(i);
-                          }
-                          const byteArray = new Uint8Array(byteNumbers);
-                          const blob = new Blob([byteArray], { type: candidate.resumeFile.type || 'application/octet-stream' });
-                          
-                          // Create download link
-                          const url = URL.createObjectURL(blob);
-                          const link = document.createElement('a');
-                          link.href = url;
-                          link.download = candidate.resumeFile.name || `${candidate.name.replace(/\s+/g, '_')}_resume.pdf`;
-                          document.body.appendChild(link);
-                          link.click();
-                          document.body.removeChild(link);
-                          
-                          // Clean up the URL
-                          setTimeout(() => URL.revokeObjectURL(url), 100);
-                          
-                          message.success('Resume downloaded successfully');
-                        } catch (error) {
-                          console.error('Error downloading resume:', error);
-                          message.error(`Failed to download resume: ${error.message}`);
-                          
-                          // Fallback: try direct data URL download
-                          try {
-                            const link = document.createElement('a');
-                            link.href = candidate.resumeFile.data;
-                            link.download = candidate.resumeFile.name || `${candidate.name.replace(/\s+/g, '_')}_resume`;
-                            document.body.appendChild(link);
-                            link.click();
-                            document.body.removeChild(link);
-                            message.success('Resume downloaded using fallback method');
-                          } catch (fallbackError) {
-                            console.error('Fallback download also failed:', fallbackError);
-                            message.error('Resume download failed completely');
-                          }
-                        }
-                      }}
-                    >
-                      Download Resume ({candidate.resumeFile?.name || 'resume'})
+              <Row style={{ marginTop: '1rem' }}>
+                <Col span={24}>
+                  <Text strong>Tags:</Text>
+                  <Select
+                    mode="tags"
+                    style={{ width: '100%', maxWidth: 480, marginLeft: '0.5rem' }}
+                    placeholder="Add tags, e.g. shortlisted, backend"
+                    value={candidate.tags || []}
+                    options={knownTags.map(tag => ({ value: tag, label: tag }))}
+                    tokenSeparators={[',']}
+                    onChange={(tags) => dispatch(setCandidateTags({ id: candidate.id, tags }))}
+                  />
+                </Col>
+              </Row>
+
+              <Row style={{ marginTop: '1rem' }}>
+                <Col span={24}>
+                  <Text strong>Consent:</Text>{' '}
+                  {candidate.anonymizedAt ? (
+                    <Tag>Anonymized {new Date(candidate.anonymizedAt).toLocaleDateString()}</Tag>
+                  ) : candidate.consent ? (
+                    <>
+                      <Tag color={hasRequiredConsent(candidate.consent) ? 'green' : 'red'}>
+                        Given {new Date(candidate.consent.givenAt).toLocaleString()}
+                      </Tag>
+                      {candidate.consent.items.find(item => item.id === 'talentPool')?.accepted && (
+                        <Tag color="blue">Open to other openings</Tag>
+                      )}
+                    </>
+                  ) : (
+                    <Tag>No consent recorded</Tag>
+                  )}
+                </Col>
+              </Row>
+
+              <Row style={{ marginTop: '1rem' }}>
+                <Col span={24}>
+                  <Space wrap>
+                    {candidate.resumeFile && (
+                      <Button 
+                        type="primary" 
+                        icon={<DownloadOutlined />}
+                        onClick={downloadResume}
+                      >
+                        Download Resume ({candidate.resumeFile?.name || 'resume'})
+                      </Button>
+                    )}
+                    <Button icon={<ExportOutlined />} onClick={exportData}>
+                      Export data
                     </Button>
-                  </Col>
-                </Row>
-              )}
+                    <Popconfirm
+                      title="Erase this candidate?"
+                      description="Deletes the record, every attempt and the resume file. Backups already downloaded are not affected."
+                      okText="Erase"
+                      okButtonProps={{ danger: true }}
+                      onConfirm={eraseData}
+                    >
+                      <Button danger icon={<DeleteOutlined />}>Erase all data</Button>
+                    </Popconfirm>
+                  </Space>
+                </Col>
+              </Row>
               
-              {candidate.score && (
+              {shown.score && (
                 <div style={{ marginTop: '1.5rem' }}>
                   <Text strong>Final Score:</Text>
                   <Progress 
-                    percent={candidate.score} 
+                    percent={shown.score} 
                     status="active" 
                     style={{ marginTop: '0.5rem' }}
                   />
                   <Text style={{ fontSize: '1.5rem', fontWeight: 'bold', marginLeft: '1rem' }}>
-                    {candidate.score}/100
+                    {shown.score}/100
                   </Text>
+                  {shown.adaptive && (
+                    <div style={{ marginTop: '0.5rem' }}>
+                      <Tag color="purple">Adaptive difficulty</Tag>
+                      {shown.difficultyReached && (
+                        <Text type="secondary">Highest level reached: {shown.difficultyReached}</Text>
+                      )}
+                    </div>
+                  )}
                 </div>
               )}
             </Card>
           </Col>
         </Row>
         
-        {candidate.summary && (
+        {attempts.length > 1 && (
+          <Row gutter={24} style={{ marginBottom: '1.5rem' }}>
+            <Col span={24}>
+              <AttemptHistory attempts={attempts} selectedNumber={viewedAttempt.number} onSelect={setAttemptNumber} />
+            </Col>
+          </Row>
+        )}
+        
+        {candidate.resumeData && (
+          <Row gutter={24} style={{ marginBottom: '1.5rem' }}>
+            <Col span={24}>
+              <ResumeProfile resumeData={candidate.resumeData} />
+            </Col>
+          </Row>
+        )}
+        
+        {shown.summary && (
           <Row gutter={24} style={{ marginBottom: '1.5rem' }}>
             <Col span={24}>
               <Card>
@@ -206,7 +358,7 @@ const CandidateDetailView = () => {
                   <CheckCircleOutlined style={{ marginRight: '0.5rem' }} />
                   AI Summary
                 </Title>
-                <Text>{candidate.summary}</Text>
+                <Text>{shown.summary}</Text>
               </Card>
             </Col>
           </Row>
@@ -225,62 +377,29 @@ const CandidateDetailView = () => {
                 Interview Questions & Answers
               </Title>
               <div style={{ flex: 1, overflow: 'auto' }}>
-                {candidate.questions.length === 0 ? (
+                {shown.questions.length === 0 ? (
                   <Text>No questions answered yet</Text>
                 ) : (
                   <List
                     itemLayout="vertical"
-                    dataSource={candidate.questions}
-                    renderItem={(question, index) => {
-                      const answer = candidate.answers.find(a => a.questionId === question.id);
-                      return (
-                        <List.Item key={question.id}>
-                          <Text strong>Q{index + 1}: {question.text}</Text>
-                          <br />
-                          <Tag color={question.difficulty === 'Easy' ? 'success' : question.difficulty === 'Medium' ? 'warning' : 'error'}>
-                            {question.difficulty}
-                          </Tag>
-                          <br />
-                          {answer ? (
-                            <div style={{ marginTop: '1rem' }}>
-                              <Text strong>Answer:</Text>
-                              <p style={{ 
-                                background: '#f8fafc', 
-                                padding: '1rem', 
-                                borderRadius: '8px',
-                                border: '1px solid #e2e8f0',
-                                marginTop: '0.5rem'
-                              }}>
-                                {answer.text}
-                              </p>
-                              {answer.score && (
-                                <div style={{ marginTop: '0.5rem' }}>
-                                  <Text strong>Score: </Text>
-                                  <Text type={answer.score >= 8 ? 'success' : answer.score >= 6 ? 'warning' : 'danger'}>
-                                    {answer.score}/10
-                                  </Text>
-                                  {answer.feedback && (
-                                    <p style={{ 
-                                      background: '#f0f9ff', 
-                                      padding: '0.5rem', 
-                                      borderRadius: '4px',
-                                      border: '1px solid #bae6fd',
-                                      marginTop: '0.5rem',
-                                      fontStyle: 'italic'
-                                    }}>
-                                      {answer.feedback}
-                                    </p>
-                                  )}
-                                </div>
-                              )}
-                            </div>
-                          ) : (
-                            <Text type="secondary">Not answered yet</Text>
-                          )}
-                          <Divider />
-                        </List.Item>
-                      );
-                    }}
+                    dataSource={threadQuestions(shown.questions)}
+                    renderItem={({ question, followUps }, index) => (
+                      <List.Item key={question.id}>
+                        {renderQuestionDetails(question, `Q${index + 1}`)}
+                        {followUps.map((followUp, i) => (
+                          <div
+                            key={followUp.id}
+                            style={{ marginTop: '1rem', marginLeft: '1.5rem', paddingLeft: '1rem', borderLeft: '3px solid #bae6fd' }}
+                          >
+                            {renderQuestionDetails(followUp, `Follow-up ${i + 1}`)}
+                            {followUp.reason && (
+                              <div><Text type="secondary" style={{ fontSize: '0.85rem' }}>Probes: {followUp.reason}</Text></div>
+                            )}
+                          </div>
+                        ))}
+                        <Divider />
+                      </List.Item>
+                    )}
                   />
                 )}
               </div>
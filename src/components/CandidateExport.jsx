@@ -0,0 +1,110 @@
+import React, { useState } from 'react';
+import { Button, Modal, Radio, Checkbox, Space, Typography, Divider, message } from 'antd';
+import { FileExcelOutlined } from '@ant-design/icons';
+import {
+  SUMMARY_COLUMNS,
+  DETAIL_COLUMNS,
+  defaultColumnKeys,
+  exportCandidatesCsv,
+  exportCandidatesXlsx
+} from '../utils/candidateExport';
+import { XLSX_MIME_TYPE } from '../utils/xlsx';
+import { downloadFile } from '../utils/download';
+
+const { Text } = Typography;
+
+const ColumnPicker = ({ title, columns, value, onChange }) => (
+  <div style={{ marginBottom: '1rem' }}>
+    <Space style={{ marginBottom: '0.5rem' }}>
+      <Text strong>{title}</Text>
+      <Button size="small" type="link" onClick={() => onChange(columns.map(c => c.key))}>All</Button>
+      <Button size="small" type="link" onClick={() => onChange([])}>None</Button>
+    </Space>
+    <Checkbox.Group
+      value={value}
+      onChange={onChange}
+      options={columns.map(c => ({ value: c.key, label: c.header }))}
+    />
+  </div>
+);
+
+// Exports the candidates that pass the dashboard filters, in the dashboard's order
+const CandidateExport = ({ candidates }) => {
+  const [open, setOpen] = useState(false);
+  const [format, setFormat] = useState('xlsx');
+  const [csvSheet, setCsvSheet] = useState('Summary');
+  const [summaryColumns, setSummaryColumns] = useState(defaultColumnKeys(SUMMARY_COLUMNS));
+  const [detailColumns, setDetailColumns] = useState(defaultColumnKeys(DETAIL_COLUMNS));
+  const [allAttempts, setAllAttempts] = useState(false);
+
+  const options = { summaryColumns, detailColumns, allAttempts };
+  const canExport = format === 'xlsx'
+    ? summaryColumns.length > 0 || detailColumns.length > 0
+    : (csvSheet === 'Summary' ? summaryColumns : detailColumns).length > 0;
+
+  const exportFile = () => {
+    const date = new Date().toISOString().slice(0, 10);
+    try {
+      if (format === 'xlsx') {
+        downloadFile(exportCandidatesXlsx(candidates, options), `candidates-${date}.xlsx`, XLSX_MIME_TYPE);
+      } else {
+        const name = csvSheet === 'Summary' ? 'candidates' : 'candidate-answers';
+        downloadFile(exportCandidatesCsv(candidates, options, csvSheet), `${name}-${date}.csv`, 'text/csv;charset=utf-8');
+      }
+      message.success(`Exported ${candidates.length} candidate(s)`);
+      setOpen(false);
+    } catch (error) {
+      console.error('Error exporting candidates:', error);
+      message.error(`Failed to export: ${error.message}`);
+    }
+  };
+
+  return (
+    <>
+      <Button icon={<FileExcelOutlined />} disabled={candidates.length === 0} onClick={() => setOpen(true)}>
+        Export
+      </Button>
+      <Modal
+        title={`Export ${candidates.length} candidate(s)`}
+        open={open}
+        onOk={exportFile}
+        onCancel={() => setOpen(false)}
+        okText="Download"
+        okButtonProps={{ disabled: !canExport }}
+        width={720}
+      >
+        <Space direction="vertical" style={{ marginBottom: '1rem' }}>
+          <Radio.Group value={format} onChange={(e) => setFormat(e.target.value)}>
+            <Radio value="xlsx">Excel (.xlsx) with a Summary and an Answers sheet</Radio>
+            <Radio value="csv">CSV</Radio>
+          </Radio.Group>
+          {format === 'csv' && (
+            <Radio.Group value={csvSheet} onChange={(e) => setCsvSheet(e.target.value)}>
+              <Radio value="Summary">Summary: one row per candidate</Radio>
+              <Radio value="Answers">Answers: one row per question</Radio>
+            </Radio.Group>
+          )}
+        </Space>
+        <Divider style={{ margin: '0.5rem 0 1rem' }} />
+        {(format === 'xlsx' || csvSheet === 'Summary') && (
+          <ColumnPicker title="Summary columns" columns={SUMMARY_COLUMNS} value={summaryColumns} onChange={setSummaryColumns} />
+        )}
+        {(format === 'xlsx' || csvSheet === 'Answers') && (
+          <>
+            <ColumnPicker title="Answer columns" columns={DETAIL_COLUMNS} value={detailColumns} onChange={setDetailColumns} />
+            <Checkbox checked={allAttempts} onChange={(e) => setAllAttempts(e.target.checked)}>
+              Include answers from earlier attempts
+            </Checkbox>
+          </>
+        )}
+        {format === 'xlsx' && (
+          <Text type="secondary" style={{ display: 'block', marginTop: '1rem' }}>
+            A sheet with no columns selected is left out.
+          </Text>
+        )}
+      </Modal>
+    </>
+  );
+};
+
+export default CandidateExport;
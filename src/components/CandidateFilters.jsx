@@ -0,0 +1,152 @@
+import React from 'react';
+import { Input, Select, Slider, DatePicker, Row, Col, Button, Typography, Badge, Collapse } from 'antd';
+import { SearchOutlined, FilterOutlined } from '@ant-design/icons';
+import { EMPTY_FILTERS, SCORE_RANGE, countActiveFilters } from '../utils/candidateFilters';
+
+const { Text } = Typography;
+const { RangePicker } = DatePicker;
+
+// Date ranges are kept as inclusive timestamps; the pickers need their own values back
+const toRange = (dates) => (dates ? [dates[0].startOf('day').valueOf(), dates[1].endOf('day').valueOf()] : null);
+
+const toOptions = (values) => values.map(value => ({ value, label: value }));
+
+// Filter panel for the candidate table. Controlled: `filters` follows EMPTY_FILTERS
+// and `pickerValues` holds the date pickers' own values.
+const CandidateFilters = ({ filters, onChange, options, pickerValues, onPickerChange }) => {
+  const update = (changes) => onChange({ ...filters, ...changes });
+  const active = countActiveFilters(filters);
+
+  const setDates = (field, dates) => {
+    onPickerChange({ ...pickerValues, [field]: dates });
+    update({ [field]: toRange(dates) });
+  };
+
+  const reset = () => {
+    onPickerChange({});
+    onChange(EMPTY_FILTERS);
+  };
+
+  const label = (text) => <Text type="secondary" style={{ display: 'block', marginBottom: '0.25rem' }}>{text}</Text>;
+
+  return (
+    <div style={{ marginBottom: '1.5rem' }}>
+      <Row gutter={16}>
+        <Col span={10}>
+          <Input
+            size="large"
+            allowClear
+            prefix={<SearchOutlined />}
+            placeholder="Search candidates by name or email"
+            value={filters.search}
+            onChange={(e) => update({ search: e.target.value })}
+          />
+        </Col>
+        <Col span={10}>
+          <Input
+            size="large"
+            allowClear
+            prefix={<SearchOutlined />}
+            placeholder="Search questions, answers, feedback and summaries"
+            value={filters.text}
+            onChange={(e) => update({ text: e.target.value })}
+          />
+        </Col>
+        <Col span={4}>
+          <Button size="large" block disabled={!active} onClick={reset}>
+            Clear filters {active > 0 && <Badge count={active} style={{ marginLeft: '0.25rem' }} />}
+          </Button>
+        </Col>
+      </Row>
+
+      <Collapse
+        ghost
+        style={{ marginTop: '0.5rem' }}
+        items={[{
+          key: 'more',
+          label: <><FilterOutlined style={{ marginRight: '0.5rem' }} />More filters</>,
+          children: (
+            <Row gutter={[16, 16]}>
+              <Col span={8}>
+                {label(`Score: ${filters.scoreRange[0]} – ${filters.scoreRange[1]}`)}
+                <Slider
+                  range
+                  min={SCORE_RANGE[0]}
+                  max={SCORE_RANGE[1]}
+                  value={filters.scoreRange}
+                  onChange={(scoreRange) => update({ scoreRange })}
+                />
+              </Col>
+              <Col span={8}>
+                {label('Created')}
+                <RangePicker
+                  style={{ width: '100%' }}
+                  value={pickerValues.createdRange || null}
+                  onChange={(dates) => setDates('createdRange', dates)}
+                />
+              </Col>
+              <Col span={8}>
+                {label('Completed')}
+                <RangePicker
+                  style={{ width: '100%' }}
+                  value={pickerValues.completedRange || null}
+                  onChange={(dates) => setDates('completedRange', dates)}
+                />
+              </Col>
+              <Col span={6}>
+                {label('Resume skills (all of)')}
+                <Select
+                  mode="multiple"
+                  allowClear
+                  style={{ width: '100%' }}
+                  placeholder="Any skills"
+                  value={filters.skills}
+                  options={toOptions(options.skills)}
+                  onChange={(skills) => update({ skills })}
+                />
+              </Col>
+              <Col span={6}>
+                {label('Template')}
+                <Select
+                  mode="multiple"
+                  allowClear
+                  style={{ width: '100%' }}
+                  placeholder="Any template"
+                  value={filters.templateIds}
+                  options={options.templates.map(t => ({ value: t.id, label: t.name }))}
+                  onChange={(templateIds) => update({ templateIds })}
+                />
+              </Col>
+              <Col span={6}>
+                {label('Role')}
+                <Select
+                  mode="multiple"
+                  allowClear
+                  style={{ width: '100%' }}
+                  placeholder="Any role"
+                  value={filters.roles}
+                  options={toOptions(options.roles)}
+                  onChange={(roles) => update({ roles })}
+                />
+              </Col>
+              <Col span={6}>
+                {label('Tags (any of)')}
+                <Select
+                  mode="multiple"
+                  allowClear
+                  style={{ width: '100%' }}
+                  placeholder="Any tags"
+                  value={filters.tags}
+                  options={toOptions(options.tags)}
+                  onChange={(tags) => update({ tags })}
+                />
+              </Col>
+            </Row>
+          )
+        }]}
+      />
+    </div>
+  );
+};
+
+export default CandidateFilters;
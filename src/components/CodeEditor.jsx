@@ -0,0 +1,113 @@
+import React, { useRef } from 'react';
+
+// Lightweight JavaScript editor: a transparent textarea over a highlighted copy
+// of the same text. Enough for interview-sized snippets without an editor
+// dependency.
+
+const KEYWORDS = new Set([
+  'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'default', 'delete', 'do', 'else',
+  'export', 'extends', 'false', 'finally', 'for', 'function', 'if', 'import', 'in', 'instanceof', 'let', 'new',
+  'null', 'of', 'return', 'static', 'super', 'switch', 'this', 'throw', 'true', 'try', 'typeof', 'undefined',
+  'var', 'void', 'while', 'yield'
+]);
+
+const TOKEN = /(\/\/[^\n]*|\/\*[\s\S]*?(?:\*\/|$))|('(?:\\.|[^'\\\n])*'?|"(?:\\.|[^"\\\n])*"?|`(?:\\.|[^`\\])*`?)|(\b\d+(?:\.\d+)?\b)|([A-Za-z_$][\w$]*)/g;
+
+const COLORS = {
+  comment: '#6a737d',
+  string: '#032f62',
+  number: '#005cc5',
+  keyword: '#d73a49',
+  function: '#6f42c1'
+};
+
+const highlight = (code) => {
+  const parts = [];
+  let last = 0;
+  let match;
+  TOKEN.lastIndex = 0;
+  while ((match = TOKEN.exec(code)) !== null) {
+    const [text, comment, string, number, word] = match;
+    if (match.index > last) parts.push(code.slice(last, match.index));
+    let kind = null;
+    if (comment) kind = 'comment';
+    else if (string) kind = 'string';
+    else if (number) kind = 'number';
+    else if (word && KEYWORDS.has(word)) kind = 'keyword';
+    else if (word && code[match.index + text.length] === '(') kind = 'function';
+    parts.push(kind ? <span key={match.index} style={{ color: COLORS[kind] }}>{text}</span> : text);
+    last = match.index + text.length;
+  }
+  parts.push(code.slice(last));
+  return parts;
+};
+
+const SHARED_STYLE = {
+  margin: 0,
+  padding: '12px',
+  fontFamily: "Menlo, Consolas, 'Courier New', monospace",
+  fontSize: '14px',
+  lineHeight: '1.5',
+  whiteSpace: 'pre',
+  overflowWrap: 'normal',
+  tabSize: 2,
+  border: 0,
+  boxSizing: 'border-box'
+};
+
+const CodeEditor = ({ value = '', onChange, disabled, minHeight = 240 }) => {
+  const preRef = useRef(null);
+
+  // Tab indents instead of leaving the editor
+  const handleKeyDown = (e) => {
+    if (e.key !== 'Tab') return;
+    e.preventDefault();
+    const { selectionStart, selectionEnd } = e.target;
+    const next = `${value.slice(0, selectionStart)}  ${value.slice(selectionEnd)}`;
+    onChange(next);
+    requestAnimationFrame(() => {
+      e.target.selectionStart = e.target.selectionEnd = selectionStart + 2;
+    });
+  };
+
+  const syncScroll = (e) => {
+    if (preRef.current) {
+      preRef.current.scrollTop = e.target.scrollTop;
+      preRef.current.scrollLeft = e.target.scrollLeft;
+    }
+  };
+
+  return (
+    <div style={{ position: 'relative', minHeight, border: '1px solid #d9d9d9', borderRadius: '8px', background: '#fafbfc', overflow: 'hidden' }}>
+      <pre ref={preRef} aria-hidden="true" style={{ ...SHARED_STYLE, position: 'absolute', inset: 0, overflow: 'hidden', pointerEvents: 'none', color: '#24292e' }}>
+        {highlight(value)}
+        {'\n'}
+      </pre>
+      <textarea
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        onKeyDown={handleKeyDown}
+        onScroll={syncScroll}
+        disabled={disabled}
+        spellCheck={false}
+        autoCapitalize="off"
+        autoCorrect="off"
+        style={{
+          ...SHARED_STYLE,
+          position: 'relative',
+          width: '100%',
+          minHeight,
+          height: '100%',
+          resize: 'vertical',
+          background: 'transparent',
+          color: 'transparent',
+          caretColor: '#24292e',
+          outline: 'none',
+          overflow: 'auto'
+        }}
+      />
+    </div>
+  );
+};
+
+export default CodeEditor;
@@ -0,0 +1,151 @@
+import React, { useState } from 'react';
+import { Card, Form, Input, Button, Typography, Alert, Space, Tag, message } from 'antd';
+import { LockOutlined } from '@ant-design/icons';
+import Encryption, { MIN_PASSPHRASE_LENGTH } from '../utils/encryption';
+import BlobStore from '../utils/blobStore';
+import { resealPersistedState } from '../store/idbStorage';
+
+const { Title, Paragraph } = Typography;
+
+// Rewrites stored state and files after encryption is turned on or off
+const resealAll = async () => {
+  await resealPersistedState();
+  await BlobStore.resealAll();
+};
+
+// After a failed switch, puts everything back the way it was (best effort)
+const rollback = async (restore) => {
+  try {
+    restore();
+    await resealAll();
+  } catch (error) {
+    console.error('Error rolling back storage encryption change:', error);
+  }
+};
+
+const EncryptionSettings = () => {
+  const [enabled, setEnabled] = useState(Encryption.isEnabled());
+  const [working, setWorking] = useState(false);
+  const [enableForm] = Form.useForm();
+  const [disableForm] = Form.useForm();
+
+  const turnOn = async () => {
+    try {
+      const { passphrase } = await enableForm.validateFields();
+      setWorking(true);
+      await Encryption.enable(passphrase);
+    } catch (error) {
+      // Invalid fields show their own errors on the form
+      if (!error?.errorFields) message.error(error.message);
+      setWorking(false);
+      return;
+    }
+    try {
+      await resealAll();
+      enableForm.resetFields();
+      setEnabled(true);
+      message.success('Stored data is now encrypted');
+    } catch (error) {
+      console.error('Error enabling encryption:', error);
+      await rollback(() => Encryption.disable());
+      message.error(`Failed to enable encryption: ${error.message}`);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const turnOff = async () => {
+    let config = null;
+    try {
+      const { passphrase } = await disableForm.validateFields();
+      setWorking(true);
+      if (!await Encryption.unlock(passphrase)) {
+        message.error('Incorrect passphrase');
+        return;
+      }
+      config = Encryption.disable();
+      await resealAll();
+      Encryption.forget();
+      disableForm.resetFields();
+      setEnabled(false);
+      message.success('Encryption turned off');
+    } catch (error) {
+      if (error?.errorFields) return; // shown on the form
+      console.error('Error disabling encryption:', error);
+      if (config) await rollback(() => Encryption.restoreConfig(config));
+      message.error(`Failed to disable encryption: ${error.message}`);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  // The key only exists in memory, so reloading is what locks
+  const lockNow = () => window.location.reload();
+
+  if (!Encryption.isSupported()) {
+    return (
+      <Card>
+        <Alert type="warning" showIcon message="This browser does not support encrypted storage (Web Crypto or localStorage is unavailable)." />
+      </Card>
+    );
+  }
+
+  return (
+    <Card>
+      <Title level={4}>
+        <LockOutlined style={{ marginRight: '0.5rem' }} />
+        Encrypted storage {enabled ? <Tag color="green">On</Tag> : <Tag>Off</Tag>}
+      </Title>
+      <Paragraph type="secondary">
+        Encrypts stored candidates, evaluations, settings and resume files with AES-GCM, using a key derived
+        from a passphrase (PBKDF2). The app asks for the passphrase every time it is opened.
+        The passphrase cannot be recovered: without it the data is lost.
+      </Paragraph>
+
+      {enabled ? (
+        <Space direction="vertical" style={{ width: '100%' }}>
+          <Button icon={<LockOutlined />} onClick={lockNow}>Lock now</Button>
+          <Form form={disableForm} layout="inline" style={{ marginTop: '1rem' }}>
+            <Form.Item name="passphrase" rules={[{ required: true, message: 'Enter the current passphrase' }]}>
+              <Input.Password placeholder="Current passphrase" />
+            </Form.Item>
+            <Form.Item>
+              <Button danger loading={working} onClick={turnOff}>Turn off encryption</Button>
+            </Form.Item>
+          </Form>
+        </Space>
+      ) : (
+        <Form form={enableForm} layout="vertical" style={{ maxWidth: 360 }}>
+          <Form.Item
+            name="passphrase"
+            label="Passphrase"
+            rules={[
+              { required: true, message: 'Enter a passphrase' },
+              { min: MIN_PASSPHRASE_LENGTH, message: `At least ${MIN_PASSPHRASE_LENGTH} characters` }
+            ]}
+          >
+            <Input.Password />
+          </Form.Item>
+          <Form.Item
+            name="confirm"
+            label="Repeat passphrase"
+            dependencies={['passphrase']}
+            rules={[
+              { required: true, message: 'Repeat the passphrase' },
+              ({ getFieldValue }) => ({
+                validator: (_, value) => (value === getFieldValue('passphrase')
+                  ? Promise.resolve()
+                  : Promise.reject(new Error('The passphrases do not match')))
+              })
+            ]}
+          >
+            <Input.Password />
+          </Form.Item>
+          <Button type="primary" loading={working} onClick={turnOn}>Encrypt stored data</Button>
+        </Form>
+      )}
+    </Card>
+  );
+};
+
+export default EncryptionSettings;
@@ -0,0 +1,22 @@
+import React from 'react';
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Renders text with every (case-insensitive) occurrence of `query` marked
+const HighlightText = ({ text, query }) => {
+  const needle = (query || '').trim();
+  if (!needle || !text) return <>{text}</>;
+  const parts = String(text).split(new RegExp(`(${escapeRegExp(needle)})`, 'gi'));
+  return (
+    <>
+      {parts.map((part, idx) => (
+        // Captured separators land on the odd indexes
+        idx % 2 === 1
+          ? <mark key={idx} style={{ padding: 0, background: '#ffe58f' }}>{part}</mark>
+          : <React.Fragment key={idx}>{part}</React.Fragment>
+      ))}
+    </>
+  );
+};
+
+export default HighlightText;
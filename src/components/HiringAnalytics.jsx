@@ -0,0 +1,193 @@
+import React, { useMemo, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { Card, Row, Col, Select, DatePicker, InputNumber, Statistic, Typography, Space, Table } from 'antd';
+import { setAnalyticsSettings } from '../store/settingsSlice';
+import { collectFilterOptions } from '../utils/candidateFilters';
+import {
+  filterForAnalytics,
+  getScoreDistribution,
+  getDropOffByQuestion,
+  getCompletionStats,
+  getAverageByDifficulty,
+  getTimeUsage,
+  getCandidatesPerWeek,
+  getPassRate
+} from '../utils/hiringAnalytics';
+import BarChart from './BarChart';
+import ItemAnalysis from './ItemAnalysis';
+
+const { Title, Text } = Typography;
+const { RangePicker } = DatePicker;
+
+const formatSeconds = (seconds) => `${Math.floor(seconds / 60)}:${String(Math.round(seconds % 60)).padStart(2, '0')}`;
+
+const HiringAnalytics = () => {
+  const dispatch = useDispatch();
+  const candidates = useSelector(state => state.candidates.candidates);
+  const { passThreshold } = useSelector(state => state.settings.analytics);
+  const [templateIds, setTemplateIds] = useState([]);
+  const [dates, setDates] = useState(null); // the picker's own values
+
+  const templates = useMemo(() => collectFilterOptions(candidates).templates, [candidates]);
+  const stats = useMemo(() => {
+    const dateRange = dates ? [dates[0].startOf('day').valueOf(), dates[1].endOf('day').valueOf()] : null;
+    const selected = filterForAnalytics(candidates, { templateIds, dateRange });
+    return {
+      selected,
+      count: selected.length,
+      distribution: getScoreDistribution(selected),
+      dropOff: getDropOffByQuestion(selected),
+      completion: getCompletionStats(selected),
+      byDifficulty: getAverageByDifficulty(selected),
+      timeUsage: getTimeUsage(selected),
+      perWeek: getCandidatesPerWeek(selected),
+      pass: getPassRate(selected, passThreshold)
+    };
+  }, [candidates, templateIds, dates, passThreshold]);
+
+  const dropOffColumns = [
+    { title: 'Question', dataIndex: 'index', key: 'index', render: (index) => `#${index + 1}` },
+    { title: 'Reached', dataIndex: 'reached', key: 'reached' },
+    { title: 'Answered', dataIndex: 'answered', key: 'answered' },
+    { title: 'Left here', dataIndex: 'dropped', key: 'dropped' },
+    { title: 'Drop-off', dataIndex: 'dropOffRate', key: 'dropOffRate', render: (rate) => `${rate}%` }
+  ];
+
+  return (
+    <Space direction="vertical" size="large" style={{ width: '100%' }}>
+      <Card>
+        <Row gutter={16} align="bottom">
+          <Col span={10}>
+            <Text type="secondary" style={{ display: 'block', marginBottom: '0.25rem' }}>Template</Text>
+            <Select
+              mode="multiple"
+              allowClear
+              style={{ width: '100%' }}
+              placeholder="All templates"
+              value={templateIds}
+              options={templates.map(t => ({ value: t.id, label: t.name }))}
+              onChange={setTemplateIds}
+            />
+          </Col>
+          <Col span={8}>
+            <Text type="secondary" style={{ display: 'block', marginBottom: '0.25rem' }}>Created</Text>
+            <RangePicker style={{ width: '100%' }} value={dates} onChange={setDates} />
+          </Col>
+          <Col span={6}>
+            <Text type="secondary" style={{ display: 'block', marginBottom: '0.25rem' }}>Pass threshold</Text>
+            <InputNumber
+              min={0}
+              max={100}
+              addonAfter="/ 100"
+              style={{ width: '100%' }}
+              value={passThreshold}
+              onChange={(value) => typeof value === 'number' && dispatch(setAnalyticsSettings({ passThreshold: value }))}
+            />
+          </Col>
+        </Row>
+      </Card>
+
+      <Row gutter={16}>
+        <Col span={6}>
+          <Card size="small"><Statistic title="Candidates" value={stats.count} /></Card>
+        </Col>
+        <Col span={6}>
+          <Card size="small">
+            <Statistic title="Completion rate" value={stats.completion.completionRate ?? '–'} suffix={stats.completion.completionRate !== null ? '%' : ''} />
+            <Text type="secondary">
+              {stats.completion.completed} of {stats.completion.started} started, {stats.completion.abandoned} abandoned
+            </Text>
+          </Card>
+        </Col>
+        <Col span={6}>
+          <Card size="small">
+            <Statistic title={`Pass rate (≥ ${passThreshold})`} value={stats.pass.rate ?? '–'} suffix={stats.pass.rate !== null ? '%' : ''} />
+            <Text type="secondary">{stats.pass.passed} of {stats.pass.scored} scored</Text>
+          </Card>
+        </Col>
+        <Col span={6}>
+          <Card size="small">
+            <Statistic title="In progress" value={stats.completion.inProgress} />
+            <Text type="secondary">Idle for a day counts as abandoned</Text>
+          </Card>
+        </Col>
+      </Row>
+
+      <Row gutter={16}>
+        <Col span={12}>
+          <Card>
+            <Title level={5} style={{ marginTop: 0 }}>Score distribution</Title>
+            <BarChart
+              data={stats.distribution.map(b => ({ label: `${b.from}–${b.to}`, count: b.count }))}
+              series={[{ key: 'count', label: 'Candidates', color: '#6366f1' }]}
+              emptyText="No completed interviews"
+            />
+          </Card>
+        </Col>
+        <Col span={12}>
+          <Card>
+            <Title level={5} style={{ marginTop: 0 }}>Candidates per week</Title>
+            <BarChart
+              data={stats.perWeek.map(w => ({ label: w.weekStart.toLocaleDateString(undefined, { month: 'short', day: 'numeric' }), count: w.count }))}
+              series={[{ key: 'count', label: 'Candidates', color: '#0ea5e9' }]}
+            />
+          </Card>
+        </Col>
+      </Row>
+
+      <Row gutter={16}>
+        <Col span={12}>
+          <Card>
+            <Title level={5} style={{ marginTop: 0 }}>Average answer score by difficulty</Title>
+            <BarChart
+              data={stats.byDifficulty.map(d => ({ label: `${d.difficulty} (${d.count})`, average: d.average }))}
+              series={[{ key: 'average', label: 'Average score', color: '#10b981' }]}
+              formatValue={(v) => `${v}/10`}
+              emptyText="No scored answers"
+            />
+          </Card>
+        </Col>
+        <Col span={12}>
+          <Card>
+            <Title level={5} style={{ marginTop: 0 }}>Time used vs. allowed per question</Title>
+            <BarChart
+              data={stats.timeUsage.map(t => ({ label: `#${t.index + 1}`, used: t.used, allowed: t.allowed }))}
+              series={[
+                { key: 'used', label: 'Used', color: '#f59e0b' },
+                { key: 'allowed', label: 'Allowed', color: '#cbd5e1' }
+              ]}
+              formatValue={formatSeconds}
+              emptyText="No timed answers yet"
+            />
+          </Card>
+        </Col>
+      </Row>
+
+      <Card>
+        <Title level={5} style={{ marginTop: 0 }}>Completion and drop-off by question</Title>
+        <BarChart
+          data={stats.dropOff.map(d => ({ label: `#${d.index + 1}`, answered: d.answered, dropped: d.dropped }))}
+          series={[
+            { key: 'answered', label: 'Answered', color: '#10b981' },
+            { key: 'dropped', label: 'Left the interview here', color: '#ef4444' }
+          ]}
+          emptyText="No interviews started"
+        />
+        {stats.dropOff.length > 0 && (
+          <Table
+            style={{ marginTop: '1rem' }}
+            rowKey="index"
+            size="small"
+            pagination={false}
+            columns={dropOffColumns}
+            dataSource={stats.dropOff}
+          />
+        )}
+      </Card>
+
+      <ItemAnalysis candidates={stats.selected} />
+    </Space>
+  );
+};
+
+export default HiringAnalytics;
@@ -1,51 +1,80 @@
 import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
 import { updateCandidate, setCurrentCandidateId, setActiveTab, setViewMode } from '../store/candidatesSlice';
-import { Card, Button, Typography, Progress, Input, Spin, Alert, Row, Col, Tag, Space, Divider } from 'antd';
-import { SendOutlined, PauseOutlined, PlayCircleOutlined, HourglassOutlined, CheckCircleOutlined, ClockCircleOutlined, ApiOutlined } from '@ant-design/icons';
-import { PerplexityAPI } from '../utils/perplexityAPI';
+import { Card, Button, Typography, Progress, Input, Spin, Alert, Row, Col, Tag, Space, Divider, Radio, Checkbox } from 'antd';
+import { SendOutlined, CodeOutlined, PauseOutlined, PlayCircleOutlined, HourglassOutlined, CheckCircleOutlined, ClockCircleOutlined, ApiOutlined } from '@ant-design/icons';
+import { AIService } from '../utils/aiService';
 import { defaultQuestions } from '../utils/defaultQuestions';
+import { getDefaultRubric, getRubricForQuestion } from '../utils/rubrics';
+import { canAskFollowUp, insertFollowUp } from '../utils/followUps';
+import { buildCandidateProfile, describeRole } from '../utils/candidateProfile';
+import { START_DIFFICULTY, selectNextDifficulty, countMainQuestions, getHighestDifficulty } from '../utils/adaptiveDifficulty';
+import { drawFromBank, toInterviewQuestion } from '../utils/questionBank';
+import { runCode, scoreTestRun, combineCodingScore, getCodingFields } from '../utils/codeRunner';
+import { isChoiceQuestion, gradeChoiceAnswer } from '../utils/choiceQuestions';
+import CodeEditor from './CodeEditor';
+import { watchLease, claimLease } from '../store/crossTabSync';
+import { getCandidateTemplate, getTemplateQuestionCount, getTemplateTimeLimit, getDifficultyPlan, computeFinalScore } from '../utils/interviewTemplates';
 
 const { Title, Text } = Typography;
 const { TextArea } = Input;
 
+const TIME_SAVE_INTERVAL = 5; // seconds between saves of the running clock
+
+// Coding questions keep their own time limit and the code-review rubric
+const withCodingFields = (question, source) => (source.type === 'coding'
+  ? { ...question, ...getCodingFields(source), timeLimit: source.timeLimit || question.timeLimit, rubric: getRubricForQuestion(source) }
+  : question);
+
+const describeTestRun = (run) => `${run.passed}/${run.total} automated tests passed${run.timedOut ? ' (time limit exceeded)' : ''}`;
+
 const InterviewChat = () => {
   const dispatch = useDispatch();
   const { candidates, currentCandidateId } = useSelector(state => state.candidates);
+  const aiSettings = useSelector(state => state.settings.ai);
+  const interviewSettings = useSelector(state => state.settings.interview);
+  const bankQuestions = useSelector(state => state.questionBank.questions);
   
   // Use useMemo to prevent unnecessary re-renders
   const activeCandidate = useMemo(() => {
     return candidates.find(c => c.id === currentCandidateId);
   }, [candidates, currentCandidateId]);
   
+  // Resume-derived profile grounds questions in the candidate's own experience
+  const candidateProfile = useMemo(() => buildCandidateProfile(activeCandidate?.resumeData), [activeCandidate?.resumeData]);
+  // Interview shape (counts, timers, weights) the candidate was created with
+  const template = useMemo(() => getCandidateTemplate(activeCandidate), [activeCandidate]);
+  const roleInfo = describeRole(candidateProfile, template.role);
+  
   // Use candidate's currentQuestionIndex instead of local state
   const currentQuestionIndex = activeCandidate?.currentQuestionIndex || 0;
+  // Follow-ups can grow the list mid-interview, so the end is wherever the list ends
+  const totalQuestions = activeCandidate?.questions?.length || 0;
+  const allQuestionsAnswered = totalQuestions > 0 && currentQuestionIndex >= totalQuestions;
+  // Adaptive interviews add questions one at a time; count the ones still to come
+  const plannedQuestions = activeCandidate?.adaptive
+    ? totalQuestions + Math.max(0, (activeCandidate.plannedQuestionCount || getTemplateQuestionCount(template)) - countMainQuestions(activeCandidate.questions))
+    : totalQuestions;
   const [timeLeft, setTimeLeft] = useState(activeCandidate?.timeLeft || 0);
   const [answer, setAnswer] = useState('');
+  const [selection, setSelection] = useState([]); // option ids picked on a choice question
   const [isPaused, setIsPaused] = useState(activeCandidate?.isPaused || false);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [notice, setNotice] = useState(null);
   const [showApiInfo, setShowApiInfo] = useState(false);
+  const [exampleRun, setExampleRun] = useState(null); // visible test results for the current coding question
+  const [runningExamples, setRunningExamples] = useState(false);
+  const [ownsInterview, setOwnsInterview] = useState(true); // false while another window drives this interview
+  const inputLocked = isPaused || !ownsInterview;
   
   const timerRef = useRef(null);
   const hasGeneratedQuestions = useRef(false);
   const hasFinishedInterview = useRef(false);
   const generationTimeoutRef = useRef(null);
-  
-  // Determine time limit based on question difficulty
-  const getTimeLimit = (index) => {
-    if (index < 2) return 20; // Easy questions: 20 seconds
-    if (index < 4) return 60; // Medium questions: 60 seconds
-    return 120; // Hard questions: 120 seconds
-  };
-  
-  // Get difficulty based on question index
-  const getDifficulty = (index) => {
-    if (index < 2) return 'Easy';
-    if (index < 4) return 'Medium';
-    return 'Hard';
-  };
+  const timeLeftRef = useRef(timeLeft); // read at submission, where the callback may be stale
+  const answerRef = useRef(answer); // likewise: the timer auto-submits with the callback it started with
+  const selectionRef = useRef(selection);
   
   // Get difficulty color
   const getDifficultyColor = (difficulty) => {
@@ -57,113 +86,218 @@ const InterviewChat = () => {
     }
   };
   
-  // Generate all questions in one API call
-  const generateQuestionsBatch = useCallback(async () => {
+  // Adaptive mode: one question at the difficulty picked by the engine, never
+  // repeating an earlier one. Falls back to the default questions.
+  const generateQuestionAt = useCallback(async (difficulty, asked = []) => {
+    const askedTexts = new Set(asked.map(q => q.question));
+    if (template.bankTags.length > 0) {
+      const [fromBank] = drawFromBank(bankQuestions, { tags: template.bankTags, difficulty, count: 1, exclude: [...askedTexts] });
+      if (fromBank) return toInterviewQuestion(fromBank);
+    }
     try {
-
-      
-      // Extract role information from resume if available
-      const roleInfo = activeCandidate?.resumeData?.skills?.join(', ') || 'Full Stack Developer (React/Node.js)';
-      
-      // Create a timeout promise
-      const timeoutPromise = new Promise((_, reject) => {
-        setTimeout(() => reject(new Error('Question generation timeout after 30 seconds')), 30000);
+      // Ask for one more than already used at this level so a deterministic provider still yields a new one
+      const askedAtLevel = asked.filter(q => q.difficulty === difficulty).length;
+      const { questions } = await AIService.generateQuestions(
+        { role: roleInfo, difficulty, count: askedAtLevel + 1, profile: candidateProfile },
+        aiSettings
+      );
+      const fresh = questions.find(q => !askedTexts.has(q.question));
+      if (fresh) {
+        return {
+          id: `generated-${Date.now()}`,
+          question: fresh.question,
+          difficulty,
+          timeLimit: getTemplateTimeLimit(template, difficulty),
+          rubric: getDefaultRubric(difficulty)
+        };
+      }
+    } catch (apiError) {
+      console.error('Error generating adaptive question with AI providers:', apiError);
+    }
+    const unused = defaultQuestions.filter(q => !askedTexts.has(q.question));
+    const fallback = unused.find(q => q.difficulty === difficulty) || unused[0] || defaultQuestions[asked.length % defaultQuestions.length];
+    return withCodingFields({
+      id: `default-${Date.now()}`,
+      question: fallback.question,
+      difficulty: fallback.difficulty,
+      timeLimit: getTemplateTimeLimit(template, fallback.difficulty),
+      rubric: getDefaultRubric(fallback.difficulty)
+    }, fallback);
+  }, [aiSettings, roleInfo, candidateProfile, template, bankQuestions]);
+  
+  // Generate all questions through the configured AI provider chain
+  const generateQuestionsBatch = useCallback(async () => {
+    const toQuestion = (prefix, difficulty, text, idx) => ({
+      id: `${prefix}-${Date.now()}-${idx}`,
+      question: text,
+      difficulty,
+      timeLimit: getTemplateTimeLimit(template, difficulty),
+      rubric: getDefaultRubric(difficulty)
+    });
+    
+    // A template with a fixed question list asks exactly those, in order
+    if (template.fixedQuestions.length > 0) {
+      return template.fixedQuestions.map((q, idx) => toQuestion('fixed', q.difficulty, q.question, idx));
+    }
+    
+    if (interviewSettings?.adaptiveDifficulty) {
+      return [await generateQuestionAt(START_DIFFICULTY)];
+    }
+    
+    // Templates with bank tags ask bank questions first; generation only fills the gaps
+    const fromBank = Object.fromEntries(['Easy', 'Medium', 'Hard'].map(difficulty => [
+      difficulty,
+      template.bankTags.length > 0
+        ? drawFromBank(bankQuestions, { tags: template.bankTags, difficulty, count: template.questionCounts[difficulty] })
+          .map((q, idx) => toInterviewQuestion(q, idx))
+        : []
+    ]));
+    
+    // Bank and default questions cycled to fill the template's plan, one difficulty at a time
+    const defaultsForPlan = (prefix) => {
+      const used = {};
+      return getDifficultyPlan(template).map((difficulty, idx) => {
+        const n = used[difficulty] = (used[difficulty] || 0) + 1;
+        if (n <= fromBank[difficulty].length) return fromBank[difficulty][n - 1];
+        const pool = defaultQuestions.filter(q => q.difficulty === difficulty);
+        const source = pool[(n - 1 - fromBank[difficulty].length) % pool.length];
+        return withCodingFields(toQuestion(prefix, difficulty, source.question, idx), source);
       });
-      
-      // Try to generate questions with Perplexity API
+    };
+    
+    try {
       let allQuestions = [];
       
-      // First check if API is available
-      if (PerplexityAPI.isApiKeyAvailable()) {
-        try {
-          // Test connection first
-          const connectionTest = await PerplexityAPI.testConnection();
-          
-          if (connectionTest.success) {
-            // Generate 2 easy, 2 medium, and 2 hard questions with timeout
-            const easyQuestions = await Promise.race([
-              PerplexityAPI.generateQuestions(roleInfo, 'easy', 2),
-              timeoutPromise
-            ]);
-            
-            const mediumQuestions = await Promise.race([
-              PerplexityAPI.generateQuestions(roleInfo, 'medium', 2),
-              timeoutPromise
-            ]);
-            
-            const hardQuestions = await Promise.race([
-              PerplexityAPI.generateQuestions(roleInfo, 'hard', 2),
-              timeoutPromise
-            ]);
-            
-            // Combine all questions
-            allQuestions = [...easyQuestions, ...mediumQuestions, ...hardQuestions];
-          } else {
-            setError(`Perplexity API connection failed: ${connectionTest.error}. Using default questions.`);
+      try {
+        // Generate as many questions of each difficulty as the template asks for
+        for (const difficulty of ['Easy', 'Medium', 'Hard']) {
+          const missing = template.questionCounts[difficulty] - fromBank[difficulty].length;
+          let generated = [];
+          if (missing > 0) {
+            const { questions } = await AIService.generateQuestions(
+              { role: roleInfo, difficulty, count: missing, profile: candidateProfile },
+              aiSettings
+            );
+            generated = questions.slice(0, missing)
+              .map((q, idx) => toQuestion('generated', difficulty, q.question, allQuestions.length + idx));
           }
-        } catch (apiError) {
-          console.error('Error generating questions with Perplexity API:', apiError);
-          setError(`API Error: ${apiError.message}. Using default questions.`);
+          allQuestions = [...allQuestions, ...fromBank[difficulty], ...generated];
         }
-      } else {
-        console.warn('Perplexity API key not available');
-        setError('Perplexity API key not configured. Using default questions.');
+      } catch (apiError) {
+        console.error('Error generating questions with AI providers:', apiError);
+        setError(`${apiError.message}. Using default questions.`);
+        allQuestions = [];
       }
       
       // If we still don't have questions, use defaults
       if (allQuestions.length === 0) {
-        return defaultQuestions.map((q, idx) => ({ 
-          id: `default-${Date.now()}-${idx}`, 
-          question: q.question, 
-          difficulty: q.difficulty, 
-          timeLimit: q.timeLimit || getTimeLimit(idx) 
-        }));
+        return defaultsForPlan('default');
       }
       
-      return allQuestions.map((q, idx) => ({
-        id: `generated-${Date.now()}-${idx}`,
-        question: q.question,
-        difficulty: q.difficulty || getDifficulty(idx),
-        timeLimit: q.timeLimit || getTimeLimit(idx)
-      }));
+      return allQuestions;
     } catch (err) {
       console.error('Error in generateQuestionsBatch:', err);
       // Always return default questions as fallback
-      return defaultQuestions.map((q, idx) => ({ 
-        id: `fallback-${Date.now()}-${idx}`, 
-        question: q.question,
-        difficulty: q.difficulty,
-        timeLimit: q.timeLimit || getTimeLimit(idx) 
-      }));
+      return defaultsForPlan('fallback');
     }
-  }, [activeCandidate]);
+  }, [aiSettings, interviewSettings, roleInfo, candidateProfile, template, bankQuestions, generateQuestionAt]);
   
   const submitAnswer = useCallback(async () => {
-    if (currentQuestionIndex >= 6) return;
+    if (allQuestionsAnswered) return;
     
     if (!activeCandidate || !activeCandidate.questions || activeCandidate.questions.length === 0) return;
     
     const currentQuestion = activeCandidate.questions[currentQuestionIndex];
     if (!currentQuestion) return;
     
-    const answerToSubmit = answer || "No answer provided (time ran out)";
+    const isCoding = currentQuestion.type === 'coding';
+    // Choice questions are graded here, instantly and without an API call
+    const choiceGrade = isChoiceQuestion(currentQuestion) ? gradeChoiceAnswer(currentQuestion, selectionRef.current) : null;
+    const answerToSubmit = choiceGrade
+      ? (choiceGrade.answerText || 'No option selected')
+      : (answerRef.current || "No answer provided (time ran out)");
+    // Seconds the candidate spent on the question, for the analytics
+    const timeLimit = currentQuestion.timeLimit || getTemplateTimeLimit(template, currentQuestion.difficulty);
+    const timeUsed = Math.min(timeLimit, Math.max(0, timeLimit - timeLeftRef.current));
     
-    // Extract role information from resume if available
-    const roleInfo = activeCandidate.resumeData?.skills?.join(', ') || 'Full Stack Developer (React/Node.js)';
     
-    // Evaluate answer using Perplexity API
+    // Evaluate answer through the configured AI provider chain
     setLoading(true);
     try {
-      let evaluation = { score: 5, feedback: "Default evaluation due to API error." };
+      // Never invent a score: an answer that could not be evaluated is stored
+      // unscored with the raw responses so it can be reviewed by hand
+      let answerRecord;
       
-      try {
-        evaluation = await PerplexityAPI.evaluateAnswer(
-          currentQuestion.question,
-          answerToSubmit,
-          roleInfo
-        );
-      } catch (apiError) {
-        console.error('Error evaluating answer with Perplexity API, using default evaluation:', apiError);
+      // Coding answers run against all test cases, hidden ones included, before the review
+      const testRun = isCoding
+        ? await runCode({ ...getCodingFields(currentQuestion), code: answerToSubmit })
+        : null;
+      
+      if (choiceGrade) {
+        answerRecord = {
+          score: choiceGrade.score,
+          feedback: choiceGrade.feedback,
+          gradedLocally: true,
+          evaluation: {
+            selectedOptions: choiceGrade.selected,
+            correct: choiceGrade.correct
+          }
+        };
+      } else {
+        try {
+          const evaluation = await AIService.evaluateAnswer(
+            {
+              question: currentQuestion.question,
+              answer: isCoding
+                ? `\`\`\`${currentQuestion.language}\n${answerToSubmit}\n\`\`\`\n${describeTestRun(testRun)}.`
+                : answerToSubmit,
+              role: roleInfo,
+              difficulty: currentQuestion.difficulty,
+              rubric: getRubricForQuestion(currentQuestion),
+              referenceAnswer: currentQuestion.referenceAnswer
+            },
+            aiSettings
+          );
+          answerRecord = {
+            score: evaluation.score,
+            feedback: evaluation.feedback,
+            provider: evaluation.provider,
+            evaluation: {
+              criteria: evaluation.criteria,
+              strengths: evaluation.strengths,
+              gaps: evaluation.gaps,
+              confidence: evaluation.confidence,
+              modelScore: evaluation.modelScore,
+              repaired: evaluation.meta.repaired,
+              attempts: evaluation.meta.attempts,
+              raw: evaluation.meta.raw
+            }
+          };
+        } catch (apiError) {
+          console.error('Error evaluating answer with AI providers:', apiError);
+          setNotice(isCoding
+            ? 'Your code was tested but could not be reviewed automatically. An interviewer will review it.'
+            : 'Your answer was saved but could not be evaluated automatically. An interviewer will review it.');
+          answerRecord = {
+            score: null,
+            feedback: '',
+            evaluationError: apiError.message,
+            evaluation: {
+              rawResponses: (apiError.attempts || []).flatMap(a => a.rawResponses || [])
+            }
+          };
+        }
+      }
+      
+      // Test results are real measurements, so they score a coding answer even without a review
+      if (testRun) {
+        const testScore = scoreTestRun(testRun);
+        answerRecord = {
+          ...answerRecord,
+          score: combineCodingScore(testScore, answerRecord.score),
+          tests: { ...testRun, score: testScore },
+          evaluation: { ...answerRecord.evaluation, reviewScore: answerRecord.score }
+        };
       }
       
       const updatedAnswers = [
@@ -171,17 +305,59 @@ const InterviewChat = () => {
         {
           questionId: currentQuestion.id,
           text: answerToSubmit,
-          score: evaluation.score,
-          feedback: evaluation.feedback,
+          timeUsed,
+          ...answerRecord,
           timestamp: new Date().toISOString()
         }
       ];
       
+      // Adaptive mode: probe a vague or wrong part of a scored answer before moving on
+      let questions = activeCandidate.questions;
+      // Read the ref rather than answerToSubmit so the time-out placeholder never counts as an answer
+      const typedAnswer = (answerRef.current || '').trim();
+      const answered = !choiceGrade && typedAnswer.length > 0 && (!isCoding || typedAnswer !== (currentQuestion.starterCode || '').trim());
+      if (
+        interviewSettings?.adaptiveFollowUps &&
+        answered &&
+        typeof answerRecord.score === 'number' &&
+        canAskFollowUp(questions, currentQuestion, interviewSettings.maxFollowUpsPerQuestion)
+      ) {
+        try {
+          const { followUp } = await AIService.generateFollowUp(
+            {
+              question: currentQuestion.question,
+              answer: answerToSubmit,
+              role: roleInfo,
+              evaluation: { score: answerRecord.score, feedback: answerRecord.feedback, gaps: answerRecord.evaluation.gaps }
+            },
+            aiSettings
+          );
+          if (followUp.ask) {
+            questions = insertFollowUp(questions, currentQuestionIndex, followUp);
+          }
+        } catch (followUpError) {
+          // A missing follow-up never blocks the interview
+          console.error('Error generating follow-up question:', followUpError);
+        }
+      }
+      
       const nextIndex = currentQuestionIndex + 1;
-      const nextQuestion = activeCandidate.questions[nextIndex];
-      const nextTimeLeft = nextQuestion ? (nextQuestion.timeLimit || getTimeLimit(nextIndex)) : 0;
+      
+      // Adaptive difficulty: pick the next question's level from the scores so far
+      if (
+        activeCandidate.adaptive &&
+        nextIndex >= questions.length &&
+        countMainQuestions(questions) < (activeCandidate.plannedQuestionCount || getTemplateQuestionCount(template))
+      ) {
+        const difficulty = selectNextDifficulty(questions, updatedAnswers);
+        questions = [...questions, await generateQuestionAt(difficulty, questions)];
+      }
+      
+      const nextQuestion = questions[nextIndex];
+      const nextTimeLeft = nextQuestion ? (nextQuestion.timeLimit || getTemplateTimeLimit(template, nextQuestion.difficulty)) : 0;
       const updatedCandidate = {
         ...activeCandidate,
+        questions,
         answers: updatedAnswers,
         currentQuestionIndex: nextIndex,
         timeLeft: nextTimeLeft,
@@ -190,6 +366,7 @@ const InterviewChat = () => {
       
       dispatch(updateCandidate(updatedCandidate));
       setAnswer('');
+      setSelection([]);
       
       // Set the timer for the next question
       if (nextQuestion) {
@@ -205,13 +382,14 @@ const InterviewChat = () => {
         {
           questionId: currentQuestion.id,
           text: answerToSubmit,
+          timeUsed,
           timestamp: new Date().toISOString()
         }
       ];
       
       const nextIndex = currentQuestionIndex + 1;
       const nextQuestion = activeCandidate.questions[nextIndex];
-      const nextTimeLeft = nextQuestion ? (nextQuestion.timeLimit || getTimeLimit(nextIndex)) : 0;
+      const nextTimeLeft = nextQuestion ? (nextQuestion.timeLimit || getTemplateTimeLimit(template, nextQuestion.difficulty)) : 0;
       const updatedCandidate = {
         ...activeCandidate,
         answers: updatedAnswers,
@@ -230,7 +408,7 @@ const InterviewChat = () => {
     } finally {
       setLoading(false);
     }
-  }, [activeCandidate, answer, dispatch]);
+  }, [activeCandidate, allQuestionsAnswered, currentQuestionIndex, aiSettings, interviewSettings, roleInfo, template, generateQuestionAt, dispatch]);
   
   const finishInterview = useCallback(async () => {
     if (!activeCandidate) return;
@@ -249,24 +427,21 @@ const InterviewChat = () => {
         }
       });
       
-      // Compute out of 100. Unanswered count as 0
-      const perQuestionScores = activeCandidate.answers.map(a => a.score || 0);
-      const totalOutOfTen = perQuestionScores.reduce((s, n) => s + n, 0);
-      const averageOutOfTen = totalOutOfTen / 6; // 6 questions
-      const averageScore = Math.max(0, Math.min(100, Math.round(averageOutOfTen * 10)));
+      // Compute out of 100, weighted by difficulty reached in adaptive interviews
+      const averageScore = computeFinalScore(activeCandidate);
       
-      // Generate summary using Perplexity API
-      const roleInfo = activeCandidate.resumeData?.skills?.join(', ') || 'Full Stack Developer (React/Node.js)';
+      // Generate summary through the configured AI provider chain
       
       let summary = "Default summary due to API error.";
       
       try {
-        summary = await PerplexityAPI.generateSummary(
-          activeCandidate,
-          roleInfo
+        const result = await AIService.generateSummary(
+          { candidate: activeCandidate, role: roleInfo, score: averageScore },
+          aiSettings
         );
+        summary = result.summary;
       } catch (apiError) {
-        console.error('Error generating summary with Perplexity API, using default summary:', apiError);
+        console.error('Error generating summary with AI providers, using default summary:', apiError);
       }
       
       const updatedCandidate = {
@@ -274,6 +449,7 @@ const InterviewChat = () => {
         interviewStatus: 'completed',
         score: averageScore,
         summary: summary,
+        difficultyReached: getHighestDifficulty(activeCandidate.questions),
         completedAt: new Date().toISOString()
       };
       
@@ -286,15 +462,63 @@ const InterviewChat = () => {
       const updatedCandidate = {
         ...activeCandidate,
         interviewStatus: 'completed',
-        score: Math.max(0, Math.min(100, Math.round(((activeCandidate.answers.reduce((s, a) => s + (a.score || 0), 0)) / 6) * 10))),
+        score: computeFinalScore(activeCandidate),
         summary: activeCandidate.summary || '',
+        difficultyReached: getHighestDifficulty(activeCandidate.questions),
         completedAt: new Date().toISOString()
       };
       dispatch(updateCandidate(updatedCandidate));
     } finally {
       setLoading(false);
     }
-  }, [activeCandidate, dispatch]);
+  }, [activeCandidate, aiSettings, roleInfo, dispatch]);
+  
+  // Only one window drives a candidate's interview (generation, timer, answers);
+  // the others follow along through the synced store
+  const leaseName = `interview:${currentCandidateId}`;
+  useEffect(() => {
+    if (!currentCandidateId) return undefined;
+    return watchLease(leaseName, setOwnsInterview);
+  }, [currentCandidateId, leaseName]);
+  
+  const takeOverInterview = () => {
+    claimLease(leaseName, { force: true });
+    setOwnsInterview(true);
+  };
+  
+  // Pausing in the driving window shows up here too
+  useEffect(() => {
+    setIsPaused(!!activeCandidate?.isPaused);
+  }, [activeCandidate?.isPaused]);
+  
+  useEffect(() => {
+    timeLeftRef.current = timeLeft;
+  }, [timeLeft]);
+  
+  useEffect(() => {
+    answerRef.current = answer;
+  }, [answer]);
+  
+  useEffect(() => {
+    selectionRef.current = selection;
+  }, [selection]);
+  
+  // The driving window saves the clock every few seconds so the others can show
+  // it and pick up from there if they take over. It reads the clock from the ref
+  // so the ticking clock never re-runs this effect.
+  const interviewStatus = activeCandidate?.interviewStatus;
+  useEffect(() => {
+    if (!currentCandidateId || !ownsInterview || isPaused || interviewStatus !== 'in_progress') return undefined;
+    let savedTime = null;
+    const saver = setInterval(() => {
+      const time = timeLeftRef.current;
+      if (time > 0 && time !== savedTime) {
+        savedTime = time;
+        dispatch(updateCandidate({ id: currentCandidateId, timeLeft: time }));
+      }
+    }, TIME_SAVE_INTERVAL * 1000);
+    return () => clearInterval(saver);
+  }, [currentCandidateId, ownsInterview, isPaused, interviewStatus, dispatch]);
   
   const togglePause = () => {
     const newPausedState = !isPaused;
@@ -323,21 +547,12 @@ const InterviewChat = () => {
       return;
     }
     
-    // Test API connection on first load
-    if (!hasGeneratedQuestions.current && activeCandidate.interviewStatus === 'not_started') {
-      PerplexityAPI.testConnection().then(result => {
-        if (!result.success) {
-          setError('Perplexity API connection test failed. Using default questions.');
-        }
-      });
-    }
-    
     if (activeCandidate.interviewStatus === 'completed') return;
     
-    if (currentQuestionIndex < 6) {
+    if (!allQuestionsAnswered) {
       if (!activeCandidate.questions || activeCandidate.questions.length === 0) {
-        // Only generate questions once at a time
-        if (!hasGeneratedQuestions.current) {
+        // Only generate questions once at a time, and only in the driving window
+        if (!hasGeneratedQuestions.current && ownsInterview) {
           hasGeneratedQuestions.current = true;
           
           // Set a timeout to prevent infinite loading
@@ -368,11 +583,15 @@ const InterviewChat = () => {
                 return;
               }
               
-              const firstQuestionTimeLimit = batch[0].timeLimit || getTimeLimit(0);
+              const firstQuestionTimeLimit = batch[0].timeLimit || getTemplateTimeLimit(template, batch[0].difficulty);
+              const adaptive = !!interviewSettings?.adaptiveDifficulty && template.fixedQuestions.length === 0;
               const updatedCandidate = {
                 ...activeCandidate,
                 questions: batch,
+                adaptive,
+                plannedQuestionCount: adaptive ? getTemplateQuestionCount(template) : batch.length,
                 interviewStatus: 'in_progress',
+                startedAt: new Date().toISOString(),
                 currentQuestionIndex: 0,
                 timeLeft: firstQuestionTimeLimit,
                 isPaused: false
@@ -421,10 +640,10 @@ const InterviewChat = () => {
         }
         setLoading(false);
       }
-    } else if (currentQuestionIndex >= 6 && activeCandidate.questions && activeCandidate.questions.length > 0 && !activeCandidate.score) {
+    } else if (allQuestionsAnswered && !activeCandidate.score) {
       // Interview completed - generate score and summary
       // Only finish interview once
-      if (!hasFinishedInterview.current) {
+      if (!hasFinishedInterview.current && ownsInterview) {
         hasFinishedInterview.current = true;
         finishInterview()
           .then(() => {
@@ -441,11 +660,12 @@ const InterviewChat = () => {
       setLoading(false);
     }
     
+    // The countdown is left to the timer effect: candidate updates, such as the
+    // clock saves, re-run this effect and must not stop it
     return () => {
-      if (timerRef.current) clearInterval(timerRef.current);
       if (generationTimeoutRef.current) clearTimeout(generationTimeoutRef.current);
     };
-  }, [activeCandidate, dispatch, generateQuestionsBatch, finishInterview]);
+  }, [activeCandidate, dispatch, generateQuestionsBatch, finishInterview, ownsInterview]);
   
   // Combined timer effect - initialize and run countdown
   useEffect(() => {
@@ -455,8 +675,8 @@ const InterviewChat = () => {
       timerRef.current = null;
     }
     
-    // Don't start timer if paused or completed
-    if (!activeCandidate || isPaused || activeCandidate.interviewStatus === 'completed' || currentQuestionIndex >= 6) {
+    // Don't start timer if paused, completed or driven from another window
+    if (!activeCandidate || !ownsInterview || isPaused || activeCandidate.interviewStatus === 'completed' || allQuestionsAnswered) {
       return;
     }
     
@@ -469,7 +689,7 @@ const InterviewChat = () => {
     // Initialize timer if needed
     let currentTime = timeLeft;
     if (currentTime <= 0) {
-      currentTime = currentQuestion.timeLimit || getTimeLimit(currentQuestionIndex);
+      currentTime = currentQuestion.timeLimit || getTemplateTimeLimit(template, currentQuestion.difficulty);
       setTimeLeft(currentTime);
     }
     
@@ -501,7 +721,7 @@ const InterviewChat = () => {
         timerRef.current = null;
       }
     };
-  }, [currentQuestionIndex, isPaused]); // Only depend on question and pause state
+  }, [currentCandidateId, currentQuestionIndex, isPaused, ownsInterview]); // Only depend on candidate, question, pause state and lease
 
   // Reset flags when candidate changes
   useEffect(() => {
@@ -514,6 +734,26 @@ const InterviewChat = () => {
   }, [currentCandidateId]);
 
   const currentQuestion = activeCandidate && activeCandidate.questions ? activeCandidate.questions[currentQuestionIndex] : null;
+  const currentQuestionId = currentQuestion?.id;
+  const starterCode = currentQuestion?.type === 'coding' ? (currentQuestion.starterCode || '') : null;
+  
+  // Coding questions open with their starter code; example results belong to one question
+  useEffect(() => {
+    setExampleRun(null);
+    setSelection([]);
+    if (starterCode !== null) {
+      setAnswer(prev => prev || starterCode);
+    }
+  }, [currentQuestionId, starterCode]);
+  
+  // Runs only the visible example tests; hidden ones run on submit
+  const runExamples = async () => {
+    setRunningExamples(true);
+    const fields = getCodingFields(currentQuestion);
+    const run = await runCode({ ...fields, code: answer, testCases: fields.testCases.filter(t => !t.hidden) });
+    setExampleRun(run);
+    setRunningExamples(false);
+  };
   
   if (activeCandidate && activeCandidate.interviewStatus === 'completed') {
     return (
@@ -628,7 +868,7 @@ const InterviewChat = () => {
     );
   }
   
-  if (loading && currentQuestionIndex < 6) {
+  if (loading && !allQuestionsAnswered) {
     return (
       <div className="fade-in" style={{ 
         textAlign: 'center', 
@@ -661,7 +901,7 @@ const InterviewChat = () => {
     );
   }
   
-  if (loading && currentQuestionIndex >= 6) {
+  if (loading && allQuestionsAnswered) {
     return (
       <div className="fade-in" style={{ 
         textAlign: 'center', 
@@ -799,11 +1039,12 @@ const InterviewChat = () => {
             <Col>
               <Space>
                 <Tag icon={<ClockCircleOutlined />} color="processing">
-                  Question {currentQuestionIndex + 1}/6
+                  Question {currentQuestionIndex + 1}/{plannedQuestions}
                 </Tag>
                 <Button 
                   icon={isPaused ? <PlayCircleOutlined /> : <PauseOutlined />} 
                   onClick={togglePause}
+                  disabled={!ownsInterview}
                   size="large"
                 >
                   {isPaused ? 'Resume' : 'Pause'}
@@ -814,18 +1055,29 @@ const InterviewChat = () => {
           
           <div style={{ marginTop: '1rem' }}>
             <Progress 
-              percent={Math.round(((currentQuestionIndex) / 6) * 100)} 
+              percent={Math.round(((currentQuestionIndex) / (plannedQuestions || 1)) * 100)} 
               status="active" 
               style={{ margin: '0.5rem 0' }}
             />
           </div>
         </div>
         
+        {!ownsInterview && (
+          <Alert
+            type="info"
+            showIcon
+            style={{ marginBottom: '1.5rem' }}
+            message="This interview is open in another window"
+            description="The timer and answers are handled there; this window follows along. Continue here to take over."
+            action={<Button size="small" onClick={takeOverInterview}>Continue here</Button>}
+          />
+        )}
+        
         {currentQuestion && (
           <Card 
             title={
               <span>
-                Question <Tag color={getDifficultyColor(currentQuestion.difficulty)}>{currentQuestion.difficulty}</Tag>
+                {currentQuestion.isFollowUp ? 'Follow-up' : 'Question'} <Tag color={getDifficultyColor(currentQuestion.difficulty)}>{currentQuestion.difficulty}</Tag>
               </span>
             } 
             style={{ 
@@ -894,17 +1146,66 @@ const InterviewChat = () => {
           flexDirection: 'column'
         }}>
           <Text strong>Your Answer:</Text>
-          <TextArea
-            rows={6}
-            placeholder="Type your answer here..."
-            value={answer}
-            onChange={(e) => setAnswer(e.target.value)}
-            disabled={isPaused}
-            style={{ 
-              marginTop: '0.5rem',
-              flex: 1
-            }}
-          />
+          {isChoiceQuestion(currentQuestion) ? (
+            <div style={{ marginTop: '0.5rem' }}>
+              {currentQuestion.type === 'single' ? (
+                <Radio.Group
+                  value={selection[0]}
+                  onChange={(e) => setSelection([e.target.value])}
+                  disabled={inputLocked}
+                >
+                  <Space direction="vertical">
+                    {currentQuestion.options.map(o => <Radio key={o.id} value={o.id}>{o.text}</Radio>)}
+                  </Space>
+                </Radio.Group>
+              ) : (
+                <>
+                  <Text type="secondary" style={{ display: 'block', marginBottom: '0.5rem' }}>Select all that apply.</Text>
+                  <Checkbox.Group value={selection} onChange={setSelection} disabled={inputLocked}>
+                    <Space direction="vertical">
+                      {currentQuestion.options.map(o => <Checkbox key={o.id} value={o.id}>{o.text}</Checkbox>)}
+                    </Space>
+                  </Checkbox.Group>
+                </>
+              )}
+            </div>
+          ) : currentQuestion?.type === 'coding' ? (
+            <div style={{ marginTop: '0.5rem' }}>
+              <CodeEditor value={answer} onChange={setAnswer} disabled={inputLocked} />
+              <Space style={{ marginTop: '0.75rem' }} wrap>
+                <Button icon={<CodeOutlined />} onClick={runExamples} loading={runningExamples} disabled={inputLocked}>
+                  Run examples
+                </Button>
+                <Text type="secondary">
+                  Define <Text code>{currentQuestion.functionName}</Text>. Submitting also runs hidden tests.
+                </Text>
+              </Space>
+              {exampleRun && (
+                <div style={{ marginTop: '0.75rem' }}>
+                  <Text strong>{exampleRun.passed}/{exampleRun.total} examples passed</Text>
+                  {exampleRun.results.map(r => (
+                    <div key={r.index}>
+                      <Tag color={r.passed ? 'success' : 'error'}>{r.passed ? 'Pass' : 'Fail'}</Tag>
+                      <Text>{r.name}</Text>
+                      {r.error && <Text type="danger"> – {r.error}</Text>}
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          ) : (
+            <TextArea
+              rows={6}
+              placeholder="Type your answer here..."
+              value={answer}
+              onChange={(e) => setAnswer(e.target.value)}
+              disabled={inputLocked}
+              style={{ 
+                marginTop: '0.5rem',
+                flex: 1
+              }}
+            />
+          )}
         </div>
         
         <div style={{ 
@@ -915,7 +1216,7 @@ const InterviewChat = () => {
             type="primary" 
             icon={<SendOutlined />}
             onClick={submitAnswer}
-            disabled={isPaused}
+            disabled={inputLocked}
             size="large"
           >
             Submit Answer
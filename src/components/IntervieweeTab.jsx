@@ -7,9 +7,12 @@ import {
   setActiveTab,
   setViewMode
 } from '../store/candidatesSlice';
-import { Upload, Button, Form, Input, Card, Steps, Typography, Modal, Spin, Row, Col, Alert, Space, message } from 'antd';
+import { Upload, Button, Form, Input, Select, Checkbox, Card, Steps, Typography, Modal, Spin, Row, Col, Alert, Space, message } from 'antd';
 import { UploadOutlined, UserOutlined, MailOutlined, PhoneOutlined, WarningOutlined, FilePdfOutlined, FileWordOutlined } from '@ant-design/icons';
 import ResumeParser from '../utils/resumeParser';
+import BlobStore from '../utils/blobStore';
+import { findTemplate, describeTemplate } from '../utils/interviewTemplates';
+import { getConsentItems, buildConsentRecord } from '../utils/privacy';
 import InterviewChat from './InterviewChat';
 
 const { Title, Text } = Typography;
@@ -20,6 +23,8 @@ const IntervieweeTab = () => {
   const candidates = useSelector(state => state.candidates.candidates);
   const currentCandidateId = useSelector(state => state.candidates.currentCandidateId);
   const activeTab = useSelector(state => state.candidates.activeTab);
+  const { templates, defaultTemplateId } = useSelector(state => state.templates);
+  const privacy = useSelector(state => state.settings.privacy);
   
   const [form] = Form.useForm();
   const [resumeFile, setResumeFile] = useState(null);
@@ -112,38 +117,32 @@ const IntervieweeTab = () => {
   };
 
   const onFinish = async (values) => {
+    const { consent, ...details } = values;
     try {
-      // Convert file to base64 for persistent storage
+      // The file goes to IndexedDB; the candidate keeps a reference to it
       let resumeFileData = null;
       if (resumeFile) {
         try {
-          const reader = new FileReader();
-          resumeFileData = await new Promise((resolve, reject) => {
-            reader.onload = () => {
-              resolve({
-                data: reader.result,
-                name: resumeFile.name,
-                type: resumeFile.type,
-                size: resumeFile.size
-              });
-            };
-            reader.onerror = reject;
-            reader.readAsDataURL(resumeFile);
-          });
+          resumeFileData = await BlobStore.saveFile(resumeFile);
         } catch (error) {
-          console.error('Error converting resume to base64:', error);
+          console.error('Error storing resume file:', error);
           message.error('Failed to process resume file');
         }
       }
 
       const candidateData = {
         id: Date.now().toString(),
-        ...values,
+        ...details,
+        // Snapshot, so later template edits don't change this interview
+        template: findTemplate(templates, details.templateId),
+        // What the candidate agreed to, with the texts as shown and when
+        consent: buildConsentRecord(consent, privacy),
         resumeFile: resumeFileData,
         resumeData: parsedData,
         interviewStatus: 'not_started',
         answers: [],
         questions: [],
+        attempts: [], // earlier attempts, archived when the interview is restarted
         currentQuestionIndex: 0,
         timeLeft: 0,
         isPaused: false,
@@ -273,7 +272,7 @@ const IntervieweeTab = () => {
                 title: 'Upload Resume',
               },
               {
-                title: 'Fill Details',
+                title: 'Details & Consent',
               },
               {
                 title: 'Start Interview',
@@ -430,6 +429,39 @@ const IntervieweeTab = () => {
                       prefix={<PhoneOutlined />}
                     />
                   </Form.Item>
+
+                  <Form.Item
+                    name="templateId"
+                    label="Interview Template"
+                    initialValue={defaultTemplateId}
+                  >
+                    <Select
+                      size="large"
+                      options={templates.map(t => ({
+                        value: t.id,
+                        label: `${t.name} – ${describeTemplate(t)}`
+                      }))}
+                    />
+                  </Form.Item>
+
+                  <Form.Item label="Consent" style={{ marginBottom: 0 }}>
+                    {getConsentItems(privacy).map(item => (
+                      <Form.Item
+                        key={item.id}
+                        name={['consent', item.id]}
+                        valuePropName="checked"
+                        initialValue={false}
+                        style={{ marginBottom: '0.5rem' }}
+                        rules={item.required ? [{
+                          validator: (_, checked) => (checked
+                            ? Promise.resolve()
+                            : Promise.reject(new Error('Required to take the interview')))
+                        }] : []}
+                      >
+                        <Checkbox>{item.text}</Checkbox>
+                      </Form.Item>
+                    ))}
+                  </Form.Item>
                 </div>
 
                 <Form.Item style={{ marginTop: 'auto' }}>
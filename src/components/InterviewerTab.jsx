@@ -1,25 +1,44 @@
-import React, { useState } from 'react';
+import React, { useState, useMemo } from 'react';
 import { useSelector, useDispatch } from 'react-redux';
-import { setCurrentCandidateId, setActiveTab, setViewMode, resetInterview } from '../store/candidatesSlice';
-import { Table, Card, Button, Typography, Input, Space, Tag, Row, Col, message, Modal } from 'antd';
-import { SearchOutlined, EyeOutlined, RedoOutlined, UserOutlined, CheckCircleOutlined, ClockCircleOutlined, PlayCircleOutlined, ExclamationCircleOutlined } from '@ant-design/icons';
+import { setCurrentCandidateId, setActiveTab, setViewMode, setComparisonIds, resetInterview } from '../store/candidatesSlice';
+import { Table, Card, Button, Typography, Space, Tag, Row, Col, message, Modal, Tabs } from 'antd';
+import { EyeOutlined, SwapOutlined, RedoOutlined, UserOutlined, CheckCircleOutlined, ClockCircleOutlined, PlayCircleOutlined, ExclamationCircleOutlined } from '@ant-design/icons';
+import AISettingsPanel from './AISettingsPanel';
+import TemplateManager from './TemplateManager';
+import QuestionBankManager from './QuestionBankManager';
+import QuarantineNotice from './QuarantineNotice';
+import BackupRestore from './BackupRestore';
+import EncryptionSettings from './EncryptionSettings';
+import PrivacySettings from './PrivacySettings';
+import CandidateFilters from './CandidateFilters';
+import HighlightText from './HighlightText';
+import HiringAnalytics from './HiringAnalytics';
+import CandidateExport from './CandidateExport';
+import { EMPTY_FILTERS, collectFilterOptions, filterCandidates, findTextMatches } from '../utils/candidateFilters';
+import { MIN_COMPARED, MAX_COMPARED } from '../utils/candidateComparison';
+import { getCurrentAttemptNumber } from '../utils/interviewAttempts';
 
 const { Title, Text } = Typography;
-const { Search } = Input;
 const { confirm } = Modal;
 
+const MAX_SHOWN_MATCHES = 3;
+
 const InterviewerTab = () => {
   const dispatch = useDispatch();
   const candidates = useSelector(state => state.candidates.candidates);
   
-  const [searchText, setSearchText] = useState('');
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [pickerValues, setPickerValues] = useState({}); // the date pickers' own values
+  const [selectedIds, setSelectedIds] = useState([]); // finalists picked for comparison
   const [refreshKey, setRefreshKey] = useState(0);
+  const [activeSection, setActiveSection] = useState('candidates');
   
-  // Filter candidates based on search text
-  const filteredCandidates = candidates.filter(candidate => 
-    candidate.name.toLowerCase().includes(searchText.toLowerCase()) ||
-    candidate.email.toLowerCase().includes(searchText.toLowerCase())
-  );
+  const filterOptions = useMemo(() => collectFilterOptions(candidates), [candidates]);
+  const filteredCandidates = useMemo(() => filterCandidates(candidates, filters), [candidates, filters]);
+  // Where the full-text search matched, per candidate
+  const textMatches = useMemo(() => new Map(
+    filteredCandidates.map(c => [c.id, findTextMatches(c, filters.text)])
+  ), [filteredCandidates, filters.text]);
   
   // Sort candidates by score (highest first), then by completion status
   const sortedCandidates = [...filteredCandidates].sort((a, b) => {
@@ -43,9 +62,17 @@ const InterviewerTab = () => {
       key: 'name',
       render: (text, record) => (
         <div>
-          <Text strong style={{ fontSize: '1.1rem' }}>{text}</Text>
+          <Text strong style={{ fontSize: '1.1rem' }}><HighlightText text={text} query={filters.search} /></Text>
           <br />
-          <Text type="secondary">{record.email}</Text>
+          <Text type="secondary"><HighlightText text={record.email} query={filters.search} /></Text>
+          {record.attempts?.length > 0 && (
+            <Tag style={{ marginLeft: '0.5rem' }}>Attempt {getCurrentAttemptNumber(record)}</Tag>
+          )}
+          {record.tags?.length > 0 && (
+            <div style={{ marginTop: '0.25rem' }}>
+              {record.tags.map(tag => <Tag key={tag} color="geekblue">{tag}</Tag>)}
+            </div>
+          )}
         </div>
       ),
       sorter: (a, b) => a.name.localeCompare(b.name),
@@ -71,7 +98,8 @@ const InterviewerTab = () => {
         { text: 'In Progress', value: 'in_progress' },
         { text: 'Completed', value: 'completed' },
       ],
-      onFilter: (value, record) => record.interviewStatus === value,
+      // Applied by filterCandidates, so the export sees the same rows as the table
+      filteredValue: filters.statuses,
     },
     {
       title: 'Score',
@@ -90,6 +118,29 @@ const InterviewerTab = () => {
       },
       sorter: (a, b) => (b.score || 0) - (a.score || 0),
     },
+    ...(filters.text.trim() ? [{
+      title: 'Matches',
+      key: 'matches',
+      width: 420,
+      render: (_, record) => {
+        const matches = textMatches.get(record.id) || [];
+        return (
+          <div>
+            {matches.slice(0, MAX_SHOWN_MATCHES).map((match, idx) => (
+              <div key={idx} style={{ marginBottom: '0.25rem' }}>
+                <Text type="secondary">
+                  {record.attempts?.length > 0 && `Attempt ${match.attempt} · `}{match.field}:
+                </Text>{' '}
+                <HighlightText text={match.snippet} query={filters.text} />
+              </div>
+            ))}
+            {matches.length > MAX_SHOWN_MATCHES && (
+              <Text type="secondary">and {matches.length - MAX_SHOWN_MATCHES} more</Text>
+            )}
+          </div>
+        );
+      },
+    }] : []),
     {
       title: 'Actions',
       key: 'actions',
@@ -130,11 +181,16 @@ const InterviewerTab = () => {
     }
   };
   
+  const compareSelected = () => {
+    dispatch(setComparisonIds(selectedIds));
+    dispatch(setViewMode('compare'));
+  };
+  
   const restartInterview = (candidate) => {
     confirm({
       title: 'Are you sure you want to restart this interview?',
       icon: <ExclamationCircleOutlined />,
-      content: `This will reset all progress for ${candidate.name} and cannot be undone.`,
+      content: `${candidate.name} will start a new attempt. The current one stays in their attempt history.`,
       okText: 'Yes, Restart',
       okType: 'danger',
       cancelText: 'No, Cancel',
@@ -147,7 +203,7 @@ const InterviewerTab = () => {
           // Force table refresh
           setRefreshKey(prev => prev + 1);
           
-          message.success(`Interview restarted successfully for ${candidate.name}`);
+          message.success(`New attempt started for ${candidate.name}`);
         } catch (error) {
           message.error(`Failed to restart interview: ${error.message || 'Unknown error occurred'}`);
         }
@@ -165,82 +221,151 @@ const InterviewerTab = () => {
       padding: '2rem'
     }}>
       <Title level={2}>Interview Dashboard</Title>
+      <QuarantineNotice />
       
-      <Card style={{ 
-        flex: 1,
-        display: 'flex',
-        flexDirection: 'column'
-      }}>
-        <Row gutter={16} style={{ marginBottom: '1.5rem' }}>
-          <Col span={6}>
-            <Card size="small">
-              <Text strong>Total Candidates</Text>
-              <br />
-              <Text style={{ fontSize: '1.5rem', fontWeight: 'bold' }}>{candidates.length}</Text>
-            </Card>
-          </Col>
-          <Col span={6}>
-            <Card size="small">
-              <Text strong>Completed</Text>
-              <br />
-              <Text type="success" style={{ fontSize: '1.5rem', fontWeight: 'bold' }}>
-                {candidates.filter(c => c.interviewStatus === 'completed').length}
-              </Text>
-            </Card>
-          </Col>
-          <Col span={6}>
-            <Card size="small">
-              <Text strong>In Progress</Text>
-              <br />
-              <Text type="warning" style={{ fontSize: '1.5rem', fontWeight: 'bold' }}>
-                {candidates.filter(c => c.interviewStatus === 'in_progress').length}
-              </Text>
-            </Card>
-          </Col>
-          <Col span={6}>
-            <Card size="small">
-              <Text strong>Not Started</Text>
-              <br />
-              <Text type="secondary" style={{ fontSize: '1.5rem', fontWeight: 'bold' }}>
-                {candidates.filter(c => c.interviewStatus === 'not_started').length}
-              </Text>
-            </Card>
-          </Col>
-        </Row>
+      <Tabs
+        activeKey={activeSection}
+        onChange={setActiveSection}
+        items={[
+          {
+            key: 'candidates',
+            label: 'Candidates',
+            children: (
+              <Card style={{ 
+                flex: 1,
+                display: 'flex',
+                flexDirection: 'column'
+              }}>
+                <Row gutter={16} style={{ marginBottom: '1.5rem' }}>
+                  <Col span={6}>
+                    <Card size="small">
+                      <Text strong>Total Candidates</Text>
+                      <br />
+                      <Text style={{ fontSize: '1.5rem', fontWeight: 'bold' }}>{candidates.length}</Text>
+                    </Card>
+                  </Col>
+                  <Col span={6}>
+                    <Card size="small">
+                      <Text strong>Completed</Text>
+                      <br />
+                      <Text type="success" style={{ fontSize: '1.5rem', fontWeight: 'bold' }}>
+                        {candidates.filter(c => c.interviewStatus === 'completed').length}
+                      </Text>
+                    </Card>
+                  </Col>
+                  <Col span={6}>
+                    <Card size="small">
+                      <Text strong>In Progress</Text>
+                      <br />
+                      <Text type="warning" style={{ fontSize: '1.5rem', fontWeight: 'bold' }}>
+                        {candidates.filter(c => c.interviewStatus === 'in_progress').length}
+                      </Text>
+                    </Card>
+                  </Col>
+                  <Col span={6}>
+                    <Card size="small">
+                      <Text strong>Not Started</Text>
+                      <br />
+                      <Text type="secondary" style={{ fontSize: '1.5rem', fontWeight: 'bold' }}>
+                        {candidates.filter(c => c.interviewStatus === 'not_started').length}
+                      </Text>
+                    </Card>
+                  </Col>
+                </Row>
         
-        <div style={{ marginBottom: '1.5rem' }}>
-          <Search
-            placeholder="Search candidates by name or email"
-            allowClear
-            enterButton={<SearchOutlined />}
-            size="large"
-            onSearch={setSearchText}
-            onChange={(e) => setSearchText(e.target.value)}
-            style={{ width: '100%' }}
-          />
-        </div>
+                <CandidateFilters
+                  filters={filters}
+                  onChange={setFilters}
+                  options={filterOptions}
+                  pickerValues={pickerValues}
+                  onPickerChange={setPickerValues}
+                />
+                <Row justify="space-between" align="middle" style={{ marginBottom: '0.5rem' }}>
+                  <Text type="secondary">
+                    {filteredCandidates.length !== candidates.length && `Showing ${filteredCandidates.length} of ${candidates.length} candidates`}
+                  </Text>
+                  <Space>
+                    <Text type="secondary">Select {MIN_COMPARED}–{MAX_COMPARED} candidates to compare</Text>
+                    <Button
+                      icon={<SwapOutlined />}
+                      disabled={selectedIds.length < MIN_COMPARED}
+                      onClick={compareSelected}
+                    >
+                      Compare{selectedIds.length > 0 && ` (${selectedIds.length})`}
+                    </Button>
+                    <CandidateExport candidates={sortedCandidates} />
+                  </Space>
+                </Row>
         
-        <div style={{ flex: 1 }}>
-          <Table 
-            key={refreshKey}
-            dataSource={sortedCandidates} 
-            columns={columns} 
-            rowKey="id"
-            pagination={{ pageSize: 10 }}
-            scroll={{ x: 'max-content' }}
-            style={{ width: '100%' }}
-          />
+                <div style={{ flex: 1 }}>
+                  <Table 
+                    key={refreshKey}
+                    dataSource={sortedCandidates} 
+                    columns={columns} 
+                    rowKey="id"
+                    rowSelection={{
+                      selectedRowKeys: selectedIds,
+                      onChange: setSelectedIds,
+                      hideSelectAll: true,
+                      getCheckboxProps: (record) => ({
+                        disabled: selectedIds.length >= MAX_COMPARED && !selectedIds.includes(record.id),
+                      }),
+                    }}
+                    pagination={{ pageSize: 10 }}
+                    onChange={(pagination, tableFilters) => setFilters(current => ({ ...current, statuses: tableFilters.status || [] }))}
+                    scroll={{ x: 'max-content' }}
+                    style={{ width: '100%' }}
+                  />
           
-          {sortedCandidates.length === 0 && (
-            <div style={{ textAlign: 'center', padding: '3rem' }}>
-              <UserOutlined style={{ fontSize: '3rem', color: '#94a3b8' }} />
-              <Text type="secondary" style={{ display: 'block', marginTop: '1rem', fontSize: '1.1rem' }}>
-                No candidates found
-              </Text>
-            </div>
-          )}
-        </div>
-      </Card>
+                  {sortedCandidates.length === 0 && (
+                    <div style={{ textAlign: 'center', padding: '3rem' }}>
+                      <UserOutlined style={{ fontSize: '3rem', color: '#94a3b8' }} />
+                      <Text type="secondary" style={{ display: 'block', marginTop: '1rem', fontSize: '1.1rem' }}>
+                        No candidates found
+                      </Text>
+                    </div>
+                  )}
+                </div>
+              </Card>
+            ),
+          },
+          {
+            key: 'analytics',
+            label: 'Analytics',
+            children: <HiringAnalytics />,
+          },
+          {
+            key: 'bank',
+            label: 'Question Bank',
+            children: <QuestionBankManager />,
+          },
+          {
+            key: 'templates',
+            label: 'Templates',
+            children: <TemplateManager />,
+          },
+          {
+            key: 'settings',
+            label: 'Settings',
+            children: <AISettingsPanel />,
+          },
+          {
+            key: 'backup',
+            label: 'Backup',
+            children: <BackupRestore />,
+          },
+          {
+            key: 'security',
+            label: 'Security & privacy',
+            children: (
+              <Space direction="vertical" size="large" style={{ width: '100%' }}>
+                <EncryptionSettings />
+                <PrivacySettings />
+              </Space>
+            ),
+          },
+        ]}
+      />
     </div>
   );
 };
@@ -0,0 +1,108 @@
+import React, { useMemo, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { Card, Table, Tag, Button, Switch, Space, Typography, Tooltip } from 'antd';
+import { StopOutlined, UndoOutlined } from '@ant-design/icons';
+import { setQuestionRetired } from '../store/questionBankSlice';
+import { analyzeItems, MIN_RESPONSES, TOO_EASY_MEAN, TOO_HARD_MEAN, MIN_DISCRIMINATION } from '../utils/itemAnalysis';
+
+const { Title, Text, Paragraph } = Typography;
+
+const FLAGS = {
+  too_easy: { label: 'Too easy', color: 'gold', hint: `Mean score ${TOO_EASY_MEAN}/10 or higher` },
+  too_hard: { label: 'Too hard', color: 'volcano', hint: `Mean score ${TOO_HARD_MEAN}/10 or lower` },
+  non_discriminating: { label: 'Not discriminating', color: 'purple', hint: `Correlation with the final score below ${MIN_DISCRIMINATION}` }
+};
+
+// Per-question statistics over the candidates given, with one-click retirement
+// of weak bank questions
+const ItemAnalysis = ({ candidates }) => {
+  const dispatch = useDispatch();
+  const bankQuestions = useSelector(state => state.questionBank.questions);
+  const [flaggedOnly, setFlaggedOnly] = useState(false);
+
+  const items = useMemo(() => analyzeItems(candidates)
+    .sort((a, b) => (b.flags.length > 0) - (a.flags.length > 0) || b.responses - a.responses), [candidates]);
+  const bankById = useMemo(() => new Map(bankQuestions.map(q => [q.id, q])), [bankQuestions]);
+  const shown = flaggedOnly ? items.filter(item => item.flags.length) : items;
+
+  const columns = [
+    {
+      title: 'Question',
+      dataIndex: 'question',
+      key: 'question',
+      render: (text, item) => (
+        <div style={{ maxWidth: 420 }}>
+          <Text ellipsis={{ tooltip: text }} style={{ maxWidth: 420 }}>{text}</Text>
+          <div>
+            {item.difficulty && <Tag>{item.difficulty}</Tag>}
+            <Tag color={item.bankQuestionId ? 'blue' : 'default'}>{item.bankQuestionId ? 'Question bank' : 'Generated'}</Tag>
+          </div>
+        </div>
+      ),
+    },
+    { title: 'Responses', dataIndex: 'responses', key: 'responses', sorter: (a, b) => a.responses - b.responses },
+    { title: 'Mean', dataIndex: 'mean', key: 'mean', render: (v) => `${v}/10`, sorter: (a, b) => a.mean - b.mean },
+    { title: 'Variance', dataIndex: 'variance', key: 'variance', sorter: (a, b) => a.variance - b.variance },
+    { title: 'Timeouts', dataIndex: 'timeoutRate', key: 'timeoutRate', render: (v) => `${v}%`, sorter: (a, b) => a.timeoutRate - b.timeoutRate },
+    {
+      title: <Tooltip title="Correlation between the question's score and the final score (-1 to 1)">Discrimination</Tooltip>,
+      dataIndex: 'discrimination',
+      key: 'discrimination',
+      render: (v) => (v === null ? <Text type="secondary">–</Text> : v),
+      sorter: (a, b) => (a.discrimination ?? -2) - (b.discrimination ?? -2),
+    },
+    {
+      title: 'Flags',
+      dataIndex: 'flags',
+      key: 'flags',
+      render: (flags, item) => (item.responses < MIN_RESPONSES
+        ? <Text type="secondary">Too few responses</Text>
+        : flags.map(flag => (
+          <Tooltip key={flag} title={FLAGS[flag].hint}>
+            <Tag color={FLAGS[flag].color}>{FLAGS[flag].label}</Tag>
+          </Tooltip>
+        ))),
+    },
+    {
+      title: 'Actions',
+      key: 'actions',
+      render: (_, item) => {
+        const bankQuestion = item.bankQuestionId && bankById.get(item.bankQuestionId);
+        if (!bankQuestion) return <Text type="secondary">Not in bank</Text>;
+        return bankQuestion.retired ? (
+          <Button size="small" icon={<UndoOutlined />} onClick={() => dispatch(setQuestionRetired({ id: bankQuestion.id, retired: false }))}>
+            Restore
+          </Button>
+        ) : (
+          <Button size="small" danger icon={<StopOutlined />} onClick={() => dispatch(setQuestionRetired({ id: bankQuestion.id, retired: true }))}>
+            Retire
+          </Button>
+        );
+      },
+    },
+  ];
+
+  return (
+    <Card>
+      <Title level={5} style={{ marginTop: 0 }}>Question item analysis</Title>
+      <Paragraph type="secondary">
+        Scores of each question across completed interviews, grouped by question bank entry or by wording.
+        Questions need at least {MIN_RESPONSES} responses to be flagged. Retired bank questions are no longer asked.
+      </Paragraph>
+      <Space style={{ marginBottom: '1rem' }}>
+        <Switch checked={flaggedOnly} onChange={setFlaggedOnly} />
+        <Text>Flagged questions only</Text>
+      </Space>
+      <Table
+        rowKey="key"
+        size="small"
+        columns={columns}
+        dataSource={shown}
+        pagination={{ pageSize: 10 }}
+        scroll={{ x: 'max-content' }}
+      />
+    </Card>
+  );
+};
+
+export default ItemAnalysis;
@@ -0,0 +1,97 @@
+import React, { useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { Card, Switch, InputNumber, Radio, Button, Typography, Space, Alert, message } from 'antd';
+import { SafetyCertificateOutlined } from '@ant-design/icons';
+import { setPrivacySettings } from '../store/settingsSlice';
+import { applyRetentionPolicy } from '../store/store';
+import { findExpiredCandidates } from '../utils/privacy';
+
+const { Title, Text, Paragraph } = Typography;
+
+const PrivacySettings = () => {
+  const dispatch = useDispatch();
+  const privacy = useSelector(state => state.settings.privacy);
+  const candidates = useSelector(state => state.candidates.candidates);
+  const [applying, setApplying] = useState(false);
+
+  const expired = findExpiredCandidates(candidates, privacy);
+
+  const applyNow = async () => {
+    setApplying(true);
+    try {
+      const count = await applyRetentionPolicy();
+      message.success(`${privacy.retentionAction === 'delete' ? 'Deleted' : 'Anonymized'} ${count} candidate(s)`);
+    } catch (error) {
+      console.error('Error applying the retention policy:', error);
+      message.error(`Failed to apply the retention policy: ${error.message}`);
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  return (
+    <Card>
+      <Title level={4}>
+        <SafetyCertificateOutlined style={{ marginRight: '0.5rem' }} />
+        Data retention
+      </Title>
+      <Paragraph type="secondary">
+        Candidates give consent before their interview; the consent shown to them mentions this policy.
+        When it is on, candidates whose last activity is older than the retention period are handled
+        every time the app starts. Interviews in progress are never touched.
+      </Paragraph>
+
+      <Space direction="vertical" size="middle" style={{ width: '100%' }}>
+        <Space>
+          <Switch
+            checked={privacy.retentionEnabled}
+            onChange={(retentionEnabled) => dispatch(setPrivacySettings({ retentionEnabled }))}
+          />
+          <Text>Apply a retention period</Text>
+        </Space>
+
+        <Space>
+          <Text>Keep candidate data for</Text>
+          <InputNumber
+            min={1}
+            max={3650}
+            value={privacy.retentionDays}
+            disabled={!privacy.retentionEnabled}
+            onChange={(retentionDays) => retentionDays && dispatch(setPrivacySettings({ retentionDays }))}
+          />
+          <Text>days after the last activity</Text>
+        </Space>
+
+        <Radio.Group
+          value={privacy.retentionAction}
+          disabled={!privacy.retentionEnabled}
+          onChange={(e) => dispatch(setPrivacySettings({ retentionAction: e.target.value }))}
+        >
+          <Space direction="vertical">
+            <Radio value="anonymize">Anonymize: remove personal details, resume and answers; keep scores for statistics</Radio>
+            <Radio value="delete">Delete: remove the candidate entirely</Radio>
+          </Space>
+        </Radio.Group>
+
+        {privacy.retentionEnabled && (
+          expired.length > 0 ? (
+            <Alert
+              type="warning"
+              showIcon
+              message={`${expired.length} candidate(s) are past the retention period`}
+              action={(
+                <Button size="small" danger loading={applying} onClick={applyNow}>
+                  Apply now
+                </Button>
+              )}
+            />
+          ) : (
+            <Text type="secondary">No candidates are past the retention period.</Text>
+          )
+        )}
+      </Space>
+    </Card>
+  );
+};
+
+export default PrivacySettings;
@@ -0,0 +1,64 @@
+import React from 'react';
+import { useSelector, useDispatch } from 'react-redux';
+import { Alert, Button, Space, Popconfirm, Typography } from 'antd';
+import { DownloadOutlined, DeleteOutlined } from '@ant-design/icons';
+import { clearQuarantine } from '../store/candidatesSlice';
+import { downloadFile } from '../utils/download';
+
+const { Text } = Typography;
+
+// Stored candidate records that failed validation on load (see store/migrations.js).
+// They are kept out of the dashboard; interviewers can download them for
+// inspection before discarding them.
+const QuarantineNotice = () => {
+  const dispatch = useDispatch();
+  const quarantine = useSelector(state => state.candidates.quarantine) || [];
+
+  if (quarantine.length === 0) return null;
+
+  const download = () => {
+    downloadFile(
+      JSON.stringify(quarantine, null, 2),
+      `quarantined-candidates-${new Date().toISOString().slice(0, 10)}.json`,
+      'application/json'
+    );
+  };
+
+  return (
+    <Alert
+      type="warning"
+      showIcon
+      style={{ marginBottom: '1rem' }}
+      message={`${quarantine.length} stored candidate record(s) could not be loaded`}
+      description={
+        <ul style={{ margin: 0, paddingLeft: '1.25rem' }}>
+          {quarantine.map((entry, idx) => (
+            <li key={`${entry.id}-${idx}`}>
+              <Text code>{entry.id ?? 'no id'}</Text> {entry.errors.join('; ')}
+            </li>
+          ))}
+        </ul>
+      }
+      action={
+        <Space direction="vertical">
+          <Button size="small" icon={<DownloadOutlined />} onClick={download}>
+            Download
+          </Button>
+          <Popconfirm
+            title="Discard quarantined records?"
+            description="They will be removed from storage for good."
+            okText="Discard"
+            okButtonProps={{ danger: true }}
+            onConfirm={() => dispatch(clearQuarantine())}
+          >
+            <Button size="small" danger icon={<DeleteOutlined />}>
+              Discard
+            </Button>
+          </Popconfirm>
+        </Space>
+      }
+    />
+  );
+};
+
+export default QuarantineNotice;
@@ -0,0 +1,372 @@
+import React, { useMemo, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { Card, Table, Button, Tag, Typography, Space, Modal, Form, Input, InputNumber, Select, Switch, Upload, Radio, Row, Col, Checkbox, message } from 'antd';
+import { PlusOutlined, EditOutlined, DownloadOutlined, UploadOutlined, StopOutlined, UndoOutlined, MinusCircleOutlined } from '@ant-design/icons';
+import { saveQuestion, setQuestionRetired, importQuestions } from '../store/questionBankSlice';
+import {
+  collectTags,
+  filterBankQuestions,
+  countByDifficulty,
+  getRubricWeights,
+  rubricWithWeights,
+  exportBankJson,
+  exportBankCsv,
+  parseBankImport
+} from '../utils/questionBank';
+import { getRubricForQuestion } from '../utils/rubrics';
+import { getTemplateTimeLimit } from '../utils/interviewTemplates';
+import { DIFFICULTIES } from '../utils/aiProviders';
+import { downloadFile } from '../utils/download';
+import { QUESTION_TYPES, isChoiceQuestion, validateChoiceQuestion } from '../utils/choiceQuestions';
+import CodeEditor from './CodeEditor';
+
+const { Title, Text, Paragraph } = Typography;
+
+const difficultyColor = (difficulty) => (difficulty === 'Easy' ? 'success' : difficulty === 'Medium' ? 'warning' : 'error');
+
+const QuestionBankManager = () => {
+  const dispatch = useDispatch();
+  const questions = useSelector(state => state.questionBank.questions);
+  const [search, setSearch] = useState('');
+  const [difficulty, setDifficulty] = useState();
+  const [tags, setTags] = useState([]);
+  const [includeRetired, setIncludeRetired] = useState(false);
+  const [editing, setEditing] = useState(null); // question being edited, {} for a new one
+  const [pendingImport, setPendingImport] = useState(null); // { questions, skipped, filename }
+  const [importMode, setImportMode] = useState('merge');
+  const [form] = Form.useForm();
+  const editingType = Form.useWatch('type', form);
+  const editingDifficulty = Form.useWatch('difficulty', form);
+
+  const allTags = useMemo(() => collectTags(questions), [questions]);
+  const visible = useMemo(
+    () => filterBankQuestions(questions, { search, difficulty, tags, includeRetired }),
+    [questions, search, difficulty, tags, includeRetired]
+  );
+  const counts = countByDifficulty(questions);
+
+  const openEditor = (question) => {
+    const level = question?.difficulty || 'Medium';
+    form.setFieldsValue({
+      question: question?.question || '',
+      type: question?.type || 'text',
+      difficulty: level,
+      timeLimit: question?.timeLimit || getTemplateTimeLimit(null, level),
+      tags: question?.tags || [],
+      referenceAnswer: question?.referenceAnswer || '',
+      weights: getRubricWeights(question?.rubric || getRubricForQuestion({ difficulty: level })),
+      functionName: question?.functionName || '',
+      starterCode: question?.starterCode || '',
+      testCases: JSON.stringify(question?.testCases || [], null, 2),
+      options: (question?.options || [{ text: '' }, { text: '' }]).map(o => ({
+        text: o.text,
+        correct: (question?.correctOptions || []).includes(o.id)
+      }))
+    });
+    setEditing(question || {});
+  };
+
+  const closeEditor = () => {
+    setEditing(null);
+    form.resetFields();
+  };
+
+  const submit = async () => {
+    const { weights, testCases, options = [], ...values } = await form.validateFields();
+    const choices = isChoiceQuestion(values)
+      ? { options: options.map(o => o.text), correctOptions: options.map((o, i) => (o.correct ? i : -1)).filter(i => i >= 0) }
+      : {};
+    const problems = isChoiceQuestion(values) ? validateChoiceQuestion({ ...values, ...choices }) : [];
+    if (problems.length > 0) {
+      message.error(problems.join('. '));
+      return;
+    }
+    dispatch(saveQuestion({
+      ...editing,
+      ...values,
+      ...choices,
+      testCases: values.type === 'coding' ? JSON.parse(testCases) : undefined,
+      rubric: rubricWithWeights(values, weights)
+    }));
+    message.success('Question saved');
+    closeEditor();
+  };
+
+  const exportAs = (format) => {
+    const stamp = new Date().toISOString().slice(0, 10);
+    if (format === 'csv') {
+      downloadFile(exportBankCsv(questions), `question-bank-${stamp}.csv`, 'text/csv;charset=utf-8');
+    } else {
+      downloadFile(exportBankJson(questions), `question-bank-${stamp}.json`, 'application/json');
+    }
+  };
+
+  const readImport = (file) => {
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const result = parseBankImport(String(reader.result), file.name);
+        if (result.questions.length === 0) {
+          message.error('No questions found in the file');
+          return;
+        }
+        setPendingImport({ ...result, filename: file.name });
+      } catch (error) {
+        console.error('Error reading question bank import:', error);
+        message.error(`Could not import ${file.name}: ${error.message}`);
+      }
+    };
+    reader.onerror = () => message.error(`Could not read ${file.name}`);
+    reader.readAsText(file);
+    return false; // handled locally, nothing to upload
+  };
+
+  const confirmImport = () => {
+    dispatch(importQuestions({ questions: pendingImport.questions, mode: importMode }));
+    message.success(`Imported ${pendingImport.questions.length} question(s)`);
+    setPendingImport(null);
+  };
+
+  const columns = [
+    {
+      title: 'Question',
+      dataIndex: 'question',
+      key: 'question',
+      render: (text, record) => (
+        <div style={{ maxWidth: 520 }}>
+          <Text delete={record.retired}>{text}</Text>
+          {record.type === 'coding' && <Tag color="purple" style={{ marginLeft: '0.5rem' }}>Coding · {record.testCases.length} tests</Tag>}
+          {isChoiceQuestion(record) && (
+            <Tag color="cyan" style={{ marginLeft: '0.5rem' }}>
+              {record.type === 'single' ? 'Single choice' : 'Multi-select'} · {record.options.length} options
+            </Tag>
+          )}
+          {record.referenceAnswer && (
+            <Paragraph type="secondary" ellipsis={{ rows: 1 }} style={{ margin: 0 }}>
+              Reference: {record.referenceAnswer}
+            </Paragraph>
+          )}
+        </div>
+      )
+    },
+    {
+      title: 'Difficulty',
+      dataIndex: 'difficulty',
+      key: 'difficulty',
+      render: (value) => <Tag color={difficultyColor(value)}>{value}</Tag>,
+      sorter: (a, b) => DIFFICULTIES.indexOf(a.difficulty) - DIFFICULTIES.indexOf(b.difficulty)
+    },
+    {
+      title: 'Time',
+      dataIndex: 'timeLimit',
+      key: 'timeLimit',
+      render: (value) => `${value}s`
+    },
+    {
+      title: 'Tags',
+      dataIndex: 'tags',
+      key: 'tags',
+      render: (values) => values.map(t => <Tag key={t}>{t}</Tag>)
+    },
+    {
+      title: 'Actions',
+      key: 'actions',
+      render: (_, record) => (
+        <Space>
+          <Button icon={<EditOutlined />} onClick={() => openEditor(record)}>Edit</Button>
+          {record.retired ? (
+            <Button icon={<UndoOutlined />} onClick={() => dispatch(setQuestionRetired({ id: record.id, retired: false }))}>
+              Restore
+            </Button>
+          ) : (
+            <Button danger icon={<StopOutlined />} onClick={() => dispatch(setQuestionRetired({ id: record.id, retired: true }))}>
+              Retire
+            </Button>
+          )}
+        </Space>
+      )
+    }
+  ];
+
+  return (
+    <Card>
+      <Space style={{ width: '100%', justifyContent: 'space-between', marginBottom: '1rem' }} wrap>
+        <div>
+          <Title level={4} style={{ margin: 0 }}>Question Bank</Title>
+          <Text type="secondary">
+            Active: {DIFFICULTIES.map(d => `${counts[d]} ${d}`).join(', ')}. Templates with bank tags draw from here.
+          </Text>
+        </div>
+        <Space wrap>
+          <Upload accept=".json,.csv" showUploadList={false} beforeUpload={readImport}>
+            <Button icon={<UploadOutlined />}>Import</Button>
+          </Upload>
+          <Button icon={<DownloadOutlined />} onClick={() => exportAs('json')}>Export JSON</Button>
+          <Button icon={<DownloadOutlined />} onClick={() => exportAs('csv')}>Export CSV</Button>
+          <Button type="primary" icon={<PlusOutlined />} onClick={() => openEditor(null)}>New question</Button>
+        </Space>
+      </Space>
+
+      <Row gutter={16} style={{ marginBottom: '1rem' }}>
+        <Col xs={24} md={10}>
+          <Input.Search placeholder="Search questions, reference answers or tags" allowClear onChange={(e) => setSearch(e.target.value)} />
+        </Col>
+        <Col xs={12} md={4}>
+          <Select
+            placeholder="Difficulty"
+            allowClear
+            value={difficulty}
+            onChange={setDifficulty}
+            options={DIFFICULTIES.map(d => ({ value: d, label: d }))}
+            style={{ width: '100%' }}
+          />
+        </Col>
+        <Col xs={12} md={6}>
+          <Select
+            mode="multiple"
+            placeholder="Tags"
+            allowClear
+            value={tags}
+            onChange={setTags}
+            options={allTags.map(t => ({ value: t, label: t }))}
+            style={{ width: '100%' }}
+          />
+        </Col>
+        <Col xs={24} md={4}>
+          <Space>
+            <Switch checked={includeRetired} onChange={setIncludeRetired} />
+            <Text>Show retired</Text>
+          </Space>
+        </Col>
+      </Row>
+
+      <Table dataSource={visible} columns={columns} rowKey="id" pagination={{ pageSize: 10 }} scroll={{ x: 'max-content' }} />
+
+      <Modal
+        title={editing?.id ? 'Edit question' : 'New question'}
+        open={!!editing}
+        onOk={submit}
+        onCancel={closeEditor}
+        okText="Save"
+        width={720}
+        destroyOnClose
+      >
+        <Form form={form} layout="vertical">
+          <Form.Item name="question" label="Question" rules={[{ required: true, message: 'Please enter the question' }]}>
+            <Input.TextArea autoSize={{ minRows: 2 }} />
+          </Form.Item>
+          <Row gutter={16}>
+            <Col span={6}>
+              <Form.Item name="type" label="Type">
+                <Select options={QUESTION_TYPES} />
+              </Form.Item>
+            </Col>
+            <Col span={6}>
+              <Form.Item name="difficulty" label="Difficulty">
+                <Select options={DIFFICULTIES.map(d => ({ value: d, label: d }))} />
+              </Form.Item>
+            </Col>
+            <Col span={6}>
+              <Form.Item name="timeLimit" label="Time limit" rules={[{ required: true, message: 'Required' }]}>
+                <InputNumber min={5} addonAfter="s" style={{ width: '100%' }} />
+              </Form.Item>
+            </Col>
+            <Col span={6}>
+              <Form.Item name="tags" label="Tags" tooltip="Topics and roles, e.g. react, backend">
+                <Select mode="tags" options={allTags.map(t => ({ value: t, label: t }))} tokenSeparators={[',']} />
+              </Form.Item>
+            </Col>
+          </Row>
+          <Form.Item name="referenceAnswer" label="Reference answer" tooltip="Given to the evaluator as what a strong answer covers">
+            <Input.TextArea autoSize={{ minRows: 2 }} />
+          </Form.Item>
+          {editingType === 'coding' && (
+            <>
+              <Form.Item name="functionName" label="Function name" rules={[{ required: true, message: 'The function the tests call' }]}>
+                <Input placeholder="e.g. debounce" />
+              </Form.Item>
+              <Form.Item name="starterCode" label="Starter code">
+                <CodeEditor minHeight={120} />
+              </Form.Item>
+              <Form.Item
+                name="testCases"
+                label="Test cases (JSON)"
+                tooltip='[{ "name": "adds", "args": [1, 2], "expected": 3 }, { "script": "return solution(2, 2) === 4;", "hidden": true }]'
+                rules={[{
+                  validator: (_, value) => {
+                    try {
+                      if (Array.isArray(JSON.parse(value || '[]'))) return Promise.resolve();
+                    } catch {
+                      // reported below
+                    }
+                    return Promise.reject(new Error('Enter a JSON array of test cases'));
+                  }
+                }]}
+              >
+                <Input.TextArea autoSize={{ minRows: 4 }} style={{ fontFamily: 'monospace' }} />
+              </Form.Item>
+            </>
+          )}
+          {isChoiceQuestion({ type: editingType }) ? (
+            <>
+              <Text strong>Options</Text>
+              <div><Text type="secondary">Tick the correct option{editingType === 'multiple' ? 's' : ''}. Graded automatically, no AI call.</Text></div>
+              <Form.List name="options">
+                {(fields, { add, remove }) => (
+                  <div style={{ marginTop: '0.5rem' }}>
+                    {fields.map(field => (
+                      <Space key={field.key} align="start" style={{ display: 'flex' }}>
+                        <Form.Item name={[field.name, 'correct']} valuePropName="checked">
+                          <Checkbox />
+                        </Form.Item>
+                        <Form.Item name={[field.name, 'text']} rules={[{ required: true, message: 'Enter the option' }]} style={{ width: 520 }}>
+                          <Input placeholder={`Option ${field.name + 1}`} />
+                        </Form.Item>
+                        <MinusCircleOutlined style={{ marginTop: 8 }} onClick={() => remove(field.name)} />
+                      </Space>
+                    ))}
+                    <Button type="dashed" icon={<PlusOutlined />} onClick={() => add({ text: '', correct: false })}>Add option</Button>
+                  </div>
+                )}
+              </Form.List>
+            </>
+          ) : (
+            <>
+              <Text strong>Rubric weights</Text>
+              <Row gutter={16} style={{ marginTop: '0.5rem' }}>
+                {getRubricForQuestion({ type: editingType, difficulty: editingDifficulty }).criteria.map(c => (
+                  <Col span={6} key={c.id}>
+                    <Form.Item name={['weights', c.id]} label={c.label}>
+                      <InputNumber min={0} max={1} step={0.05} style={{ width: '100%' }} />
+                    </Form.Item>
+                  </Col>
+                ))}
+              </Row>
+            </>
+          )}
+        </Form>
+      </Modal>
+
+      <Modal
+        title={`Import ${pendingImport?.filename || ''}`}
+        open={!!pendingImport}
+        onOk={confirmImport}
+        onCancel={() => setPendingImport(null)}
+        okText="Import"
+      >
+        <Paragraph>
+          {pendingImport?.questions.length} question(s) found
+          {pendingImport?.skipped ? `, ${pendingImport.skipped} skipped without question text` : ''}.
+        </Paragraph>
+        <Radio.Group value={importMode} onChange={(e) => setImportMode(e.target.value)}>
+          <Space direction="vertical">
+            <Radio value="merge">Merge: update questions with the same id or text, add the rest</Radio>
+            <Radio value="replace">Replace the whole bank</Radio>
+          </Space>
+        </Radio.Group>
+      </Modal>
+    </Card>
+  );
+};
+
+export default QuestionBankManager;
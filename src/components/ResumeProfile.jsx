@@ -0,0 +1,105 @@
+import React from 'react';
+import { Card, Typography, Tag, Timeline, Row, Col, Space, Empty } from 'antd';
+import { FileTextOutlined, LinkedinOutlined, GithubOutlined, GlobalOutlined } from '@ant-design/icons';
+import { SKILL_CATEGORIES, groupSkillsByCategory } from '../utils/skillTaxonomy';
+
+const { Title, Text } = Typography;
+
+const LINKS = [
+  { key: 'linkedin', label: 'LinkedIn', icon: <LinkedinOutlined /> },
+  { key: 'github', label: 'GitHub', icon: <GithubOutlined /> },
+  { key: 'portfolio', label: 'Portfolio', icon: <GlobalOutlined /> }
+];
+
+// Structured data extracted from the resume: skills, work history, education and links
+const ResumeProfile = ({ resumeData }) => {
+  const skills = resumeData?.skills || [];
+  const workHistory = resumeData?.workHistory || [];
+  const education = resumeData?.education || [];
+  const links = LINKS.filter(link => resumeData?.links?.[link.key]);
+  const years = resumeData?.yearsOfExperience;
+
+  // Resumes parsed before structured extraction have none of this
+  if (!skills.length && !workHistory.length && !education.length && !links.length && typeof years !== 'number') {
+    return null;
+  }
+
+  const groups = groupSkillsByCategory(skills);
+
+  return (
+    <Card>
+      <Title level={4} style={{ marginTop: 0 }}>
+        <FileTextOutlined style={{ marginRight: '0.5rem' }} />
+        Resume Profile
+      </Title>
+      <Row gutter={24}>
+        <Col xs={24} md={12}>
+          <Text strong>Experience: </Text>
+          <Text>{typeof years === 'number' ? `${years} year${years === 1 ? '' : 's'}` : 'Unknown'}</Text>
+
+          <div style={{ marginTop: '1rem' }}>
+            <Text strong>Skills</Text>
+            {skills.length === 0 && <div><Text type="secondary">None recognised</Text></div>}
+            {Object.entries(groups).map(([category, names]) => (
+              <div key={category} style={{ marginTop: '0.5rem' }}>
+                <Text type="secondary" style={{ marginRight: '0.5rem' }}>{SKILL_CATEGORIES[category] || 'Other'}:</Text>
+                {names.map(name => <Tag key={name} color="blue">{name}</Tag>)}
+              </div>
+            ))}
+          </div>
+
+          {links.length > 0 && (
+            <div style={{ marginTop: '1rem' }}>
+              <Text strong>Links</Text>
+              <div style={{ marginTop: '0.5rem' }}>
+                <Space wrap>
+                  {links.map(link => (
+                    <a key={link.key} href={resumeData.links[link.key]} target="_blank" rel="noopener noreferrer">
+                      {link.icon} {link.label}
+                    </a>
+                  ))}
+                </Space>
+              </div>
+            </div>
+          )}
+        </Col>
+        <Col xs={24} md={12}>
+          <Text strong>Work History</Text>
+          {workHistory.length === 0 ? (
+            <Empty image={Empty.PRESENTED_IMAGE_SIMPLE} description="No positions found" />
+          ) : (
+            <Timeline
+              style={{ marginTop: '1rem' }}
+              items={workHistory.map(job => ({
+                color: job.current ? 'green' : 'blue',
+                children: (
+                  <>
+                    <Text strong>{job.title || 'Role not found'}</Text>
+                    {job.company && <Text> at {job.company}</Text>}
+                    <br />
+                    <Text type="secondary">{job.startDate} – {job.endDate}</Text>
+                  </>
+                )
+              }))}
+            />
+          )}
+
+          <Text strong>Education</Text>
+          {education.length === 0 ? (
+            <div><Text type="secondary">Not found</Text></div>
+          ) : (
+            education.map((entry, i) => (
+              <div key={i} style={{ marginTop: '0.5rem' }}>
+                <Text>{entry.degree || 'Degree not found'}</Text>
+                {entry.institution && <Text type="secondary">, {entry.institution}</Text>}
+                {entry.year && <Text type="secondary"> ({entry.year})</Text>}
+              </div>
+            ))
+          )}
+        </Col>
+      </Row>
+    </Card>
+  );
+};
+
+export default ResumeProfile;
@@ -0,0 +1,175 @@
+import React, { useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { Card, Table, Button, Tag, Typography, Space, Modal, Form, Input, InputNumber, Select, Row, Col, Popconfirm, message } from 'antd';
+import { PlusOutlined, EditOutlined, DeleteOutlined, StarOutlined, MinusCircleOutlined } from '@ant-design/icons';
+import { saveTemplate, deleteTemplate, setDefaultTemplate } from '../store/templatesSlice';
+import { BUILT_IN_TEMPLATES, describeTemplate } from '../utils/interviewTemplates';
+import { collectTags } from '../utils/questionBank';
+import { DIFFICULTIES } from '../utils/aiProviders';
+
+const { Title, Text } = Typography;
+
+// One InputNumber per difficulty for a { Easy, Medium, Hard } field
+const PerDifficultyInputs = ({ name, label, min, step = 1, addonAfter }) => (
+  <>
+    <Text strong>{label}</Text>
+    <Row gutter={16} style={{ marginTop: '0.5rem' }}>
+      {DIFFICULTIES.map(d => (
+        <Col span={8} key={d}>
+          <Form.Item name={[name, d]} label={d} rules={[{ required: true, message: 'Required' }]}>
+            <InputNumber min={min} step={step} addonAfter={addonAfter} style={{ width: '100%' }} />
+          </Form.Item>
+        </Col>
+      ))}
+    </Row>
+  </>
+);
+
+const TemplateManager = () => {
+  const dispatch = useDispatch();
+  const { templates, defaultTemplateId } = useSelector(state => state.templates);
+  const bankQuestions = useSelector(state => state.questionBank.questions);
+  const bankTags = collectTags(bankQuestions);
+  const [editing, setEditing] = useState(null); // template being edited, {} for a new one
+  const [form] = Form.useForm();
+
+  const openEditor = (template) => {
+    const base = template || { ...BUILT_IN_TEMPLATES[0], id: undefined, name: '', builtIn: false };
+    form.setFieldsValue({ ...base, fixedQuestions: base.fixedQuestions || [], bankTags: base.bankTags || [] });
+    setEditing(template || {});
+  };
+
+  const closeEditor = () => {
+    setEditing(null);
+    form.resetFields();
+  };
+
+  const submit = async () => {
+    const values = await form.validateFields();
+    dispatch(saveTemplate({ ...values, id: editing.id }));
+    message.success(`Template "${values.name}" saved`);
+    closeEditor();
+  };
+
+  const columns = [
+    {
+      title: 'Template',
+      dataIndex: 'name',
+      key: 'name',
+      render: (name, record) => (
+        <div>
+          <Text strong>{name}</Text>
+          {record.id === defaultTemplateId && <Tag color="gold" style={{ marginLeft: '0.5rem' }}>Default</Tag>}
+          {record.builtIn && <Tag style={{ marginLeft: '0.5rem' }}>Built-in</Tag>}
+          <br />
+          <Text type="secondary">{record.role}</Text>
+        </div>
+      )
+    },
+    {
+      title: 'Questions',
+      key: 'questions',
+      render: (_, record) => describeTemplate(record)
+    },
+    {
+      title: 'Scoring weights',
+      key: 'weights',
+      render: (_, record) => DIFFICULTIES.map(d => `${d} ×${record.scoringWeights[d]}`).join(', ')
+    },
+    {
+      title: 'Actions',
+      key: 'actions',
+      render: (_, record) => (
+        <Space>
+          <Button icon={<EditOutlined />} onClick={() => openEditor(record)}>Edit</Button>
+          <Button
+            icon={<StarOutlined />}
+            disabled={record.id === defaultTemplateId}
+            onClick={() => dispatch(setDefaultTemplate(record.id))}
+          >
+            Make default
+          </Button>
+          {!record.builtIn && (
+            <Popconfirm
+              title="Delete this template?"
+              description="Candidates already created with it keep their copy."
+              onConfirm={() => dispatch(deleteTemplate(record.id))}
+            >
+              <Button danger icon={<DeleteOutlined />}>Delete</Button>
+            </Popconfirm>
+          )}
+        </Space>
+      )
+    }
+  ];
+
+  return (
+    <Card>
+      <Space style={{ width: '100%', justifyContent: 'space-between', marginBottom: '1rem' }}>
+        <div>
+          <Title level={4} style={{ margin: 0 }}>Interview Templates</Title>
+          <Text type="secondary">
+            How many questions of each difficulty to ask, how long each may take and how much each counts.
+          </Text>
+        </div>
+        <Button type="primary" icon={<PlusOutlined />} onClick={() => openEditor(null)}>New template</Button>
+      </Space>
+
+      <Table dataSource={templates} columns={columns} rowKey="id" pagination={false} />
+
+      <Modal
+        title={editing?.id ? 'Edit template' : 'New template'}
+        open={!!editing}
+        onOk={submit}
+        onCancel={closeEditor}
+        okText="Save"
+        width={720}
+        destroyOnClose
+      >
+        <Form form={form} layout="vertical">
+          <Form.Item name="name" label="Name" rules={[{ required: true, message: 'Please enter a name' }]}>
+            <Input placeholder="e.g. Senior Backend" />
+          </Form.Item>
+          <Form.Item name="role" label="Role" rules={[{ required: true, message: 'Please enter the role being hired for' }]}>
+            <Input placeholder="e.g. Backend Developer (Go, PostgreSQL)" />
+          </Form.Item>
+
+          <PerDifficultyInputs name="questionCounts" label="Questions per difficulty" min={0} />
+          <PerDifficultyInputs name="timeLimits" label="Time limit per question" min={5} addonAfter="s" />
+          <PerDifficultyInputs name="scoringWeights" label="Scoring weight" min={0} step={0.5} />
+
+          <Form.Item
+            name="bankTags"
+            label="Draw from question bank"
+            tooltip="Bank questions with any of these tags are asked first; AI generation fills the remaining slots"
+          >
+            <Select mode="multiple" allowClear placeholder="Generate all questions" options={bankTags.map(t => ({ value: t, label: t }))} />
+          </Form.Item>
+
+          <Text strong>Fixed questions</Text>
+          <div><Text type="secondary">When set, these are asked in order instead of generating questions.</Text></div>
+          <Form.List name="fixedQuestions">
+            {(fields, { add, remove }) => (
+              <div style={{ marginTop: '0.5rem' }}>
+                {fields.map(field => (
+                  <Space key={field.key} align="start" style={{ display: 'flex' }}>
+                    <Form.Item name={[field.name, 'question']} rules={[{ required: true, message: 'Enter the question' }]} style={{ width: 460 }}>
+                      <Input.TextArea autoSize placeholder="Question text" />
+                    </Form.Item>
+                    <Form.Item name={[field.name, 'difficulty']} initialValue="Medium">
+                      <Select style={{ width: 110 }} options={DIFFICULTIES.map(d => ({ value: d, label: d }))} />
+                    </Form.Item>
+                    <MinusCircleOutlined style={{ marginTop: 8 }} onClick={() => remove(field.name)} />
+                  </Space>
+                ))}
+                <Button type="dashed" icon={<PlusOutlined />} onClick={() => add()}>Add question</Button>
+              </div>
+            )}
+          </Form.List>
+        </Form>
+      </Modal>
+    </Card>
+  );
+};
+
+export default TemplateManager;
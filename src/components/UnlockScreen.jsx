@@ -0,0 +1,80 @@
+import React, { useState } from 'react';
+import { Card, Input, Button, Typography, Alert, Modal, Space } from 'antd';
+import { LockOutlined, UnlockOutlined } from '@ant-design/icons';
+import Encryption from '../utils/encryption';
+import { eraseAllData } from '../store/idbStorage';
+
+const { Title, Paragraph } = Typography;
+
+// Shown before any stored data is loaded when encryption is on
+const UnlockScreen = ({ onUnlock }) => {
+  const [passphrase, setPassphrase] = useState('');
+  const [unlocking, setUnlocking] = useState(false);
+  const [error, setError] = useState(null);
+
+  const unlock = async () => {
+    if (!passphrase) return;
+    setUnlocking(true);
+    setError(null);
+    try {
+      if (await Encryption.unlock(passphrase)) {
+        onUnlock();
+        return;
+      }
+      setError('Incorrect passphrase');
+    } catch (unlockError) {
+      console.error('Error unlocking storage:', unlockError);
+      setError(`Could not unlock: ${unlockError.message}`);
+    }
+    setUnlocking(false);
+  };
+
+  // Encrypted data cannot be recovered without the passphrase; the only way on is a clean start
+  const confirmErase = () => {
+    Modal.confirm({
+      title: 'Erase all data?',
+      content: 'Without the passphrase the stored candidates and resumes cannot be decrypted. This deletes them and turns encryption off.',
+      okText: 'Erase everything',
+      okType: 'danger',
+      onOk: async () => {
+        await eraseAllData();
+        Encryption.disable();
+        window.location.reload();
+      }
+    });
+  };
+
+  return (
+    <div style={{ minHeight: '100vh', display: 'flex', alignItems: 'center', justifyContent: 'center', background: '#f0f2f5', padding: '2rem' }}>
+      <Card style={{ width: '100%', maxWidth: 420 }}>
+        <Title level={3} style={{ marginTop: 0 }}>
+          <LockOutlined style={{ marginRight: '0.5rem' }} />
+          Storage is locked
+        </Title>
+        <Paragraph type="secondary">
+          Candidate data in this browser is encrypted. Enter the interviewer passphrase to continue.
+        </Paragraph>
+        <Space direction="vertical" style={{ width: '100%' }}>
+          <Input.Password
+            autoFocus
+            size="large"
+            placeholder="Passphrase"
+            value={passphrase}
+            onChange={(e) => setPassphrase(e.target.value)}
+            onPressEnter={unlock}
+            disabled={unlocking}
+          />
+          {error && <Alert type="error" showIcon message={error} />}
+          <Button type="primary" size="large" block icon={<UnlockOutlined />} loading={unlocking} onClick={unlock}>
+            Unlock
+          </Button>
+          <Button type="link" danger block onClick={confirmErase}>
+            Forgot the passphrase?
+          </Button>
+        </Space>
+      </Card>
+    </div>
+  );
+};
+
+export default UnlockScreen;
@@ -1,10 +1,14 @@
 import { createSlice } from '@reduxjs/toolkit';
+import { hasAttemptData, snapshotAttempt } from '../utils/interviewAttempts';
+import { anonymizeCandidate, isQuarantineExpired } from '../utils/privacy';
 
 const initialState = {
   candidates: [],
   currentCandidateId: null,
   activeTab: 'interviewee', // interviewee or interviewer
-  viewMode: 'tabs', // 'tabs' or 'details'
+  viewMode: 'tabs', // 'tabs', 'details' or 'compare'
+  comparisonIds: [], // candidates shown side by side in the 'compare' view
+  quarantine: [], // stored records that failed validation on load, see migrations.js
 };
 
 export const candidatesSlice = createSlice({
@@ -42,28 +46,87 @@ export const candidatesSlice = createSlice({
       state.activeTab = action.payload;
     },
     setViewMode: (state, action) => {
-      state.viewMode = action.payload; // 'tabs' | 'details'
+      state.viewMode = action.payload; // 'tabs' | 'details' | 'compare'
     },
-    resetInterview: (state, action) => {
-      const candidateId = action.payload;
-      const candidateIndex = state.candidates.findIndex(c => c.id === candidateId);
-      
-      if (candidateIndex !== -1) {
-        const candidate = state.candidates[candidateIndex];
+    setComparisonIds: (state, action) => {
+      state.comparisonIds = action.payload;
+    },
+    // Starts a new attempt; the current one is kept in the candidate's history.
+    // The archive time is set when the action is created so synced tabs agree on it.
+    resetInterview: {
+      reducer: (state, action) => {
+        const { candidateId, archivedAt } = action.payload;
+        const candidateIndex = state.candidates.findIndex(c => c.id === candidateId);
         
-        // Reset all interview-related data
-        state.candidates[candidateIndex] = {
-          ...candidate,
-          interviewStatus: 'not_started',
-          answers: [],
-          questions: [],
-          score: null,
-          summary: '',
-          timeLeft: 0,
-          isPaused: false,
-          currentQuestionIndex: 0,
-          completedAt: null
-        };
+        if (candidateIndex !== -1) {
+          const candidate = state.candidates[candidateIndex];
+          const attempts = candidate.attempts || [];
+          
+          // Reset all interview-related data
+          state.candidates[candidateIndex] = {
+            ...candidate,
+            attempts: hasAttemptData(candidate) ? [...attempts, snapshotAttempt(candidate, archivedAt)] : attempts,
+            interviewStatus: 'not_started',
+            answers: [],
+            questions: [],
+            score: null,
+            summary: '',
+            timeLeft: 0,
+            isPaused: false,
+            currentQuestionIndex: 0,
+            startedAt: null,
+            completedAt: null,
+            difficultyReached: null
+          };
+        }
+      },
+      prepare: (candidateId) => ({ payload: { candidateId, archivedAt: new Date().toISOString() } }),
+    },
+    // Erasure: the record goes entirely, quarantined copies included (stored
+    // files are removed by the caller)
+    removeCandidate: (state, action) => {
+      state.candidates = state.candidates.filter(c => c.id !== action.payload);
+      state.quarantine = (state.quarantine || []).filter(entry => entry.id !== action.payload);
+      if (state.currentCandidateId === action.payload) {
+        state.currentCandidateId = null;
+        state.viewMode = 'tabs';
+      }
+      state.comparisonIds = (state.comparisonIds || []).filter(id => id !== action.payload);
+    },
+    anonymizeCandidates: {
+      reducer: (state, action) => {
+        const { ids, anonymizedAt } = action.payload;
+        state.candidates = state.candidates.map(c => (ids.includes(c.id) ? anonymizeCandidate(c, anonymizedAt) : c));
+      },
+      prepare: (ids) => ({ payload: { ids, anonymizedAt: new Date().toISOString() } }),
+    },
+    // Interviewer's own labels, used to group and filter candidates
+    setCandidateTags: (state, action) => {
+      const { id, tags } = action.payload;
+      const candidate = state.candidates.find(c => c.id === id);
+      if (candidate) {
+        candidate.tags = Array.from(new Set(tags.map(t => t.trim()).filter(Boolean)));
+      }
+    },
+    clearQuarantine: (state) => {
+      state.quarantine = [];
+    },
+    // Retention for quarantined records; the cutoff is fixed when the action is
+    // created so synced tabs drop the same ones
+    dropExpiredQuarantine: {
+      reducer: (state, action) => {
+        state.quarantine = (state.quarantine || []).filter(entry => !isQuarantineExpired(entry, action.payload.cutoff));
+      },
+      prepare: (cutoff) => ({ payload: { cutoff } }),
+    },
+    // Restoring a backup: drops the candidates it replaces and adds its own
+    restoreCandidates: (state, action) => {
+      const { candidates, removeIds = [] } = action.payload;
+      const removed = new Set(removeIds);
+      state.candidates = [...state.candidates.filter(c => !removed.has(c.id)), ...candidates];
+      if (removed.has(state.currentCandidateId)) {
+        state.currentCandidateId = null;
+        state.viewMode = 'tabs';
       }
     }
   },
@@ -75,7 +138,14 @@ export const {
   setCurrentCandidateId, 
   setActiveTab,
   setViewMode,
-  resetInterview
+  setComparisonIds,
+  resetInterview,
+  clearQuarantine,
+  dropExpiredQuarantine,
+  restoreCandidates,
+  removeCandidate,
+  anonymizeCandidates,
+  setCandidateTags
 } = candidatesSlice.actions;
 
 export default candidatesSlice.reducer;
\ No newline at end of file
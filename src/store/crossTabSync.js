@@ -0,0 +1,181 @@
+// Keeps every open tab's store in step. Actions from the synced slices are
+// replayed in the other tabs over a BroadcastChannel, or through localStorage
+// `storage` events where BroadcastChannel is missing. Navigation (which tab or
+// candidate a window is showing) stays local to each window.
+//
+// Leases settle who drives something that must only run once, such as a
+// candidate's question timer: the holder renews it while it works and other
+// tabs wait until it is released or expires.
+
+import Encryption from '../utils/encryption';
+
+const CHANNEL_NAME = 'interview-assistant-sync';
+const MESSAGE_KEY = 'interview-assistant-sync';
+const LEASE_PREFIX = 'interview-assistant-lease:';
+
+export const LEASE_TTL_MS = 6000;
+const LEASE_RENEW_MS = 2000;
+
+const SYNCED_SLICES = ['candidates/', 'settings/', 'templates/', 'questionBank/'];
+const LOCAL_ACTIONS = ['candidates/setCurrentCandidateId', 'candidates/setActiveTab', 'candidates/setViewMode', 'candidates/setComparisonIds'];
+
+export const TAB_ID = `tab-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+const messageListeners = new Set();
+const leaseListeners = new Set();
+const heldLeases = new Set();
+
+// Messages through localStorage carry candidate data, so they are sealed like
+// the persisted state when encryption is on. Sealing and opening are async;
+// chaining them keeps actions in the order they were sent.
+let outgoing = Promise.resolve();
+let incoming = Promise.resolve();
+
+const deliver = (message) => {
+  if (!message || message.from === TAB_ID) return;
+  if (message.type === 'lease') {
+    leaseListeners.forEach(listener => listener(message.name));
+  } else {
+    messageListeners.forEach(listener => listener(message));
+  }
+};
+
+const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(CHANNEL_NAME) : null;
+if (channel) {
+  channel.onmessage = (event) => deliver(event.data);
+}
+
+if (typeof window !== 'undefined' && window.addEventListener) {
+  window.addEventListener('storage', (event) => {
+    if (event.key === MESSAGE_KEY && event.newValue && !channel) {
+      const { newValue } = event;
+      incoming = incoming
+        .then(async () => deliver(JSON.parse(await Encryption.openText(newValue))))
+        .catch(() => {
+          // Not one of ours, or sealed with a key this tab does not hold
+        });
+    } else if (event.key?.startsWith(LEASE_PREFIX)) {
+      leaseListeners.forEach(listener => listener(event.key.slice(LEASE_PREFIX.length)));
+    }
+  });
+  // A closing tab hands its leases over straight away instead of letting them expire
+  window.addEventListener('pagehide', () => [...heldLeases].forEach(name => releaseLease(name)));
+}
+
+const getLocalStorage = () => {
+  try {
+    return typeof localStorage !== 'undefined' ? localStorage : null;
+  } catch {
+    return null; // blocked by privacy settings
+  }
+};
+
+const post = (message) => {
+  const envelope = { ...message, from: TAB_ID };
+  if (channel) {
+    channel.postMessage(envelope);
+    return;
+  }
+  const ls = getLocalStorage();
+  if (!ls) return;
+  const text = JSON.stringify({ ...envelope, sentAt: Date.now() });
+  outgoing = outgoing
+    .then(() => Encryption.sealText(text))
+    .then(sealed => {
+      // Set and remove right away: other tabs get the event, nothing is left behind
+      ls.setItem(MESSAGE_KEY, sealed);
+      ls.removeItem(MESSAGE_KEY);
+    })
+    .catch(error => console.error('Error broadcasting to other tabs:', error));
+};
+
+const shouldSync = (action) => (
+  typeof action?.type === 'string' &&
+  !action.meta?.remote &&
+  SYNCED_SLICES.some(prefix => action.type.startsWith(prefix)) &&
+  !LOCAL_ACTIONS.includes(action.type)
+);
+
+// Broadcasts synced actions once this tab's reducers have handled them
+export const crossTabMiddleware = () => (next) => (action) => {
+  const result = next(action);
+  if (shouldSync(action)) post({ type: 'action', action });
+  return result;
+};
+
+// Replays other tabs' actions into this store. Started after rehydration so a
+// replayed action cannot be overwritten by the stored state.
+export const startCrossTabSync = (store) => {
+  const listener = (message) => {
+    if (message.type === 'action' && message.action) {
+      store.dispatch({ ...message.action, meta: { ...message.action.meta, remote: true, fromTab: message.from } });
+    }
+  };
+  messageListeners.add(listener);
+  return () => messageListeners.delete(listener);
+};
+
+const readLease = (name) => {
+  const ls = getLocalStorage();
+  if (!ls) return null;
+  try {
+    const lease = JSON.parse(ls.getItem(LEASE_PREFIX + name));
+    return lease && lease.expiresAt > Date.now() ? lease : null;
+  } catch {
+    return null;
+  }
+};
+
+// Without localStorage there is nothing to coordinate through, so every tab holds its leases
+export const holdsLease = (name) => {
+  if (!getLocalStorage()) return true;
+  return readLease(name)?.tabId === TAB_ID;
+};
+
+// Takes or renews the lease; fails while another tab holds it unless forced
+export const claimLease = (name, { force = false } = {}) => {
+  const ls = getLocalStorage();
+  if (!ls) return true;
+  const current = readLease(name);
+  if (current && current.tabId !== TAB_ID && !force) return false;
+  try {
+    ls.setItem(LEASE_PREFIX + name, JSON.stringify({ tabId: TAB_ID, expiresAt: Date.now() + LEASE_TTL_MS }));
+  } catch {
+    return true;
+  }
+  heldLeases.add(name);
+  if (current?.tabId !== TAB_ID) post({ type: 'lease', name });
+  return true;
+};
+
+export const releaseLease = (name) => {
+  heldLeases.delete(name);
+  const ls = getLocalStorage();
+  if (!ls || readLease(name)?.tabId !== TAB_ID) return;
+  ls.removeItem(LEASE_PREFIX + name);
+  post({ type: 'lease', name });
+};
+
+// Claims the lease whenever it is free, renews it while held and reports
+// ownership changes. The returned function stops watching and releases it.
+export const watchLease = (name, onChange) => {
+  let owner = null;
+  const check = () => {
+    const held = claimLease(name) && holdsLease(name);
+    if (held !== owner) {
+      owner = held;
+      onChange(held);
+    }
+  };
+  const onLeaseMessage = (changed) => {
+    if (changed === name) check();
+  };
+  leaseListeners.add(onLeaseMessage);
+  check();
+  const timer = setInterval(check, LEASE_RENEW_MS);
+  return () => {
+    clearInterval(timer);
+    leaseListeners.delete(onLeaseMessage);
+    releaseLease(name);
+  };
+};
@@ -0,0 +1,105 @@
+// redux-persist storage engine backed by IndexedDB, which has a far larger
+// quota than localStorage. State persisted by earlier releases is read from
+// localStorage once, copied over and removed. Without IndexedDB it falls back
+// to localStorage. Values are encrypted when encryption is turned on.
+
+import { STORES, isIndexedDbAvailable, idbGet, idbSet, idbDelete, idbKeys, idbClear } from '../utils/indexedDb';
+import Encryption from '../utils/encryption';
+
+const PERSIST_PREFIX = 'persist:';
+
+const listeners = new Set();
+
+// Write failures used to vanish inside redux-persist; the app shows them instead
+export const onStorageError = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const report = (error, key) => {
+  console.error(`Error persisting ${key}:`, error);
+  listeners.forEach(listener => listener(error, key));
+};
+
+const legacy = typeof localStorage !== 'undefined' ? localStorage : null;
+
+// Writes run one at a time so rewriting everything (resealPersistedState)
+// cannot interleave with redux-persist saving newer state
+let writeQueue = Promise.resolve();
+const queueWrite = (task) => {
+  const result = writeQueue.then(task);
+  writeQueue = result.catch(() => {});
+  return result;
+};
+
+const readRaw = async (key) => {
+  if (!isIndexedDbAvailable()) return legacy?.getItem(key) ?? null;
+  const value = await idbGet(STORES.persist, key);
+  if (value !== undefined) return value;
+
+  const old = legacy?.getItem(key) ?? null;
+  if (old !== null) {
+    try {
+      await idbSet(STORES.persist, key, old);
+      legacy.removeItem(key);
+    } catch (error) {
+      report(error, key);
+    }
+  }
+  return old;
+};
+
+const writeRaw = async (key, value) => {
+  if (!isIndexedDbAvailable()) {
+    legacy?.setItem(key, value);
+    return;
+  }
+  await idbSet(STORES.persist, key, value);
+};
+
+const idbStorage = {
+  async getItem(key) {
+    const value = await readRaw(key);
+    return value === null ? null : Encryption.openText(value);
+  },
+
+  setItem(key, value) {
+    return queueWrite(async () => {
+      try {
+        await writeRaw(key, await Encryption.sealText(value));
+      } catch (error) {
+        report(error, key);
+        throw error;
+      }
+    });
+  },
+
+  async removeItem(key) {
+    legacy?.removeItem(key);
+    if (isIndexedDbAvailable()) await idbDelete(STORES.persist, key);
+  }
+};
+
+const persistedKeys = async () => (isIndexedDbAvailable()
+  ? idbKeys(STORES.persist)
+  : Object.keys(legacy || {}).filter(key => key.startsWith(PERSIST_PREFIX)));
+
+// Rewrites every persisted key in the current mode, after encryption is
+// turned on or off
+export const resealPersistedState = () => queueWrite(async () => {
+  for (const key of await persistedKeys()) {
+    const value = await readRaw(key);
+    if (value !== null) await writeRaw(key, await Encryption.sealText(await Encryption.openText(value)));
+  }
+});
+
+// Deletes all persisted state and stored files; used when the passphrase is lost
+export const eraseAllData = async () => {
+  if (isIndexedDbAvailable()) {
+    await idbClear(STORES.persist);
+    await idbClear(STORES.blobs);
+  }
+  Object.keys(legacy || {}).filter(key => key.startsWith(PERSIST_PREFIX)).forEach(key => legacy.removeItem(key));
+};
+
+export default idbStorage;
@@ -0,0 +1,188 @@
+import { createMigrate } from 'redux-persist';
+import { BUILT_IN_TEMPLATES, normalizeTemplate } from '../utils/interviewTemplates';
+import { BANK_SEED, normalizeBankQuestion } from '../utils/questionBank';
+import { DEFAULT_LOCAL_LLM_CONFIG } from '../utils/localLLMAPI';
+
+// Persisted state schema versions. When a stored shape changes, bump the
+// version and add a step: redux-persist runs every step newer than the stored
+// version, in order, before rehydrating. State saved before versioning existed
+// comes in as version -1 and goes through all of them.
+
+export const CANDIDATES_VERSION = 4;
+export const TEMPLATES_VERSION = 1;
+export const QUESTION_BANK_VERSION = 1;
+export const SETTINGS_VERSION = 1;
+
+const INTERVIEW_STATUSES = ['not_started', 'in_progress', 'completed'];
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Ids were Date.now() strings before createdAt was stored
+const createdAtFromId = (id) => {
+  const ms = Number(id);
+  return Number.isFinite(ms) && ms > 1e12 ? new Date(ms).toISOString() : null;
+};
+
+const mapCandidates = (state, fn) => ({
+  ...state,
+  candidates: Array.isArray(state.candidates) ? state.candidates.map(c => (isObject(c) ? fn(c) : c)) : []
+});
+
+const candidateMigrations = {
+  // Every question gets an id; answers saved against questions without one are
+  // linked back by position, which is the order they were asked in
+  1: (state) => mapCandidates(state, (candidate) => {
+    if (!Array.isArray(candidate.questions)) return candidate;
+    const questions = candidate.questions.map((q, idx) => (
+      isObject(q) && !q.id ? { ...q, id: `legacy-${candidate.id}-${idx}` } : q
+    ));
+    const known = new Set(questions.map(q => q?.id));
+    const answers = Array.isArray(candidate.answers)
+      ? candidate.answers.map((a, idx) => (
+        isObject(a) && !known.has(a.questionId) && questions[idx]?.id ? { ...a, questionId: questions[idx].id } : a
+      ))
+      : candidate.answers;
+    return { ...candidate, questions, answers };
+  }),
+
+  // Fields the dashboard reads that older records may not have
+  2: (state) => mapCandidates(state, (candidate) => {
+    const answers = Array.isArray(candidate.answers)
+      ? candidate.answers.map(a => (isObject(a) ? {
+        ...a,
+        text: a.text ?? a.answer ?? '',
+        score: a.score ?? null,
+        feedback: a.feedback ?? '',
+        timestamp: a.timestamp || null
+      } : a))
+      : [];
+    const createdAt = candidate.createdAt || createdAtFromId(candidate.id);
+    const lastAnswerAt = answers.map(a => a?.timestamp).filter(Boolean).sort().pop();
+    return {
+      ...candidate,
+      name: candidate.name || '',
+      email: candidate.email || '',
+      answers,
+      questions: Array.isArray(candidate.questions) ? candidate.questions : [],
+      interviewStatus: candidate.interviewStatus || 'not_started',
+      currentQuestionIndex: Number.isInteger(candidate.currentQuestionIndex) ? candidate.currentQuestionIndex : 0,
+      score: candidate.score ?? null,
+      summary: candidate.summary || '',
+      createdAt,
+      completedAt: candidate.completedAt ||
+        (candidate.interviewStatus === 'completed' ? lastAnswerAt || createdAt : null)
+    };
+  }),
+
+  // Records that fail validation are set aside here instead of being loaded
+  3: (state) => ({ ...state, quarantine: Array.isArray(state.quarantine) ? state.quarantine : [] }),
+
+  // Attempt history; the interview on record becomes the first attempt
+  4: (state) => mapCandidates(state, (candidate) => ({
+    ...candidate,
+    attempts: Array.isArray(candidate.attempts) ? candidate.attempts : [],
+    startedAt: candidate.startedAt ||
+      (candidate.questions?.length ? candidate.answers?.[0]?.timestamp || candidate.createdAt || null : null)
+  }))
+};
+
+// Reasons a stored candidate cannot be shown, empty when it is usable
+export const validateCandidate = (candidate) => {
+  if (!isObject(candidate)) return ['Not a candidate object'];
+  const errors = [];
+  if (typeof candidate.id !== 'string' && typeof candidate.id !== 'number') errors.push('Missing id');
+  if (!INTERVIEW_STATUSES.includes(candidate.interviewStatus)) errors.push(`Unknown interview status "${candidate.interviewStatus}"`);
+  if (!Array.isArray(candidate.questions)) {
+    errors.push('Questions are not a list');
+  } else if (candidate.questions.some(q => !isObject(q) || !q.id || typeof q.question !== 'string')) {
+    errors.push('Some questions are missing their id or text');
+  }
+  if (!Array.isArray(candidate.answers)) {
+    errors.push('Answers are not a list');
+  } else if (candidate.answers.some(a => !isObject(a))) {
+    errors.push('Some answers are not objects');
+  }
+  if (candidate.attempts !== undefined && (!Array.isArray(candidate.attempts) ||
+    candidate.attempts.some(a => !isObject(a) || !Array.isArray(a.questions) || !Array.isArray(a.answers)))) {
+    errors.push('Attempt history is malformed');
+  }
+  if (candidate.tags !== undefined && (!Array.isArray(candidate.tags) || candidate.tags.some(t => typeof t !== 'string'))) {
+    errors.push('Tags are not a list of strings');
+  }
+  if (candidate.score !== null && candidate.score !== undefined && !Number.isFinite(Number(candidate.score))) {
+    errors.push('Score is not a number');
+  }
+  return errors;
+};
+
+// Moves invalid and duplicate records into state.quarantine so one bad record
+// cannot break the dashboard; they stay there until an interviewer discards them
+export const quarantineInvalidCandidates = (state) => {
+  if (!state) return state;
+  const seen = new Set();
+  const candidates = [];
+  const quarantined = [];
+  (Array.isArray(state.candidates) ? state.candidates : []).forEach(record => {
+    const errors = validateCandidate(record);
+    if (errors.length === 0 && seen.has(record.id)) errors.push('Duplicate id');
+    if (errors.length) {
+      quarantined.push({ id: isObject(record) ? record.id ?? null : null, errors, record, quarantinedAt: new Date().toISOString() });
+    } else {
+      seen.add(record.id);
+      candidates.push(record);
+    }
+  });
+  if (quarantined.length === 0 && Array.isArray(state.candidates)) return state;
+  quarantined.forEach(q => console.warn('Quarantined stored candidate record:', q.id, q.errors));
+  return {
+    ...state,
+    candidates,
+    currentCandidateId: seen.has(state.currentCandidateId) ? state.currentCandidateId : null,
+    quarantine: [...(state.quarantine || []), ...quarantined]
+  };
+};
+
+// Validation runs on every load, not only after an upgrade, so records broken
+// by a bad write are caught too
+const runCandidateMigrations = createMigrate(candidateMigrations, { debug: false });
+export const migrateCandidates = (state, version) => runCandidateMigrations(state, version).then(quarantineInvalidCandidates);
+
+export const migrateTemplates = createMigrate({
+  // Built-in templates added since the state was saved, and fields added to templates
+  1: (state) => {
+    const templates = (Array.isArray(state.templates) ? state.templates : [])
+      .filter(isObject)
+      .map(normalizeTemplate);
+    const missing = BUILT_IN_TEMPLATES.filter(b => !templates.some(t => t.id === b.id));
+    return { ...state, templates: [...templates, ...missing] };
+  }
+}, { debug: false });
+
+export const migrateQuestionBank = createMigrate({
+  // Seed questions added since the state was saved, and fields added to questions
+  1: (state) => {
+    const questions = (Array.isArray(state.questions) ? state.questions : [])
+      .filter(isObject)
+      .map(normalizeBankQuestion)
+      .filter(q => q.question);
+    const missing = BANK_SEED.filter(s => !questions.some(q => q.id === s.id));
+    return { ...state, questions: [...questions, ...missing] };
+  }
+}, { debug: false });
+
+// Providers a stored chain gains at the end: a saved `ai` section replaces the
+// default one whole, so providers registered after it was saved never join it.
+// Ones the user turned off later are not in a list here and stay off.
+const appendProviders = (state, ids) => {
+  const ai = isObject(state.ai) ? state.ai : {};
+  const order = Array.isArray(ai.providerOrder) ? ai.providerOrder : [];
+  return { ...state, ai: { ...ai, providerOrder: [...order, ...ids.filter(id => !order.includes(id))] } };
+};
+
+export const migrateSettings = createMigrate({
+  // Settings saved before versioning predate the self-hosted and offline providers
+  1: (state) => {
+    const migrated = appendProviders(state, ['local', 'mock']);
+    return { ...migrated, ai: { ...migrated.ai, local: { ...DEFAULT_LOCAL_LLM_CONFIG, ...migrated.ai.local } } };
+  }
+}, { debug: false });
@@ -0,0 +1,68 @@
+import { createSlice } from '@reduxjs/toolkit';
+import { BANK_SEED, createBankQuestionId, normalizeBankQuestion } from '../utils/questionBank';
+
+const initialState = {
+  questions: BANK_SEED,
+};
+
+export const questionBankSlice = createSlice({
+  name: 'questionBank',
+  initialState,
+  reducers: {
+    // Creates the question or replaces the one with the same id. New ids and
+    // the save time are picked when the action is created so every synced tab
+    // stores the same ones.
+    saveQuestion: {
+      reducer: (state, action) => {
+        const { savedAt, ...input } = action.payload;
+        const index = state.questions.findIndex(q => q.id === input.id);
+        const question = normalizeBankQuestion({
+          ...input,
+          createdAt: index === -1 ? savedAt : state.questions[index].createdAt,
+          updatedAt: savedAt
+        });
+        if (index === -1) {
+          state.questions.push(question);
+        } else {
+          state.questions[index] = question;
+        }
+      },
+      prepare: (question) => ({
+        payload: { ...question, id: question.id || createBankQuestionId(), savedAt: new Date().toISOString() }
+      }),
+    },
+    // Retired questions stay in the bank (past interviews refer to them) but are never drawn
+    setQuestionRetired: {
+      reducer: (state, action) => {
+        const { id, retired, updatedAt } = action.payload;
+        const question = state.questions.find(q => q.id === id);
+        if (question) {
+          question.retired = retired;
+          question.updatedAt = updatedAt;
+        }
+      },
+      prepare: ({ id, retired }) => ({ payload: { id, retired, updatedAt: new Date().toISOString() } }),
+    },
+    // mode 'merge' updates questions with a matching id or text and adds the rest;
+    // 'replace' swaps the whole bank
+    importQuestions: (state, action) => {
+      const { questions, mode = 'merge' } = action.payload;
+      if (mode === 'replace') {
+        state.questions = questions;
+        return;
+      }
+      questions.forEach(incoming => {
+        const index = state.questions.findIndex(q => q.id === incoming.id || q.question === incoming.question);
+        if (index === -1) {
+          state.questions.push(incoming);
+        } else {
+          state.questions[index] = { ...incoming, id: state.questions[index].id };
+        }
+      });
+    },
+  },
+});
+
+export const { saveQuestion, setQuestionRetired, importQuestions } = questionBankSlice.actions;
+
+export default questionBankSlice.reducer;
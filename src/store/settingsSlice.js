@@ -0,0 +1,55 @@
+import { createSlice } from '@reduxjs/toolkit';
+import { getDefaultProviderOrder } from '../utils/aiService';
+import { DEFAULT_LOCAL_LLM_CONFIG } from '../utils/localLLMAPI';
+import { DEFAULT_MAX_FOLLOW_UPS } from '../utils/followUps';
+import { DEFAULT_PRIVACY_SETTINGS } from '../utils/privacy';
+
+const initialState = {
+  ai: {
+    providerOrder: getDefaultProviderOrder(), // tried first to last
+    local: { ...DEFAULT_LOCAL_LLM_CONFIG }, // OpenAI-compatible self-hosted endpoint
+  },
+  interview: {
+    adaptiveFollowUps: false, // let the AI insert follow-up questions after an answer
+    maxFollowUpsPerQuestion: DEFAULT_MAX_FOLLOW_UPS,
+    adaptiveDifficulty: false, // pick each question's difficulty from the scores so far
+  },
+  privacy: { ...DEFAULT_PRIVACY_SETTINGS }, // retention policy applied on startup
+  analytics: {
+    passThreshold: 70, // final score (0-100) counted as a pass
+  },
+};
+
+export const settingsSlice = createSlice({
+  name: 'settings',
+  initialState,
+  reducers: {
+    setProviderOrder: (state, action) => {
+      state.ai.providerOrder = action.payload;
+    },
+    setLocalLLMConfig: (state, action) => {
+      state.ai.local = { ...state.ai.local, ...action.payload };
+    },
+    setInterviewSettings: (state, action) => {
+      state.interview = { ...state.interview, ...action.payload };
+    },
+    setPrivacySettings: (state, action) => {
+      state.privacy = { ...state.privacy, ...action.payload };
+    },
+    setAnalyticsSettings: (state, action) => {
+      state.analytics = { ...state.analytics, ...action.payload };
+    },
+    // Settings from a backup, which never carries the local model API key
+    restoreSettings: (state, action) => {
+      const { ai = {}, interview = {} } = action.payload;
+      state.ai = { ...state.ai, ...ai, local: { ...state.ai.local, ...ai.local, apiKey: state.ai.local.apiKey } };
+      state.interview = { ...state.interview, ...interview };
+      state.privacy = { ...state.privacy, ...action.payload.privacy };
+      state.analytics = { ...state.analytics, ...action.payload.analytics };
+    },
+  },
+});
+
+export const { setProviderOrder, setLocalLLMConfig, setInterviewSettings, setPrivacySettings, setAnalyticsSettings, restoreSettings } = settingsSlice.actions;
+
+export default settingsSlice.reducer;
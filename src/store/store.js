@@ -1,25 +1,116 @@
 import { configureStore } from '@reduxjs/toolkit';
 import { persistReducer, persistStore } from 'redux-persist';
-import storage from 'redux-persist/lib/storage'; // defaults to localStorage for web
-import candidatesReducer from './candidatesSlice';
+import storage from './idbStorage'; // IndexedDB, migrating state from localStorage
+import autoMergeLevel2 from 'redux-persist/lib/stateReconciler/autoMergeLevel2';
+import candidatesReducer, { updateCandidate, removeCandidate, anonymizeCandidates, dropExpiredQuarantine } from './candidatesSlice';
+import BlobStore from '../utils/blobStore';
+import { findExpiredCandidates, eraseCandidateFiles, getRetentionCutoff, isQuarantineExpired } from '../utils/privacy';
+import settingsReducer from './settingsSlice';
+import templatesReducer from './templatesSlice';
+import questionBankReducer from './questionBankSlice';
+import {
+  CANDIDATES_VERSION,
+  TEMPLATES_VERSION,
+  QUESTION_BANK_VERSION,
+  SETTINGS_VERSION,
+  migrateCandidates,
+  migrateTemplates,
+  migrateQuestionBank,
+  migrateSettings
+} from './migrations';
+import { crossTabMiddleware, startCrossTabSync } from './crossTabSync';
 
 const persistConfig = {
   key: 'root',
   storage,
+  version: CANDIDATES_VERSION,
+  migrate: migrateCandidates,
+};
+
+const settingsPersistConfig = {
+  key: 'settings',
+  storage,
+  version: SETTINGS_VERSION,
+  migrate: migrateSettings,
+  // Merge nested sections so settings added in later releases keep their defaults
+  stateReconciler: autoMergeLevel2,
+};
+
+const templatesPersistConfig = {
+  key: 'templates',
+  storage,
+  version: TEMPLATES_VERSION,
+  migrate: migrateTemplates,
+};
+
+const questionBankPersistConfig = {
+  key: 'questionBank',
+  storage,
+  version: QUESTION_BANK_VERSION,
+  migrate: migrateQuestionBank,
 };
 
 const persistedReducer = persistReducer(persistConfig, candidatesReducer);
+const persistedSettingsReducer = persistReducer(settingsPersistConfig, settingsReducer);
+const persistedTemplatesReducer = persistReducer(templatesPersistConfig, templatesReducer);
+const persistedQuestionBankReducer = persistReducer(questionBankPersistConfig, questionBankReducer);
 
 export const store = configureStore({
   reducer: {
     candidates: persistedReducer,
+    settings: persistedSettingsReducer,
+    templates: persistedTemplatesReducer,
+    questionBank: persistedQuestionBankReducer,
   },
   middleware: (getDefaultMiddleware) =>
     getDefaultMiddleware({
       serializableCheck: {
         ignoredActions: ['persist/PERSIST'],
       },
-    }),
+    }).concat(crossTabMiddleware),
 });
 
-export const persistor = persistStore(store);
\ No newline at end of file
+// Anonymizes or deletes candidates past the retention period, removing their
+// resume files either way; expired quarantined records are deleted. Resolves
+// to the number of records affected.
+export const applyRetentionPolicy = async () => {
+  const { candidates: { candidates, quarantine = [] }, settings: { privacy } } = store.getState();
+  const expired = findExpiredCandidates(candidates, privacy);
+  const cutoff = getRetentionCutoff(privacy);
+  const expiredQuarantine = quarantine.filter(entry => isQuarantineExpired(entry, cutoff));
+  if (expired.length === 0 && expiredQuarantine.length === 0) return 0;
+  // A quarantined duplicate may share its resume file with a candidate that stays
+  const keptBlobIds = new Set(candidates.filter(c => !expired.includes(c)).map(c => c.resumeFile?.blobId).filter(Boolean));
+  const quarantinedRecords = expiredQuarantine.map(entry => entry.record).filter(r => !keptBlobIds.has(r?.resumeFile?.blobId));
+  await Promise.all([...expired, ...quarantinedRecords].map(c => eraseCandidateFiles(c)
+    .catch(error => console.error(`Error removing files of candidate ${c?.id}:`, error))));
+  if (privacy.retentionAction === 'delete') {
+    expired.forEach(c => store.dispatch(removeCandidate(c.id)));
+  } else if (expired.length > 0) {
+    store.dispatch(anonymizeCandidates(expired.map(c => c.id)));
+  }
+  if (expiredQuarantine.length > 0) store.dispatch(dropExpiredQuarantine(cutoff));
+  return expired.length + expiredQuarantine.length;
+};
+
+let persistor = null;
+
+// Loading stored state waits until storage is unlocked when it is encrypted,
+// so this runs from App rather than on import. Once rehydrated, follow the
+// other open tabs, apply the retention policy and move resumes still stored
+// inline as base64 into IndexedDB.
+export const startPersistence = () => {
+  if (!persistor) {
+    persistor = persistStore(store, null, () => {
+      startCrossTabSync(store);
+      // Retention first, so a resume about to be erased is not migrated
+      applyRetentionPolicy()
+        .then(count => count && console.info(`Retention policy applied to ${count} candidate(s)`))
+        .catch(error => console.error('Error applying the retention policy:', error))
+        .then(() => BlobStore.migrateInlineResumes(store.getState().candidates.candidates))
+        .then(updated => updated.forEach(({ id, resumeFile }) => store.dispatch(updateCandidate({ id, resumeFile }))))
+        .catch(error => console.error('Error migrating resumes to IndexedDB:', error));
+    });
+  }
+  return persistor;
+};
\ No newline at end of file
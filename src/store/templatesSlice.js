@@ -0,0 +1,65 @@
+import { createSlice } from '@reduxjs/toolkit';
+import { BUILT_IN_TEMPLATES, DEFAULT_TEMPLATE_ID, createTemplateId, normalizeTemplate } from '../utils/interviewTemplates';
+
+const initialState = {
+  templates: BUILT_IN_TEMPLATES,
+  defaultTemplateId: DEFAULT_TEMPLATE_ID, // preselected when a candidate is created
+};
+
+export const templatesSlice = createSlice({
+  name: 'templates',
+  initialState,
+  reducers: {
+    // Creates the template or replaces the one with the same id. New ids are
+    // picked when the action is created so every synced tab stores the same one.
+    saveTemplate: {
+      reducer: (state, action) => {
+        const index = state.templates.findIndex(t => t.id === action.payload.id);
+        const builtIn = index !== -1 && state.templates[index].builtIn;
+        const template = normalizeTemplate({ ...action.payload, builtIn });
+        if (index === -1) {
+          state.templates.push(template);
+        } else {
+          state.templates[index] = template;
+        }
+      },
+      prepare: (template) => ({ payload: { ...template, id: template.id || createTemplateId() } }),
+    },
+    // Built-in templates can be edited but not deleted
+    deleteTemplate: (state, action) => {
+      const template = state.templates.find(t => t.id === action.payload);
+      if (!template || template.builtIn) return;
+      state.templates = state.templates.filter(t => t.id !== action.payload);
+      if (state.defaultTemplateId === action.payload) {
+        state.defaultTemplateId = DEFAULT_TEMPLATE_ID;
+      }
+    },
+    setDefaultTemplate: (state, action) => {
+      if (state.templates.some(t => t.id === action.payload)) {
+        state.defaultTemplateId = action.payload;
+      }
+    },
+    // Templates from a backup. 'merge' updates templates with a matching id and
+    // adds the rest; 'replace' swaps them, keeping any built-in the backup lacks.
+    restoreTemplates: (state, action) => {
+      const { templates, defaultTemplateId, mode = 'merge' } = action.payload;
+      if (mode === 'replace') {
+        state.templates = [...templates, ...BUILT_IN_TEMPLATES.filter(b => !templates.some(t => t.id === b.id))];
+        state.defaultTemplateId = state.templates.some(t => t.id === defaultTemplateId) ? defaultTemplateId : DEFAULT_TEMPLATE_ID;
+        return;
+      }
+      templates.forEach(template => {
+        const index = state.templates.findIndex(t => t.id === template.id);
+        if (index === -1) {
+          state.templates.push(template);
+        } else {
+          state.templates[index] = template;
+        }
+      });
+    },
+  },
+});
+
+export const { saveTemplate, deleteTemplate, setDefaultTemplate, restoreTemplates } = templatesSlice.actions;
+
+export default templatesSlice.reducer;
@@ -0,0 +1,38 @@
+// Performance-adaptive difficulty. Instead of the fixed Easy, Easy, Medium,
+// Medium, Hard, Hard curve, each next question's difficulty follows the last
+// scored answer: step up after a strong one, step down after a weak one.
+
+import { DIFFICULTIES, normalizeDifficulty } from './aiProviders';
+
+export const DEFAULT_QUESTION_COUNT = 6;
+export const START_DIFFICULTY = 'Medium';
+export const STEP_UP_SCORE = 7.5; // at or above: next question is harder
+export const STEP_DOWN_SCORE = 4.5; // below: next question is easier
+
+// A 7 on a Hard question is worth more than a 7 on an Easy one
+export const DIFFICULTY_MULTIPLIERS = { Easy: 0.8, Medium: 1, Hard: 1.2 };
+
+export const nextDifficulty = (current, score) => {
+  const index = DIFFICULTIES.indexOf(normalizeDifficulty(current));
+  if (typeof score !== 'number') return DIFFICULTIES[index];
+  if (score >= STEP_UP_SCORE) return DIFFICULTIES[Math.min(index + 1, DIFFICULTIES.length - 1)];
+  if (score < STEP_DOWN_SCORE) return DIFFICULTIES[Math.max(index - 1, 0)];
+  return DIFFICULTIES[index];
+};
+
+// Difficulty for the question after the latest answer. Follow-ups keep their
+// parent's difficulty, so the latest scored answer of any kind decides.
+export const selectNextDifficulty = (questions, answers) => {
+  const scored = answers.filter(a => typeof a.score === 'number');
+  const last = scored[scored.length - 1];
+  if (!last) return START_DIFFICULTY;
+  const question = questions.find(q => q.id === last.questionId);
+  return nextDifficulty(question?.difficulty, last.score);
+};
+
+// Top-level questions count towards the planned length, follow-ups do not
+export const countMainQuestions = (questions = []) => questions.filter(q => !q.isFollowUp).length;
+
+export const getHighestDifficulty = (questions = []) => DIFFICULTIES
+  .filter(d => questions.some(q => q.difficulty === d))
+  .pop() || null;
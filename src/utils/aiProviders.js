@@ -0,0 +1,218 @@
+// Adapters that expose every AI vendor through the same provider interface:
+//   id, label, timeout?, isAvailable(settings)
+//   generateQuestions({ role, difficulty, count, profile? }, settings) -> [{ question, difficulty, timeLimit }]
+//     (providers with complete() get resume-grounded questions through AIService instead)
+//   complete(messages, options, settings) -> raw model text, used for structured evaluation
+//   evaluateAnswer(params, settings) -> evaluation object, only for providers without complete()
+//   generateFollowUp(params, settings) -> { ask, question, reason }, only for providers without complete()
+//   generateSummary({ candidate, role, score }, settings) -> string
+// `settings` is the AI section of the settings slice. Adapters throw on failure
+// so AIService can move on to the next provider.
+
+import { PerplexityAPI } from './perplexityAPI';
+import GeminiAPI from './geminiAPI';
+import OpenAIAPI from './openaiAPI';
+import OpenRouterAPI from './openRouterAPI';
+import LocalLLMAPI from './localLLMAPI';
+import MockLLM from './mockLLM';
+import { parseQuestionList } from './candidateProfile';
+
+export const DIFFICULTIES = ['Easy', 'Medium', 'Hard'];
+
+export const normalizeDifficulty = (difficulty) => {
+  const match = DIFFICULTIES.find(d => d.toLowerCase() === String(difficulty || '').toLowerCase());
+  return match || 'Medium';
+};
+
+export const getTimeLimitForDifficulty = (difficulty) => {
+  switch (normalizeDifficulty(difficulty)) {
+    case 'Easy': return 20;
+    case 'Medium': return 60;
+    default: return 120;
+  }
+};
+
+const toQuestion = (text, difficulty) => ({
+  question: String(text || '').trim(),
+  difficulty: normalizeDifficulty(difficulty),
+  timeLimit: getTimeLimitForDifficulty(difficulty)
+});
+
+const ensureQuestions = (questions, providerLabel) => {
+  const valid = (questions || []).filter(q => q.question);
+  if (valid.length === 0) {
+    throw new Error(`${providerLabel} returned no questions`);
+  }
+  return valid;
+};
+
+// Gemini and OpenAI summaries read `text` rather than `question`
+const withQuestionText = (questions = []) => questions.map(q => ({ ...q, text: q.text || q.question }));
+
+// Gemini and OpenAI generate one question per call; ask repeatedly to reach `count`
+const generateOneByOne = async (api, { role, difficulty, count }) => {
+  const questions = [];
+  for (let i = 0; i < count; i++) {
+    const text = await api.generateQuestion({ role }, i + 1, normalizeDifficulty(difficulty));
+    questions.push(toQuestion(text, difficulty));
+  }
+  return questions;
+};
+
+// Perplexity and OpenRouter fall back to canned questions and summaries inside
+// their own helpers, so their adapters build the prompts here and go through chat()
+const buildRoleQuestionMessages = ({ role, difficulty, count }) => [
+  { role: 'system', content: 'You are an expert technical interviewer who replies with JSON only.' },
+  {
+    role: 'user',
+    content: `Generate ${count} ${normalizeDifficulty(difficulty).toLowerCase()} technical interview questions for a ${role} position.
+Reply with JSON only: {"questions": ["..."]}`
+  }
+];
+
+const buildSummaryMessages = ({ candidate, role, score }) => {
+  const questions = candidate.questions || [];
+  const answersText = (candidate.answers || []).map((a, i) => {
+    const question = questions.find(q => q.id === a.questionId) || questions[i] || {};
+    return `Question ${i + 1} (${question.difficulty || 'Unknown'}): ${question.question || 'Unknown question'}
+Answer: ${a.text || 'No answer provided'}
+Score: ${a.score ?? 'N/A'}/10
+Feedback: ${a.feedback || 'No feedback'}`;
+  }).join('\n\n');
+
+  return [{
+    role: 'user',
+    content: `Write a brief interview summary for ${candidate.name || 'this candidate'} applying for a ${role} position.
+Overall Score: ${score ?? 'N/A'}/100
+
+Interview Performance:
+${answersText}
+
+Provide a 2-3 paragraph summary covering their technical skills, strengths, areas for improvement, and hiring recommendation.`
+  }];
+};
+
+const chatQuestions = async (api, params, providerLabel) => {
+  const raw = await api.chat(buildRoleQuestionMessages(params), { temperature: 0.7, max_tokens: 800, json: true });
+  const questions = parseQuestionList(raw).map(text => toQuestion(text, params.difficulty));
+  return ensureQuestions(questions, providerLabel);
+};
+
+const chatSummary = async (api, params, providerLabel) => {
+  const summary = await api.chat(buildSummaryMessages(params), { temperature: 0.5, max_tokens: 600 });
+  if (!summary) {
+    throw new Error(`${providerLabel} returned an empty summary`);
+  }
+  return summary;
+};
+
+const perplexityProvider = {
+  id: 'perplexity',
+  label: 'Perplexity',
+  isAvailable: () => PerplexityAPI.isApiKeyAvailable(),
+  async generateQuestions(params) {
+    return chatQuestions(PerplexityAPI, params, this.label);
+  },
+  async complete(messages, options) {
+    return PerplexityAPI.chat(messages, options);
+  },
+  async generateSummary(params) {
+    return chatSummary(PerplexityAPI, params, this.label);
+  }
+};
+
+const geminiProvider = {
+  id: 'gemini',
+  label: 'Google Gemini',
+  isAvailable: () => GeminiAPI.isApiKeyAvailable(),
+  async generateQuestions(params) {
+    return ensureQuestions(await generateOneByOne(GeminiAPI, params), this.label);
+  },
+  async complete(messages, options) {
+    return GeminiAPI.chat(messages, options);
+  },
+  async generateSummary({ candidate, role, score }) {
+    return GeminiAPI.generateSummary({ role }, withQuestionText(candidate.questions), candidate.answers, score);
+  }
+};
+
+const openAIProvider = {
+  id: 'openai',
+  label: 'OpenAI',
+  isAvailable: () => OpenAIAPI.isApiKeyAvailable(),
+  async generateQuestions(params) {
+    return ensureQuestions(await generateOneByOne(OpenAIAPI, params), this.label);
+  },
+  async complete(messages, options) {
+    return OpenAIAPI.chat(messages, options);
+  },
+  async generateSummary({ candidate, role, score }) {
+    return OpenAIAPI.generateSummary({ role }, withQuestionText(candidate.questions), candidate.answers, score);
+  }
+};
+
+const localProvider = {
+  id: 'local',
+  label: 'Local (OpenAI-compatible)',
+  timeout: 120000, // self-hosted models on CPU can be slow
+  isAvailable(settings) {
+    LocalLLMAPI.configure(settings?.local);
+    return LocalLLMAPI.isApiKeyAvailable();
+  },
+  async generateQuestions(params, settings) {
+    LocalLLMAPI.configure(settings?.local);
+    return ensureQuestions(await generateOneByOne(LocalLLMAPI, params), this.label);
+  },
+  async complete(messages, options, settings) {
+    LocalLLMAPI.configure(settings?.local);
+    return LocalLLMAPI.chat(messages, options);
+  },
+  async generateSummary({ candidate, role, score }, settings) {
+    LocalLLMAPI.configure(settings?.local);
+    return LocalLLMAPI.generateSummary({ role }, withQuestionText(candidate.questions), candidate.answers, score);
+  }
+};
+
+const openRouterProvider = {
+  id: 'openrouter',
+  label: 'OpenRouter',
+  isAvailable: () => OpenRouterAPI.isApiKeyAvailable(),
+  async generateQuestions(params) {
+    return chatQuestions(OpenRouterAPI, params, this.label);
+  },
+  async complete(messages, options) {
+    return OpenRouterAPI.chat(messages, options);
+  },
+  async generateSummary(params) {
+    return chatSummary(OpenRouterAPI, params, this.label);
+  }
+};
+
+// Always available and deterministic, so it closes the default chain
+const mockProvider = {
+  id: 'mock',
+  label: 'Offline Mock',
+  isAvailable: () => true,
+  async generateQuestions({ role, difficulty, count, profile }) {
+    const texts = MockLLM.generateQuestions(role, normalizeDifficulty(difficulty), count, profile);
+    return ensureQuestions(texts.map(text => toQuestion(text, difficulty)), this.label);
+  },
+  async evaluateAnswer({ question, answer, rubric }) {
+    return MockLLM.evaluateAnswer(question, answer, rubric);
+  },
+  async generateFollowUp({ question, answer, evaluation }) {
+    return MockLLM.generateFollowUp(question, answer, evaluation);
+  },
+  async generateSummary({ candidate, role, score }) {
+    return MockLLM.generateSummary(candidate, role, score);
+  }
+};
+
+export const builtInProviders = [
+  localProvider,
+  perplexityProvider,
+  geminiProvider,
+  openAIProvider,
+  openRouterProvider,
+  mockProvider
+];
@@ -0,0 +1,191 @@
+// Single entry point for all AI calls. Components never talk to a vendor API
+// directly; they call AIService with the provider order from settings and the
+// service walks that order until one provider succeeds.
+
+import { builtInProviders, normalizeDifficulty, getTimeLimitForDifficulty } from './aiProviders';
+import { parseEvaluation, buildEvaluationMessages, buildRepairMessages } from './evaluationSchema';
+import { computeRubricScore, getDefaultRubric } from './rubrics';
+import { buildFollowUpMessages, parseFollowUp } from './followUps';
+import { buildQuestionMessages, parseQuestionList, hasResumeContext } from './candidateProfile';
+
+// The local provider only counts as available once a base URL and model are set
+export const DEFAULT_PROVIDER_ORDER = ['local', 'perplexity', 'gemini', 'openai', 'openrouter', 'mock'];
+const DEFAULT_TIMEOUT = 30000; // per provider attempt
+const EVALUATION_ATTEMPTS = 2; // first ask plus one re-ask with the validation errors
+
+const registry = new Map();
+
+export const registerProvider = (provider) => {
+  if (!provider || !provider.id) {
+    throw new Error('AI provider must have an id');
+  }
+  registry.set(provider.id, provider);
+};
+
+export const getProvider = (id) => registry.get(id);
+
+export const listProviders = () => Array.from(registry.values());
+
+builtInProviders.forEach(registerProvider);
+
+// Allows VITE_AI_PROVIDERS=gemini,openai to pick the initial chain without touching settings
+export const getDefaultProviderOrder = () => {
+  const fromEnv = import.meta.env?.VITE_AI_PROVIDERS;
+  if (fromEnv) {
+    const ids = fromEnv.split(',').map(id => id.trim()).filter(Boolean);
+    if (ids.length > 0) return ids;
+  }
+  return [...DEFAULT_PROVIDER_ORDER];
+};
+
+const withTimeout = (promise, ms, label) => {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label} timed out after ${ms / 1000} seconds`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// The rubric's weighted average is authoritative; the model's own overall
+// score is kept alongside for comparison
+const applyRubric = (value, rubric) => ({
+  ...value,
+  score: computeRubricScore(rubric, value.criteria),
+  modelScore: value.score
+});
+
+// Asks one provider for a schema-valid evaluation, repairing or re-asking when
+// the reply does not validate. Throws with the raw replies attached if it never does.
+const evaluateWithProvider = async (provider, params, settings) => {
+  const rawResponses = [];
+  const { rubric } = params;
+
+  if (!provider.complete) {
+    const raw = await provider.evaluateAnswer(params, settings);
+    const result = parseEvaluation(raw, rubric);
+    if (!result.valid) {
+      const error = new Error(`${provider.label} returned an invalid evaluation: ${result.errors.join('; ')}`);
+      error.rawResponses = [JSON.stringify(raw)];
+      throw error;
+    }
+    return { ...applyRubric(result.value, rubric), meta: { repaired: result.repaired, attempts: 1, raw: null } };
+  }
+
+  let messages = buildEvaluationMessages(params);
+  let lastErrors = [];
+  for (let attempt = 1; attempt <= EVALUATION_ATTEMPTS; attempt++) {
+    const raw = await provider.complete(messages, { temperature: 0.2, max_tokens: 800, json: true }, settings);
+    rawResponses.push(raw);
+    const result = parseEvaluation(raw, rubric);
+    if (result.valid) {
+      return { ...applyRubric(result.value, rubric), meta: { repaired: result.repaired, attempts: attempt, raw } };
+    }
+    lastErrors = result.errors;
+    console.warn(`${provider.label} evaluation failed validation (attempt ${attempt}):`, result.errors);
+    messages = buildRepairMessages(messages, raw, result.errors);
+  }
+
+  const error = new Error(`${provider.label} returned an invalid evaluation: ${lastErrors.join('; ')}`);
+  error.rawResponses = rawResponses;
+  throw error;
+};
+
+// With resume context, chat providers get a prompt built from the candidate
+// profile; the vendors' own question prompts only know the role
+const generateQuestionsWithProvider = async (provider, params, settings) => {
+  if (!provider.complete || !hasResumeContext(params.profile)) {
+    return provider.generateQuestions(params, settings);
+  }
+  const raw = await provider.complete(buildQuestionMessages(params), { temperature: 0.7, max_tokens: 800, json: true }, settings);
+  const texts = parseQuestionList(raw);
+  if (texts.length === 0) {
+    throw new Error(`${provider.label} returned no questions`);
+  }
+  return texts.map(question => ({
+    question,
+    difficulty: params.difficulty,
+    timeLimit: getTimeLimitForDifficulty(params.difficulty)
+  }));
+};
+
+const runWithFallback = async (task, call, settings = {}) => {
+  const order = settings.providerOrder?.length ? settings.providerOrder : getDefaultProviderOrder();
+  const attempts = [];
+
+  for (const id of order) {
+    const provider = registry.get(id);
+    if (!provider) {
+      attempts.push({ provider: id, error: 'not registered' });
+      continue;
+    }
+    if (!provider.isAvailable(settings)) {
+      attempts.push({ provider: id, error: 'not configured' });
+      continue;
+    }
+    try {
+      const timeout = settings.timeout || provider.timeout || DEFAULT_TIMEOUT;
+      const value = await withTimeout(call(provider), timeout, `${provider.label} ${task}`);
+      return { provider: id, value };
+    } catch (err) {
+      console.warn(`AI provider ${id} failed to ${task}:`, err);
+      attempts.push({ provider: id, error: err?.message || String(err), rawResponses: err?.rawResponses });
+    }
+  }
+
+  const details = attempts.map(a => `${a.provider}: ${a.error}`).join('; ');
+  const error = new Error(`No AI provider could ${task}${details ? ` (${details})` : ''}`);
+  error.attempts = attempts;
+  throw error;
+};
+
+export class AIService {
+  // `profile` (see candidateProfile.js) grounds the questions in the resume
+  static async generateQuestions({ role, difficulty, count = 1, profile = null }, settings) {
+    const params = { role, difficulty: normalizeDifficulty(difficulty), count, profile };
+    const { provider, value } = await runWithFallback(
+      'generate questions',
+      p => generateQuestionsWithProvider(p, params, settings),
+      settings
+    );
+    return { provider, questions: value.slice(0, count) };
+  }
+
+  // Resolves to a schema-valid evaluation (see evaluationSchema.js) plus
+  // `provider` and `meta` ({ repaired, attempts, raw }) for debugging
+  static async evaluateAnswer({ question, answer, role, difficulty, rubric, referenceAnswer }, settings) {
+    const level = normalizeDifficulty(difficulty);
+    const params = { question, answer, role, difficulty: level, rubric: rubric || getDefaultRubric(level), referenceAnswer };
+    const { provider, value } = await runWithFallback(
+      'evaluate the answer',
+      p => evaluateWithProvider(p, params, settings),
+      settings
+    );
+    return { provider, ...value };
+  }
+
+  // Resolves to { provider, followUp: { ask, question, reason } }
+  static async generateFollowUp({ question, answer, role, evaluation }, settings) {
+    const params = { question, answer, role, evaluation };
+    const { provider, value } = await runWithFallback(
+      'generate a follow-up',
+      async p => {
+        if (!p.complete) return parseFollowUp(await p.generateFollowUp(params, settings));
+        const raw = await p.complete(buildFollowUpMessages(params), { temperature: 0.4, max_tokens: 300, json: true }, settings);
+        return parseFollowUp(raw);
+      },
+      settings
+    );
+    return { provider, followUp: value };
+  }
+
+  static async generateSummary({ candidate, role, score }, settings) {
+    const { provider, value } = await runWithFallback(
+      'generate a summary',
+      p => p.generateSummary({ candidate, role, score }, settings),
+      settings
+    );
+    return { provider, summary: value };
+  }
+}
+
+export default AIService;
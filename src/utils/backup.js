@@ -0,0 +1,184 @@
+// Full backup and restore: candidates (with their attempts), resume files,
+// templates, the question bank and settings in one JSON file. A manifest at
+// the top records what is inside, the schema versions it was written with and
+// a SHA-256 checksum of the data, so damaged or edited files are refused.
+
+import BlobStore from './blobStore';
+import { isIndexedDbAvailable } from './indexedDb';
+import { normalizeTemplate } from './interviewTemplates';
+import { normalizeBankQuestion } from './questionBank';
+import {
+  CANDIDATES_VERSION,
+  TEMPLATES_VERSION,
+  QUESTION_BANK_VERSION,
+  migrateCandidates
+} from '../store/migrations';
+
+export const BACKUP_FORMAT = 'interview-assistant-backup';
+export const BACKUP_VERSION = 1;
+
+const toHex = (buffer) => Array.from(new Uint8Array(buffer)).map(b => b.toString(16).padStart(2, '0')).join('');
+
+export const checksum = async (text) => toHex(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text)));
+
+const countItems = (data) => ({
+  candidates: data.candidates.length,
+  attempts: data.candidates.reduce((sum, c) => sum + (c.attempts?.length || 0) + 1, 0),
+  answers: data.candidates.reduce((sum, c) => sum + (c.answers?.length || 0) +
+    (c.attempts || []).reduce((n, a) => n + a.answers.length, 0), 0),
+  files: Object.keys(data.files).length,
+  templates: data.templates.templates.length,
+  questions: data.questionBank.questions.length
+});
+
+// Stored resumes are embedded as data URLs; ones missing from this browser are skipped
+const collectFiles = async (candidates) => {
+  const files = {};
+  for (const candidate of candidates) {
+    const blobId = candidate.resumeFile?.blobId;
+    if (!blobId || files[blobId]) continue;
+    try {
+      const record = await BlobStore.get(blobId);
+      if (!record) continue;
+      files[blobId] = { name: record.name, type: record.type, dataUrl: await BlobStore.readAsDataUrl(record.blob) };
+    } catch (error) {
+      console.error(`Error reading resume ${blobId} for backup:`, error);
+    }
+  }
+  return files;
+};
+
+// Resolves to the backup file's text. The local model API key is left out:
+// backups get shared and stored in places a secret should not go.
+export const createBackup = async ({ candidates, settings, templates, questionBank }) => {
+  const data = {
+    candidates: candidates.candidates,
+    files: await collectFiles(candidates.candidates),
+    templates: { templates: templates.templates, defaultTemplateId: templates.defaultTemplateId },
+    questionBank: { questions: questionBank.questions },
+    settings: { ...settings, ai: { ...settings.ai, local: { ...settings.ai?.local, apiKey: '' } } }
+  };
+  const body = JSON.stringify(data);
+  const manifest = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    createdAt: new Date().toISOString(),
+    schema: { candidates: CANDIDATES_VERSION, templates: TEMPLATES_VERSION, questionBank: QUESTION_BANK_VERSION },
+    counts: countItems(data),
+    checksum: { algorithm: 'SHA-256', value: await checksum(body) }
+  };
+  return JSON.stringify({ manifest, data }, null, 2);
+};
+
+// Resolves to { manifest, data, invalid } with candidates upgraded to the
+// current schema; `invalid` lists records that failed validation and will not
+// be restored. Throws when the file is not a usable backup.
+export const parseBackup = async (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON');
+  }
+  const { manifest, data } = parsed || {};
+  if (manifest?.format !== BACKUP_FORMAT || !data) {
+    throw new Error('This is not an Interview Assistant backup file');
+  }
+  if (manifest.version > BACKUP_VERSION || manifest.schema?.candidates > CANDIDATES_VERSION) {
+    throw new Error('This backup was made by a newer version of the app');
+  }
+  if (manifest.checksum?.value !== await checksum(JSON.stringify(data))) {
+    throw new Error('Checksum mismatch: the backup file is damaged or was edited');
+  }
+  if (!Array.isArray(data.candidates)) {
+    throw new Error('The backup has no candidate list');
+  }
+
+  // Same migration and validation as state loaded from storage
+  const migrated = await migrateCandidates(
+    { candidates: data.candidates, quarantine: [], _persist: { version: manifest.schema?.candidates ?? -1, rehydrated: false } },
+    CANDIDATES_VERSION
+  );
+  return {
+    manifest,
+    data: {
+      candidates: migrated.candidates,
+      files: data.files || {},
+      templates: {
+        templates: (data.templates?.templates || []).map(normalizeTemplate),
+        defaultTemplateId: data.templates?.defaultTemplateId
+      },
+      questionBank: {
+        questions: (data.questionBank?.questions || []).map(normalizeBankQuestion).filter(q => q.question)
+      },
+      settings: data.settings || null
+    },
+    invalid: migrated.quarantine
+  };
+};
+
+const sameEmail = (a, b) => !!a.email && !!b.email && a.email.trim().toLowerCase() === b.email.trim().toLowerCase();
+
+// Backup candidates that match an existing one by id or email
+export const findConflicts = (incoming, existing) => incoming.flatMap(candidate => {
+  const byId = existing.find(c => c.id === candidate.id);
+  const byEmail = existing.find(c => c !== byId && sameEmail(c, candidate));
+  return [
+    ...(byId ? [{ incoming: candidate, existing: byId, matchedOn: 'id' }] : []),
+    ...(byEmail ? [{ incoming: candidate, existing: byEmail, matchedOn: 'email' }] : [])
+  ];
+});
+
+// What a restore will do to the candidate list. 'replace' swaps the whole
+// list; 'merge' adds the backup's candidates and settles conflicts by keeping
+// the existing record ('keep') or taking the backup's ('backup').
+export const planCandidateRestore = (incoming, existing, { mode = 'merge', onConflict = 'keep' } = {}) => {
+  if (mode === 'replace') {
+    return { add: incoming, removeIds: existing.map(c => c.id), skipped: [] };
+  }
+  const conflicts = findConflicts(incoming, existing);
+  const conflicting = new Set(conflicts.map(c => c.incoming));
+  if (onConflict === 'backup') {
+    return {
+      add: incoming,
+      removeIds: Array.from(new Set(conflicts.map(c => c.existing.id))),
+      skipped: []
+    };
+  }
+  return {
+    add: incoming.filter(c => !conflicting.has(c)),
+    removeIds: [],
+    skipped: incoming.filter(c => conflicting.has(c))
+  };
+};
+
+// Puts the backup's resume files back into the blob store and points the
+// candidates at the new copies (inline when IndexedDB is unavailable). A
+// candidate whose file is not in the backup keeps its old reference, so the
+// caller must not delete that file.
+export const restoreFiles = async (candidates, files) => {
+  const restored = {};
+  const useBlobStore = isIndexedDbAvailable();
+  const result = [];
+  for (const candidate of candidates) {
+    const blobId = candidate.resumeFile?.blobId;
+    const file = blobId && files[blobId];
+    if (!file) {
+      result.push(candidate);
+      continue;
+    }
+    try {
+      if (!restored[blobId]) {
+        const { blobId: _old, ...meta } = candidate.resumeFile;
+        restored[blobId] = useBlobStore
+          ? { ...meta, blobId: await BlobStore.put(BlobStore.dataUrlToBlob(file.dataUrl), { name: file.name, type: file.type }) }
+          : { ...meta, data: file.dataUrl };
+      }
+      result.push({ ...candidate, resumeFile: restored[blobId] });
+    } catch (error) {
+      console.error(`Error restoring resume for candidate ${candidate.id}:`, error);
+      result.push(candidate);
+    }
+  }
+  return result;
+};
@@ -0,0 +1,130 @@
+// Large binary data (resume files) lives in IndexedDB and candidates keep only
+// a reference: resumeFile = { blobId, name, type, size }. Keeping base64 copies
+// in Redux pushed localStorage past its ~5 MB quota after two or three PDFs.
+
+import { STORES, isIndexedDbAvailable, idbGet, idbSet, idbDelete, idbKeys } from './indexedDb';
+import Encryption from './encryption';
+
+class BlobStore {
+  // With encryption on, the file's bytes and its name and type are stored
+  // encrypted: { encrypted: true, iv, data, meta, createdAt }
+  static async seal(record) {
+    if (!Encryption.isEnabled()) return record;
+    const { blob, createdAt, ...meta } = record;
+    const { iv, data } = await Encryption.encryptBytes(await blob.arrayBuffer());
+    return { encrypted: true, iv, data, meta: await Encryption.encryptText(JSON.stringify(meta)), createdAt };
+  }
+
+  static async open(stored) {
+    if (!stored?.encrypted) return stored;
+    const meta = JSON.parse(await Encryption.decryptText(stored.meta));
+    const bytes = await Encryption.decryptBytes(stored);
+    return { ...meta, blob: new Blob([bytes], { type: meta.type }), createdAt: stored.createdAt };
+  }
+
+  static async put(blob, meta = {}) {
+    const id = `blob-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    await idbSet(STORES.blobs, id, await this.seal({
+      blob,
+      name: meta.name || '',
+      type: meta.type || blob.type || 'application/octet-stream',
+      size: blob.size,
+      createdAt: new Date().toISOString()
+    }));
+    return id;
+  }
+
+  // Resolves to { blob, name, type, size, createdAt } or null
+  static async get(id) {
+    if (!id) return null;
+    return (await this.open(await idbGet(STORES.blobs, id))) || null;
+  }
+
+  // Rewrites every stored file in the current mode, after encryption is turned on or off
+  static async resealAll() {
+    if (!isIndexedDbAvailable()) return;
+    for (const id of await this.listIds()) {
+      const record = await this.get(id);
+      if (record) await idbSet(STORES.blobs, id, await this.seal(record));
+    }
+  }
+
+  static async remove(id) {
+    if (id) await idbDelete(STORES.blobs, id);
+  }
+
+  static async listIds() {
+    return idbKeys(STORES.blobs);
+  }
+
+  static dataUrlToBlob(dataUrl) {
+    const match = /^data:([^;,]*)(;base64)?,(.*)$/s.exec(String(dataUrl || ''));
+    if (!match) throw new Error('Invalid resume data format');
+    const [, type, isBase64, payload] = match;
+    if (!isBase64) return new Blob([decodeURIComponent(payload)], { type });
+    const bytes = atob(payload);
+    const buffer = new Uint8Array(bytes.length);
+    for (let i = 0; i < bytes.length; i++) {
+      buffer[i] = bytes.charCodeAt(i);
+    }
+    return new Blob([buffer], { type: type || 'application/octet-stream' });
+  }
+
+  static readAsDataUrl(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(file);
+    });
+  }
+
+  // Stores an uploaded file and returns the reference to keep on the candidate.
+  // Without IndexedDB the file stays inline, as before, rather than being lost.
+  static async saveFile(file) {
+    const meta = { name: file.name, type: file.type, size: file.size };
+    if (!isIndexedDbAvailable()) {
+      return { ...meta, data: await this.readAsDataUrl(file) };
+    }
+    try {
+      return { ...meta, blobId: await this.put(file, meta) };
+    } catch (error) {
+      console.error('Error storing resume in IndexedDB, keeping it inline:', error);
+      return { ...meta, data: await this.readAsDataUrl(file) };
+    }
+  }
+
+  // The file behind a candidate's resumeFile, stored or legacy inline
+  static async getFile(resumeFile) {
+    if (!resumeFile) throw new Error('Resume data not found');
+    if (resumeFile.blobId) {
+      const record = await this.get(resumeFile.blobId);
+      if (!record) throw new Error('Resume file is missing from browser storage');
+      return record.blob;
+    }
+    if (resumeFile.data) return this.dataUrlToBlob(resumeFile.data);
+    throw new Error('Resume data not found');
+  }
+
+  // Moves inline base64 resumes into the blob store. Resolves to the updated
+  // candidates only; ones that fail keep their inline data and are retried next load.
+  static async migrateInlineResumes(candidates) {
+    if (!isIndexedDbAvailable()) return [];
+    const updated = [];
+    for (const candidate of candidates) {
+      const { resumeFile } = candidate;
+      if (!resumeFile?.data || resumeFile.blobId) continue;
+      try {
+        const blob = this.dataUrlToBlob(resumeFile.data);
+        const { data: _inline, ...meta } = resumeFile;
+        const blobId = await this.put(blob, meta);
+        updated.push({ ...candidate, resumeFile: { ...meta, size: meta.size ?? blob.size, blobId } });
+      } catch (error) {
+        console.error(`Error migrating resume for candidate ${candidate.id}:`, error);
+      }
+    }
+    return updated;
+  }
+}
+
+export default BlobStore;
@@ -0,0 +1,96 @@
+// Side-by-side comparison of finalists: score breakdowns per difficulty and per
+// rubric criterion, and their interviews aligned question by question. Each
+// candidate is compared on their latest attempt.
+
+import { getRubricForQuestion } from './rubrics';
+
+export const MIN_COMPARED = 2;
+export const MAX_COMPARED = 4;
+const DIFFICULTIES = ['Easy', 'Medium', 'Hard'];
+const SIMILARITY_THRESHOLD = 0.5;
+const STOP_WORDS = new Set(['a', 'an', 'the', 'and', 'or', 'of', 'to', 'in', 'on', 'for', 'with', 'is', 'are', 'how', 'what', 'why', 'you', 'your', 'do', 'does', 'can', 'would', 'between', 'it', 'this', 'that']);
+
+const average = (values) => (
+  values.length ? Math.round((values.reduce((sum, v) => sum + v, 0) / values.length) * 10) / 10 : null
+);
+
+const answerFor = (candidate, question) => (candidate.answers || []).find(a => a.questionId === question.id);
+
+// Average answer score (0-10) per difficulty, with how many answers it covers
+export const getDifficultyScores = (candidate) => DIFFICULTIES.map(difficulty => {
+  const scores = (candidate.questions || [])
+    .filter(q => q.difficulty === difficulty)
+    .map(q => answerFor(candidate, q)?.score)
+    .filter(score => typeof score === 'number');
+  return { difficulty, average: average(scores), count: scores.length };
+});
+
+// Average of each rubric criterion over the answers that were scored on it
+export const getRubricAverages = (candidate) => {
+  const byCriterion = new Map();
+  (candidate.questions || []).forEach(q => {
+    const criteria = answerFor(candidate, q)?.evaluation?.criteria || [];
+    const labels = new Map(getRubricForQuestion(q).criteria.map(def => [def.id, def.label]));
+    criteria.filter(c => typeof c.score === 'number').forEach(c => {
+      const entry = byCriterion.get(c.name) || { id: c.name, label: labels.get(c.name) || c.name, scores: [] };
+      entry.scores.push(c.score);
+      byCriterion.set(c.name, entry);
+    });
+  });
+  return Array.from(byCriterion.values()).map(({ scores, ...rest }) => ({ ...rest, average: average(scores), count: scores.length }));
+};
+
+const tokenize = (text) => new Set(
+  String(text || '').toLowerCase().split(/[^a-z0-9+#.]+/).filter(w => w.length > 1 && !STOP_WORDS.has(w))
+);
+
+// Word overlap (Jaccard) between two questions, 0-1
+export const questionSimilarity = (a, b) => {
+  const wordsA = tokenize(a);
+  const wordsB = tokenize(b);
+  if (!wordsA.size || !wordsB.size) return 0;
+  const shared = [...wordsA].filter(w => wordsB.has(w)).length;
+  return shared / (wordsA.size + wordsB.size - shared);
+};
+
+// Rows of questions asked to several candidates: the same bank question, the
+// same text, or text similar enough. Each row holds at most one question per
+// candidate; rows shared by more candidates come first.
+export const alignQuestions = (candidates) => {
+  const rows = [];
+  candidates.forEach(candidate => {
+    (candidate.questions || []).forEach(question => {
+      const free = rows.filter(row => !row.entries[candidate.id]);
+      let row = free.find(r => question.bankQuestionId && r.bankQuestionId === question.bankQuestionId)
+        || free.find(r => r.question.trim().toLowerCase() === question.question.trim().toLowerCase());
+      let match = row ? 'same' : null;
+      if (!row) {
+        const scored = free
+          .map(r => ({ r, similarity: questionSimilarity(r.question, question.question) }))
+          .filter(s => s.similarity >= SIMILARITY_THRESHOLD)
+          .sort((x, y) => y.similarity - x.similarity);
+        row = scored[0]?.r;
+        match = row ? 'similar' : null;
+      }
+      if (!row) {
+        row = {
+          key: `${candidate.id}:${question.id}`,
+          question: question.question,
+          difficulty: question.difficulty,
+          bankQuestionId: question.bankQuestionId || null,
+          match: 'same',
+          entries: {}
+        };
+        rows.push(row);
+      } else if (match === 'similar') {
+        row.match = 'similar';
+      }
+      row.entries[candidate.id] = { question, answer: answerFor(candidate, question) || null };
+    });
+  });
+  const shared = (row) => Object.keys(row.entries).length;
+  return rows
+    .map((row, order) => ({ row, order }))
+    .sort((a, b) => (shared(b.row) > 1) - (shared(a.row) > 1) || a.order - b.order)
+    .map(({ row }) => row);
+};
@@ -0,0 +1,106 @@
+// Spreadsheet export of the candidate table: a summary sheet with one row per
+// candidate and an answers sheet with one row per question, as CSV or XLSX.
+
+import { toCsv } from './csv';
+import { toXlsx } from './xlsx';
+import { getAttempts, summarizeAttempt } from './interviewAttempts';
+import { getCandidateSkills } from './candidateFilters';
+
+const STATUS_LABELS = { not_started: 'Not started', in_progress: 'In progress', completed: 'Completed' };
+
+// Each column: key, header, and how to read the value. `defaultSelected: false`
+// leaves it out unless picked.
+export const SUMMARY_COLUMNS = [
+  { key: 'id', header: 'Candidate ID', value: ({ candidate }) => candidate.id, defaultSelected: false },
+  { key: 'name', header: 'Name', value: ({ candidate }) => candidate.name },
+  { key: 'email', header: 'Email', value: ({ candidate }) => candidate.email },
+  { key: 'phone', header: 'Phone', value: ({ candidate }) => candidate.phone },
+  { key: 'status', header: 'Status', value: ({ candidate }) => STATUS_LABELS[candidate.interviewStatus] || candidate.interviewStatus },
+  { key: 'score', header: 'Final score (0-100)', value: ({ candidate }) => candidate.score },
+  { key: 'template', header: 'Template', value: ({ candidate }) => candidate.template?.name },
+  { key: 'role', header: 'Role', value: ({ candidate }) => candidate.template?.role },
+  { key: 'attempt', header: 'Attempt', value: ({ attempt }) => attempt.number },
+  { key: 'asked', header: 'Questions asked', value: ({ stats }) => stats.asked },
+  { key: 'answered', header: 'Questions answered', value: ({ stats }) => stats.answered },
+  { key: 'averageAnswerScore', header: 'Average answer score (0-10)', value: ({ stats }) => stats.averageAnswerScore },
+  { key: 'skills', header: 'Resume skills', value: ({ candidate }) => getCandidateSkills(candidate).join(', ') },
+  { key: 'tags', header: 'Tags', value: ({ candidate }) => (candidate.tags || []).join(', ') },
+  { key: 'createdAt', header: 'Created', value: ({ candidate }) => candidate.createdAt },
+  { key: 'startedAt', header: 'Started', value: ({ candidate }) => candidate.startedAt },
+  { key: 'completedAt', header: 'Completed', value: ({ candidate }) => candidate.completedAt },
+  { key: 'summary', header: 'AI summary', value: ({ candidate }) => candidate.summary }
+];
+
+export const DETAIL_COLUMNS = [
+  { key: 'candidateId', header: 'Candidate ID', value: ({ candidate }) => candidate.id, defaultSelected: false },
+  { key: 'name', header: 'Name', value: ({ candidate }) => candidate.name },
+  { key: 'email', header: 'Email', value: ({ candidate }) => candidate.email },
+  { key: 'attempt', header: 'Attempt', value: ({ attempt }) => attempt.number },
+  { key: 'number', header: 'Question #', value: ({ index }) => index + 1 },
+  { key: 'question', header: 'Question', value: ({ question }) => question.question },
+  { key: 'difficulty', header: 'Difficulty', value: ({ question }) => question.difficulty },
+  { key: 'type', header: 'Type', value: ({ question }) => question.type || 'text' },
+  { key: 'answer', header: 'Answer', value: ({ answer }) => answer?.text },
+  { key: 'score', header: 'Score (0-10)', value: ({ answer }) => answer?.score },
+  { key: 'feedback', header: 'Feedback', value: ({ answer }) => answer?.feedback },
+  { key: 'timeUsed', header: 'Time used (s)', value: ({ answer }) => answer?.timeUsed },
+  { key: 'timeLimit', header: 'Time allowed (s)', value: ({ question }) => question.timeLimit },
+  { key: 'answeredAt', header: 'Answered at', value: ({ answer }) => answer?.timestamp }
+];
+
+export const defaultColumnKeys = (columns) => columns.filter(c => c.defaultSelected !== false).map(c => c.key);
+
+const pick = (columns, keys) => columns.filter(c => keys.includes(c.key));
+
+const toRow = (columns, context) => Object.fromEntries(columns.map(c => [c.key, c.value(context) ?? '']));
+
+const latestAttempt = (candidate) => getAttempts(candidate).pop();
+
+export const buildSummaryRows = (candidates, columnKeys) => {
+  const columns = pick(SUMMARY_COLUMNS, columnKeys);
+  return candidates.map(candidate => {
+    const attempt = latestAttempt(candidate);
+    return toRow(columns, { candidate, attempt, stats: summarizeAttempt(attempt) });
+  });
+};
+
+// One row per question asked, answered or not; earlier attempts only on request
+export const buildDetailRows = (candidates, columnKeys, { allAttempts = false } = {}) => {
+  const columns = pick(DETAIL_COLUMNS, columnKeys);
+  return candidates.flatMap(candidate => (allAttempts ? getAttempts(candidate) : [latestAttempt(candidate)])
+    .flatMap(attempt => {
+      const answers = new Map((attempt.answers || []).map(a => [a.questionId, a]));
+      return (attempt.questions || []).map((question, index) => (
+        toRow(columns, { candidate, attempt, question, index, answer: answers.get(question.id) })
+      ));
+    }));
+};
+
+// Spreadsheets run cells starting with these as formulas; candidate-written
+// text must never become one (CSV injection)
+const neutralize = (value) => (typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : value);
+
+const sheets = (candidates, { summaryColumns, detailColumns, allAttempts }) => [
+  {
+    name: 'Summary',
+    columns: pick(SUMMARY_COLUMNS, summaryColumns),
+    rows: buildSummaryRows(candidates, summaryColumns)
+  },
+  {
+    name: 'Answers',
+    columns: pick(DETAIL_COLUMNS, detailColumns),
+    rows: buildDetailRows(candidates, detailColumns, { allAttempts })
+  }
+].filter(sheet => sheet.columns.length > 0);
+
+// `sheet` is 'Summary' or 'Answers'; a CSV file holds one of them
+export const exportCandidatesCsv = (candidates, options, sheet) => {
+  const selected = sheets(candidates, options).find(s => s.name === sheet);
+  if (!selected) return '';
+  const rows = selected.rows.map(row => Object.fromEntries(Object.entries(row).map(([key, value]) => [key, neutralize(value)])));
+  // The byte order mark makes Excel read the file as UTF-8
+  return `\uFEFF${toCsv(rows, selected.columns)}`;
+};
+
+// Inline strings in XLSX are never evaluated, so no neutralizing is needed
+export const exportCandidatesXlsx = (candidates, options) => toXlsx(sheets(candidates, options));
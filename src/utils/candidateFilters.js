@@ -0,0 +1,126 @@
+// Dashboard filters: interview status, score and date ranges, resume skills,
+// template/role, interviewer tags and full-text search over everything said in the
+// interviews (questions, answers, feedback and summaries of every attempt).
+
+import { extractSkills, normalizeSkills } from './skillTaxonomy';
+import { getAttempts } from './interviewAttempts';
+
+export const SCORE_RANGE = [0, 100];
+const SNIPPET_RADIUS = 60;
+
+export const EMPTY_FILTERS = {
+  search: '', // name or email
+  text: '', // full text over the interviews
+  scoreRange: SCORE_RANGE,
+  createdRange: null, // [from, to] as timestamps
+  completedRange: null,
+  skills: [],
+  templateIds: [],
+  roles: [],
+  tags: [],
+  statuses: [] // interviewStatus values, set from the table's Status column
+};
+
+// Resumes parsed before structured extraction only have the text
+export const getCandidateSkills = (candidate) => {
+  const resumeData = candidate.resumeData;
+  if (!resumeData) return [];
+  return resumeData.skills?.length ? normalizeSkills(resumeData.skills) : extractSkills(resumeData.text || '');
+};
+
+// Values present in the data, for the filter dropdowns
+export const collectFilterOptions = (candidates) => {
+  const skills = new Set();
+  const templates = new Map();
+  const roles = new Set();
+  const tags = new Set();
+  candidates.forEach(c => {
+    getCandidateSkills(c).forEach(s => skills.add(s));
+    if (c.template) {
+      templates.set(c.template.id, c.template.name);
+      if (c.template.role) roles.add(c.template.role);
+    }
+    (c.tags || []).forEach(t => tags.add(t));
+  });
+  const sorted = (set) => Array.from(set).sort((a, b) => a.localeCompare(b));
+  return {
+    skills: sorted(skills),
+    templates: Array.from(templates, ([id, name]) => ({ id, name })).sort((a, b) => a.name.localeCompare(b.name)),
+    roles: sorted(roles),
+    tags: sorted(tags)
+  };
+};
+
+export const countActiveFilters = (filters) => [
+  filters.search.trim(),
+  filters.text.trim(),
+  filters.scoreRange[0] > SCORE_RANGE[0] || filters.scoreRange[1] < SCORE_RANGE[1],
+  filters.createdRange,
+  filters.completedRange,
+  filters.skills.length,
+  filters.templateIds.length,
+  filters.roles.length,
+  filters.tags.length,
+  filters.statuses.length
+].filter(Boolean).length;
+
+const inRange = (value, range) => {
+  if (!range) return true;
+  if (!value) return false;
+  const time = new Date(value).getTime();
+  return time >= range[0] && time <= range[1];
+};
+
+const snippet = (text, index, length) => {
+  const start = Math.max(0, index - SNIPPET_RADIUS);
+  const end = Math.min(text.length, index + length + SNIPPET_RADIUS);
+  return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+};
+
+// Every place the text occurs, as { attempt, field, snippet } with the
+// snippet cut around the first occurrence in that field
+export const findTextMatches = (candidate, text) => {
+  const needle = text.trim().toLowerCase();
+  if (!needle) return [];
+  const matches = [];
+  getAttempts(candidate).forEach(attempt => {
+    const check = (field, value) => {
+      const haystack = String(value || '');
+      const index = haystack.toLowerCase().indexOf(needle);
+      if (index !== -1) {
+        matches.push({ attempt: attempt.number, field, snippet: snippet(haystack, index, needle.length) });
+      }
+    };
+    (attempt.questions || []).forEach((q, idx) => {
+      check(`Question ${idx + 1}`, q.question);
+      const answer = (attempt.answers || []).find(a => a.questionId === q.id);
+      if (answer) {
+        check(`Answer ${idx + 1}`, answer.text);
+        check(`Feedback ${idx + 1}`, answer.feedback);
+      }
+    });
+    check('Summary', attempt.summary);
+  });
+  return matches;
+};
+
+export const filterCandidates = (candidates, filters) => {
+  const search = filters.search.trim().toLowerCase();
+  const [minScore, maxScore] = filters.scoreRange;
+  const scoreFiltered = minScore > SCORE_RANGE[0] || maxScore < SCORE_RANGE[1];
+  return candidates.filter(c => {
+    if (search && !c.name.toLowerCase().includes(search) && !c.email.toLowerCase().includes(search)) return false;
+    if (scoreFiltered && (typeof c.score !== 'number' || c.score < minScore || c.score > maxScore)) return false;
+    if (!inRange(c.createdAt, filters.createdRange) || !inRange(c.completedAt, filters.completedRange)) return false;
+    if (filters.skills.length) {
+      // Every selected skill, not just one of them
+      const skills = new Set(getCandidateSkills(c));
+      if (!filters.skills.every(s => skills.has(s))) return false;
+    }
+    if (filters.templateIds.length && !filters.templateIds.includes(c.template?.id)) return false;
+    if (filters.roles.length && !filters.roles.includes(c.template?.role)) return false;
+    if (filters.tags.length && !(c.tags || []).some(t => filters.tags.includes(t))) return false;
+    if (filters.statuses.length && !filters.statuses.includes(c.interviewStatus)) return false;
+    return !filters.text.trim() || findTextMatches(c, filters.text).length > 0;
+  });
+};
@@ -0,0 +1,119 @@
+// Candidate profile built from the parsed resume, used to ground question
+// generation in the candidate's own experience ("You used Kafka at X, how did
+// you handle...") instead of a generic role.
+
+import { parseJsonObject } from './evaluationSchema';
+import { extractSkills, normalizeSkills, skillPattern } from './skillTaxonomy';
+
+export const DEFAULT_ROLE = 'Full Stack Developer (React/Node.js)';
+const MAX_EXCERPT_LENGTH = 3000;
+const MAX_HIGHLIGHTS = 6;
+
+const TITLE_PATTERN = /\b(developer|engineer|architect|scientist|designer|manager|lead|analyst|consultant|programmer)\b/i;
+
+const detectHeadline = (lines) => lines
+  .slice(0, 10)
+  .find(line => line.length <= 80 && TITLE_PATTERN.test(line) && !/[@]|http/i.test(line)) || '';
+
+// Explicit titles win over years of experience; parsed work history beats
+// numbers mentioned in the text
+export const detectSeniority = (text, headline = '', yearsOfExperience = null) => {
+  const source = `${headline}\n${text || ''}`;
+  if (/\b(principal|staff|lead|senior|sr\.?)\s+\w*\s*(developer|engineer|architect)/i.test(source)) return 'Senior';
+  if (/\b(junior|jr\.?|intern|graduate|entry[- ]level)\b/i.test(headline)) return 'Junior';
+  const years = Array.from(String(text || '').matchAll(/(\d{1,2})\+?\s*(?:years?|yrs)/gi)).map(m => parseInt(m[1], 10));
+  const most = typeof yearsOfExperience === 'number' ? yearsOfExperience : years.length ? Math.max(...years) : null;
+  if (most === null) return null;
+  if (most >= 6) return 'Senior';
+  if (most >= 3) return 'Mid-level';
+  return 'Junior';
+};
+
+// Resume lines that tie a technology to something the candidate did; bare
+// skill lists ("Skills: React, Redux, Jest") say nothing about the work
+const isSkillList = (line) => /^(skills|technologies|tech stack|tools)\b/i.test(line) || line.split(',').length > 3;
+
+const detectHighlights = (lines, technologies) => lines
+  .map(line => line.replace(/^[\s•\-*–·]+/, '').trim())
+  .filter(line => line.length >= 25 && !isSkillList(line) && technologies.some(tech => skillPattern(tech).test(line)))
+  .slice(0, MAX_HIGHLIGHTS)
+  .map(line => (line.length > 200 ? `${line.slice(0, 197)}...` : line));
+
+export const buildCandidateProfile = (resumeData = {}) => {
+  const text = String(resumeData?.text || '');
+  const lines = text.split('\n').map(l => l.trim()).filter(Boolean);
+  const headline = detectHeadline(lines);
+  // Resumes parsed before structured extraction only have the text
+  const skills = resumeData?.skills?.length ? normalizeSkills(resumeData.skills) : extractSkills(text);
+  const currentJob = (resumeData?.workHistory || []).find(job => job.current) || resumeData?.workHistory?.[0];
+  return {
+    headline: headline || currentJob?.title || '',
+    seniority: detectSeniority(text, headline, resumeData?.yearsOfExperience ?? null),
+    skills,
+    highlights: detectHighlights(lines, skills),
+    jobs: (resumeData?.workHistory || []).slice(0, 4).map(job => (
+      [job.title, job.company && `at ${job.company}`, `(${job.startDate} – ${job.endDate})`].filter(Boolean).join(' ')
+    )),
+    resumeExcerpt: text.slice(0, MAX_EXCERPT_LENGTH)
+  };
+};
+
+export const hasResumeContext = (profile) => !!profile && (profile.skills.length > 0 || profile.highlights.length > 0);
+
+// Short role line for prompts that only take a role (evaluation, summaries)
+export const describeRole = (profile, fallbackRole = DEFAULT_ROLE) => {
+  if (!profile || (!profile.headline && profile.skills.length === 0)) return fallbackRole;
+  const title = profile.headline || 'Software Developer';
+  const level = profile.seniority && !title.toLowerCase().includes(profile.seniority.toLowerCase()) ? `${profile.seniority} ` : '';
+  const skills = profile.skills.length ? ` (${profile.skills.slice(0, 8).join(', ')})` : '';
+  return `${level}${title}${skills}`;
+};
+
+export const buildQuestionMessages = ({ profile, difficulty, count }) => {
+  const highlights = profile.highlights.length
+    ? profile.highlights.map(h => `- ${h}`).join('\n')
+    : '- none extracted';
+  const prompt = `You are interviewing a candidate for this role: ${describeRole(profile)}.
+Seniority: ${profile.seniority || 'unknown'}
+Technologies on the resume: ${profile.skills.join(', ') || 'none extracted'}
+Recent roles: ${profile.jobs?.length ? profile.jobs.join('; ') : 'none extracted'}
+Experience highlights:
+${highlights}
+
+Resume (may be truncated):
+"""
+${profile.resumeExcerpt}
+"""
+
+Write ${count} ${difficulty} technical interview question${count === 1 ? '' : 's'} grounded in this candidate's actual
+experience. Reference specific technologies, projects or employers from the resume, for example
+"You used Kafka at Acme. How did you handle consumer lag?". Each question must be answerable in
+${difficulty === 'Easy' ? 'under a minute' : difficulty === 'Medium' ? 'a couple of minutes' : 'a few minutes'} without writing code.
+
+Return ONLY a JSON object, with no prose or code fences: {"questions": ["...", "..."]}`;
+  return [
+    { role: 'system', content: 'You are an expert technical interviewer who replies with JSON only.' },
+    { role: 'user', content: prompt }
+  ];
+};
+
+// Accepts {"questions": [...]}, a bare array, or a numbered list as a last resort
+export const parseQuestionList = (raw) => {
+  const text = String(raw || '');
+  const arrayMatch = text.match(/\[[\s\S]*\]/);
+  let list = parseJsonObject(text)?.questions;
+  if (!Array.isArray(list) && arrayMatch) {
+    try {
+      list = JSON.parse(arrayMatch[0]);
+    } catch {
+      list = null;
+    }
+  }
+  if (!Array.isArray(list)) {
+    list = text.split('\n').filter(line => /^\s*\d+[.)]\s+/.test(line)).map(line => line.replace(/^\s*\d+[.)]\s+/, ''));
+  }
+  return list
+    .map(item => (typeof item === 'string' ? item : item?.question || item?.text || ''))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+};
@@ -0,0 +1,68 @@
+// Objective question types: single choice (radio) and multi-select (checkboxes).
+// Graded locally and instantly from the correct options stored on the question,
+// so screening rounds cost no API calls and always grade the same way.
+
+export const CHOICE_TYPES = ['single', 'multiple'];
+
+export const QUESTION_TYPES = [
+  { value: 'text', label: 'Text' },
+  { value: 'coding', label: 'Coding' },
+  { value: 'single', label: 'Single choice' },
+  { value: 'multiple', label: 'Multi-select' }
+];
+
+export const isChoiceQuestion = (question) => CHOICE_TYPES.includes(question?.type);
+
+const optionId = (index) => String.fromCharCode(97 + index); // a, b, c...
+
+// Options as [{ id, text }] and correctOptions as option ids; accepts plain
+// strings for options and indexes or texts for the correct ones
+export const getChoiceFields = (question) => {
+  if (!isChoiceQuestion(question)) return {};
+  const options = (question.options || [])
+    .map((option, index) => (typeof option === 'string'
+      ? { id: optionId(index), text: option.trim() }
+      : { id: String(option.id || optionId(index)), text: String(option.text || '').trim() }))
+    .filter(option => option.text);
+  const correct = (question.correctOptions || []).map(value => {
+    if (typeof value === 'number') return options[value]?.id;
+    return options.find(o => o.id === value || o.text === value)?.id;
+  }).filter(Boolean);
+  const correctOptions = question.type === 'single' ? correct.slice(0, 1) : Array.from(new Set(correct));
+  return { type: question.type, options, correctOptions };
+};
+
+// Reasons a choice question cannot be graded, empty when it is usable
+export const validateChoiceQuestion = (question) => {
+  const { options, correctOptions } = getChoiceFields(question);
+  const problems = [];
+  if (options.length < 2) problems.push('Add at least two options');
+  if (correctOptions.length === 0) problems.push('Mark the correct option');
+  return problems;
+};
+
+// Single choice: 10 or 0. Multi-select: each correct pick earns its share,
+// each wrong pick takes a share away, floored at 0.
+export const gradeChoiceAnswer = (question, selected = []) => {
+  const { type, options, correctOptions } = getChoiceFields(question);
+  const picked = new Set(selected);
+  const correct = new Set(correctOptions);
+  const hits = [...picked].filter(id => correct.has(id)).length;
+  const misses = [...picked].filter(id => !correct.has(id)).length;
+
+  let score;
+  if (type === 'single') {
+    score = picked.size === 1 && hits === 1 ? 10 : 0;
+  } else {
+    score = correct.size ? Math.max(0, Math.round(((hits - misses) / correct.size) * 100) / 10) : 0;
+  }
+
+  const textOf = (ids) => options.filter(o => ids.includes(o.id)).map(o => o.text);
+  const allCorrect = hits === correct.size && misses === 0;
+  let feedback;
+  if (picked.size === 0) feedback = 'No option was selected.';
+  else if (allCorrect) feedback = 'Correct.';
+  else feedback = `Correct answer: ${textOf(correctOptions).join('; ')}.`;
+
+  return { score, correct: allCorrect, selected: [...picked], feedback, answerText: textOf([...picked]).join('; ') };
+};
@@ -0,0 +1,112 @@
+// Runs coding answers against their test cases in a throwaway Web Worker with
+// a wall-clock limit for the whole run, a memory budget (see
+// codeRunner.worker.js) and a cap on the size of each result.
+// Expected values stay on this side: the worker only returns what the code
+// produced, and the comparison happens here, out of the code's reach.
+// Always resolves; failures become failed tests.
+
+import { redactResults } from './codeSandbox';
+
+export const CODE_TIME_LIMIT_MS = 5000;
+export const CODE_OUTPUT_LIMIT_KB = 64; // serialized result per test
+export const CODE_MEMORY_LIMIT_MB = 64; // allocation budget for the whole run
+export const TEST_SCORE_WEIGHT = 0.6; // share of a coding answer's score that comes from tests
+
+const failAll = (testCases, error, extra = {}) => ({
+  results: testCases.map((test, index) => ({
+    index, name: test.name || `Test ${index + 1}`, hidden: !!test.hidden, passed: false, error, durationMs: 0
+  })),
+  error,
+  ...extra
+});
+
+export const deepEqual = (a, b) => {
+  if (Object.is(a, b)) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  if (keysA.length !== keysB.length) return false;
+  return keysA.every(key => Object.prototype.hasOwnProperty.call(b, key) && deepEqual(a[key], b[key]));
+};
+
+// Script tests pass or fail in the worker; argument tests pass when the value
+// the code returned equals the expected one. The raw value is not kept.
+const gradeResults = (results, testCases) => {
+  const byIndex = new Map(results.map(result => [result.index, result]));
+  return testCases.map((test, index) => {
+    const base = { index, name: test.name || `Test ${index + 1}`, hidden: !!test.hidden };
+    const result = byIndex.get(index);
+    if (!result) return { ...base, passed: false, error: 'The test did not run', durationMs: 0 };
+    const { value, ...outcome } = result;
+    if (outcome.error || test.script) return { ...outcome, ...base, passed: !outcome.error && outcome.passed === true };
+    return { ...outcome, ...base, passed: deepEqual(value, test.expected) };
+  });
+};
+
+export const summarizeRun = (run) => {
+  const passed = run.results.filter(r => r.passed).length;
+  return { ...run, results: redactResults(run.results), passed, total: run.results.length };
+};
+
+// Resolves to { passed, total, results, error?, timedOut? }
+export const runCode = ({
+  code,
+  functionName,
+  testCases = [],
+  timeLimitMs = CODE_TIME_LIMIT_MS,
+  outputLimitKb = CODE_OUTPUT_LIMIT_KB,
+  memoryLimitMb = CODE_MEMORY_LIMIT_MB
+}) => new Promise(resolve => {
+  let worker;
+  try {
+    worker = new Worker(new URL('./codeRunner.worker.js', import.meta.url), { type: 'module' });
+  } catch (error) {
+    resolve(summarizeRun(failAll(testCases, `Code sandbox unavailable: ${error.message}`)));
+    return;
+  }
+
+  const nonce = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+  const finish = (run) => {
+    clearTimeout(timer);
+    worker.terminate();
+    resolve(summarizeRun(run));
+  };
+  const timer = setTimeout(
+    () => finish(failAll(testCases, `Time limit of ${timeLimitMs / 1000}s exceeded`, { timedOut: true })),
+    timeLimitMs
+  );
+
+  worker.onmessage = (event) => {
+    if (event.data?.nonce !== nonce) return;
+    finish(event.data.error ? failAll(testCases, event.data.error) : { results: gradeResults(event.data.results, testCases) });
+  };
+  worker.onerror = (event) => {
+    event.preventDefault?.();
+    finish(failAll(testCases, event.message || 'The code crashed the sandbox'));
+  };
+  // Only what is needed to run each test; never the expected values
+  const sandboxTests = testCases.map(({ name, hidden, args, script }) => ({ name, hidden, args, script }));
+  worker.postMessage({ nonce, code, functionName, testCases: sandboxTests, timeoutMs: timeLimitMs, outputLimit: outputLimitKb * 1024, memoryLimit: memoryLimitMb * 1024 * 1024 });
+});
+
+// 0-10 from the share of tests passed
+export const scoreTestRun = (run) => (run.total ? Math.round((run.passed / run.total) * 100) / 10 : 0);
+
+// Tests and the code-quality review together; without a review the tests decide alone
+export const combineCodingScore = (testScore, reviewScore) => {
+  if (typeof reviewScore !== 'number') return testScore;
+  return Math.round((testScore * TEST_SCORE_WEIGHT + reviewScore * (1 - TEST_SCORE_WEIGHT)) * 10) / 10;
+};
+
+// The coding-specific fields of a question (bank entry, default or interview
+// question); empty for ordinary questions
+export const getCodingFields = (question) => (question?.type === 'coding'
+  ? {
+    type: 'coding',
+    language: question.language || 'javascript',
+    functionName: String(question.functionName || 'solution').trim(),
+    starterCode: question.starterCode || '',
+    testCases: Array.isArray(question.testCases) ? question.testCases : []
+  }
+  : {});
@@ -0,0 +1,114 @@
+// Sandbox for candidate code. Runs in its own worker so an infinite loop or a
+// crash never touches the interview; the page terminates it on time-out and
+// compares returned values itself.
+
+import { runTestCases } from './codeSandbox';
+
+// Captured before any candidate code runs, so the code cannot intercept or fake results
+const post = self.postMessage.bind(self);
+
+// No network, storage or further scripts from inside the sandbox
+const BLOCKED_GLOBALS = ['fetch', 'XMLHttpRequest', 'WebSocket', 'EventSource', 'importScripts', 'indexedDB', 'caches', 'BroadcastChannel', 'Worker', 'SharedWorker', 'WebAssembly'];
+
+// Workers expose no heap readings, so memory is capped by budgeting what these
+// constructors and string methods allocate over the whole run. An allocation
+// past the budget throws a RangeError instead of taking the page's memory.
+const TYPED_ARRAYS = ['Int8Array', 'Uint8Array', 'Uint8ClampedArray', 'Int16Array', 'Uint16Array', 'Int32Array', 'Uint32Array', 'Float32Array', 'Float64Array', 'BigInt64Array', 'BigUint64Array'];
+const SLOT_BYTES = 8; // one array element or pointer
+const CHAR_BYTES = 2;
+
+// Globals and built-ins the harness itself calls; pinned and frozen so the code
+// cannot patch them (say `Array.prototype.push` or `Promise`) to fake a passing test
+const PINNED_GLOBALS = ['setTimeout', 'structuredClone', 'Function', 'Object', 'Array', 'Promise', 'JSON', 'Date', 'String'];
+const HARNESS_INTRINSICS = [Object, Array, Array.prototype, Promise, Promise.prototype, JSON, Date, String];
+
+const guardAllocations = (memoryLimit) => {
+  const OriginalArrayBuffer = self.ArrayBuffer;
+  const OriginalSharedArrayBuffer = self.SharedArrayBuffer;
+  let allocated = 0;
+  const reserve = (bytes) => {
+    const next = allocated + Math.max(0, Number(bytes) || 0);
+    if (next > memoryLimit) {
+      throw new RangeError(`Memory limit of ${Math.round(memoryLimit / (1024 * 1024))}MB exceeded`);
+    }
+    allocated = next;
+  };
+
+  // The prototype's `constructor` is swapped too, so `[].constructor` and the
+  // like do not lead back to the unguarded original
+  const guardConstructor = (name, sizeOf) => {
+    const original = self[name];
+    if (typeof original !== 'function') return;
+    const guarded = new Proxy(original, {
+      construct(target, args, newTarget) {
+        reserve(sizeOf(args, target));
+        return Reflect.construct(target, args, newTarget);
+      },
+      apply(target, thisArg, args) {
+        reserve(sizeOf(args, target));
+        return Reflect.apply(target, thisArg, args);
+      }
+    });
+    Object.defineProperty(original.prototype, 'constructor', { value: guarded, configurable: false, writable: false });
+    Object.defineProperty(self, name, { value: guarded, configurable: false, writable: false });
+  };
+
+  guardConstructor('ArrayBuffer', ([length]) => length);
+  guardConstructor('SharedArrayBuffer', ([length]) => length);
+  // A view over an existing buffer allocates nothing new
+  TYPED_ARRAYS.forEach(name => guardConstructor(name, ([source], target) => {
+    if (source instanceof OriginalArrayBuffer || (OriginalSharedArrayBuffer && source instanceof OriginalSharedArrayBuffer)) return 0;
+    const length = typeof source === 'object' && source !== null ? source.length : source;
+    return (Number(length) || 0) * target.BYTES_PER_ELEMENT;
+  }));
+  guardConstructor('Array', (args) => (args.length === 1 && typeof args[0] === 'number' ? args[0] : args.length) * SLOT_BYTES);
+
+  const guardStringMethod = (name, sizeOf) => {
+    const original = String.prototype[name];
+    Object.defineProperty(String.prototype, name, {
+      value: function (...args) {
+        reserve(sizeOf(String(this), args));
+        return original.apply(this, args);
+      },
+      configurable: false,
+      writable: false
+    });
+  };
+  guardStringMethod('repeat', (text, [count]) => text.length * count * CHAR_BYTES);
+  guardStringMethod('padStart', (text, [maxLength]) => maxLength * CHAR_BYTES);
+  guardStringMethod('padEnd', (text, [maxLength]) => maxLength * CHAR_BYTES);
+};
+
+const lockDown = (memoryLimit) => {
+  BLOCKED_GLOBALS.forEach(name => {
+    try {
+      Object.defineProperty(self, name, { value: undefined, configurable: false, writable: false });
+    } catch {
+      // Some globals are non-configurable in some browsers; the time limit still applies
+    }
+  });
+  guardAllocations(memoryLimit);
+  PINNED_GLOBALS.forEach(name => {
+    try {
+      Object.defineProperty(self, name, { value: self[name], configurable: false, writable: false });
+    } catch {
+      // Already non-configurable, so the code cannot replace it either
+    }
+  });
+  HARNESS_INTRINSICS.forEach(intrinsic => Object.freeze(intrinsic));
+  // An inherited `then` would turn every harness result into a thenable the code controls
+  Object.defineProperty(Object.prototype, 'then', { value: undefined, configurable: false, writable: false });
+};
+
+self.onmessage = async (event) => {
+  const { nonce, code, functionName, testCases, timeoutMs, outputLimit, memoryLimit } = event.data || {};
+  self.onmessage = null; // one run per worker
+  lockDown(memoryLimit);
+
+  try {
+    const results = await runTestCases({ code, functionName, testCases, timeoutMs, outputLimit });
+    post({ nonce, results });
+  } catch (error) {
+    post({ nonce, error: error?.message || String(error) });
+  }
+};
@@ -0,0 +1,96 @@
+// Test harness for coding answers. Runs inside the sandbox worker
+// (codeRunner.worker.js); kept free of browser APIs so it can be reasoned about
+// on its own. A test case is either
+//   { args: [...], expected }  - calls the function; the page compares the
+//                                returned value with `expected`, which never
+//                                reaches the sandbox
+//   { script: '...' }          - async function body with the solution in scope
+//                                as `solution`; passes when it returns truthy
+// Both may carry `name` and `hidden` (hidden tests never show inputs or outputs).
+
+export const DEFAULT_TEST_TIMEOUT_MS = 2000;
+export const DEFAULT_OUTPUT_LIMIT = 64 * 1024; // characters of serialized result per test
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const describeValue = (value) => {
+  try {
+    return JSON.stringify(value) ?? String(value);
+  } catch {
+    return String(value);
+  }
+};
+
+// The candidate's code is evaluated as a script; the function it declares is
+// picked up by name
+export const compileSolution = (code, functionName) => {
+  const factory = new Function(`"use strict";\n${code}\n;return typeof ${functionName} === 'function' ? ${functionName} : undefined;`);
+  const solution = factory();
+  if (typeof solution !== 'function') {
+    throw new Error(`Define a function named ${functionName}`);
+  }
+  return solution;
+};
+
+const withTimeout = (promise, ms) => Promise.race([
+  promise,
+  sleep(ms).then(() => { throw new Error(`Timed out after ${ms}ms`); })
+]);
+
+// Returned values leave the sandbox as a structured clone plus a JSON preview;
+// anything too large or not cloneable fails the test here
+const serializeResult = (value, outputLimit) => {
+  const actual = describeValue(value);
+  if (actual.length > outputLimit) {
+    throw new Error(`Result larger than the ${Math.round(outputLimit / 1024)}KB output limit`);
+  }
+  try {
+    return { value: structuredClone(value), actual };
+  } catch {
+    throw new Error('The result cannot be sent out of the sandbox');
+  }
+};
+
+const runOne = async (solution, test, timeoutMs, outputLimit) => {
+  if (test.script) {
+    const check = new Function('solution', 'sleep', `return (async () => {\n${test.script}\n})();`);
+    const ok = await withTimeout(check(solution, sleep), timeoutMs);
+    return { passed: !!ok };
+  }
+  // Fresh copies so one test cannot mutate the inputs of the next
+  const args = JSON.parse(JSON.stringify(test.args || []));
+  const value = await withTimeout(Promise.resolve(solution(...args)), timeoutMs);
+  return serializeResult(value, outputLimit);
+};
+
+// Resolves to one result per test: { index, name, hidden, durationMs } plus
+// `passed` for script tests, `value` and `actual` for argument tests, or `error`
+export const runTestCases = async ({ code, functionName, testCases = [], timeoutMs = DEFAULT_TEST_TIMEOUT_MS, outputLimit = DEFAULT_OUTPUT_LIMIT }) => {
+  let solution;
+  try {
+    solution = compileSolution(code, functionName);
+  } catch (error) {
+    return testCases.map((test, index) => ({
+      index, name: test.name || `Test ${index + 1}`, hidden: !!test.hidden, passed: false, error: error.message, durationMs: 0
+    }));
+  }
+
+  const results = [];
+  for (let index = 0; index < testCases.length; index++) {
+    const test = testCases[index];
+    const started = Date.now();
+    const base = { index, name: test.name || `Test ${index + 1}`, hidden: !!test.hidden };
+    try {
+      const outcome = await runOne(solution, test, timeoutMs, outputLimit);
+      results.push({ ...base, ...outcome, durationMs: Date.now() - started });
+    } catch (error) {
+      results.push({ ...base, passed: false, error: error?.message || String(error), durationMs: Date.now() - started });
+    }
+  }
+  return results;
+};
+
+// Hidden tests keep only pass/fail and the error message
+export const redactResults = (results) => results.map(r => (
+  r.hidden ? { index: r.index, name: r.name, hidden: true, passed: r.passed, error: r.error, durationMs: r.durationMs } : r
+));
@@ -0,0 +1,60 @@
+// Minimal RFC 4180 CSV: quoted fields, doubled quotes, commas and newlines
+// inside quotes. Enough for spreadsheet round trips without a dependency.
+
+const quote = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// rows: array of objects; columns: [{ key, header }] in output order
+export const toCsv = (rows, columns) => [
+  columns.map(c => quote(c.header || c.key)).join(','),
+  ...rows.map(row => columns.map(c => quote(row[c.key])).join(','))
+].join('\r\n');
+
+// Array of records (arrays of strings), blank lines skipped
+export const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const source = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (inQuotes) {
+      if (ch === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && source[i + 1] === '\n') i++;
+      row.push(field);
+      if (row.some(f => f !== '')) rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  row.push(field);
+  if (row.some(f => f !== '')) rows.push(row);
+  return rows;
+};
+
+// Objects keyed by the (trimmed) header row
+export const parseCsv = (text) => {
+  const [header, ...records] = parseCsvRows(text);
+  if (!header) return [];
+  const keys = header.map(h => h.trim());
+  return records.map(record => Object.fromEntries(keys.map((key, i) => [key, record[i] ?? ''])));
+};
@@ -15,9 +15,39 @@ export const defaultQuestions = [
     timeLimit: 60
   },
   {
-    question: "How would you implement a debounce function in JavaScript?",
+    question: "Implement debounce(fn, wait) in JavaScript: it returns a function that calls fn with the latest arguments only once calls have stopped for wait milliseconds.",
     difficulty: "Medium",
-    timeLimit: 60
+    timeLimit: 300,
+    // Coding questions are answered in the code editor and run against these tests
+    type: "coding",
+    language: "javascript",
+    functionName: "debounce",
+    starterCode: "function debounce(fn, wait) {\n  // your code here\n}\n",
+    testCases: [
+      {
+        name: "Calls once after a burst, with the latest arguments",
+        script: "const calls = [];\nconst debounced = solution(x => calls.push(x), 30);\ndebounced(1); debounced(2); debounced(3);\nawait sleep(80);\nreturn calls.length === 1 && calls[0] === 3;"
+      },
+      {
+        name: "Waits before calling",
+        script: "let count = 0;\nconst debounced = solution(() => count++, 50);\ndebounced();\nawait sleep(10);\nreturn count === 0;"
+      },
+      {
+        name: "Separate bursts call separately",
+        hidden: true,
+        script: "let count = 0;\nconst debounced = solution(() => count++, 20);\ndebounced(); await sleep(60);\ndebounced(); await sleep(60);\nreturn count === 2;"
+      },
+      {
+        name: "Passes every argument through",
+        hidden: true,
+        script: "let seen = null;\nconst debounced = solution((...args) => { seen = args; }, 10);\ndebounced('a', 2, true);\nawait sleep(40);\nreturn Array.isArray(seen) && seen.length === 3 && seen[0] === 'a' && seen[2] === true;"
+      },
+      {
+        name: "Keeps the calling context",
+        hidden: true,
+        script: "const target = { value: 7, seen: null };\ntarget.run = solution(function () { this.seen = this.value; }, 10);\ntarget.run();\nawait sleep(40);\nreturn target.seen === 7;"
+      }
+    ]
   },
   {
     question: "Explain the concept of server-side rendering in React and its advantages.",
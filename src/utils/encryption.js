@@ -0,0 +1,173 @@
+// Optional encryption at rest. When an interviewer sets a passphrase, the
+// persisted state and resume files are encrypted with AES-GCM under a key
+// derived from it with PBKDF2. The key only ever lives in memory: each page
+// load starts locked until the passphrase is entered again.
+//
+// The salt, iteration count and a verifier (a known string encrypted with the
+// key, used to tell a wrong passphrase apart) are kept in localStorage; none of
+// them reveal the key.
+
+const CONFIG_KEY = 'interview-assistant-encryption';
+const TEXT_PREFIX = 'enc:v1:';
+const VERIFIER_TEXT = 'interview-assistant-unlocked';
+const PBKDF2_ITERATIONS = 600000;
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+const toBase64 = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+};
+
+const fromBase64 = (text) => {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+};
+
+const getLocalStorage = () => {
+  try {
+    return typeof localStorage !== 'undefined' ? localStorage : null;
+  } catch {
+    return null;
+  }
+};
+
+class Encryption {
+  static key = null;
+
+  static isSupported() {
+    return typeof crypto !== 'undefined' && !!crypto.subtle && !!getLocalStorage();
+  }
+
+  static getConfig() {
+    try {
+      return JSON.parse(getLocalStorage()?.getItem(CONFIG_KEY) || 'null');
+    } catch {
+      return null;
+    }
+  }
+
+  static isEnabled() {
+    return !!this.getConfig();
+  }
+
+  static isLocked() {
+    return this.isEnabled() && !this.key;
+  }
+
+  static async deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  static async encryptBytes(bytes, key = this.key) {
+    if (!key) throw new Error('Storage is locked');
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, bytes);
+    return { iv: toBase64(iv), data };
+  }
+
+  static async decryptBytes({ iv, data }, key = this.key) {
+    if (!key) throw new Error('Storage is locked');
+    return crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(iv) }, key, data);
+  }
+
+  static async encryptText(text, key = this.key) {
+    const { iv, data } = await this.encryptBytes(new TextEncoder().encode(text), key);
+    return `${TEXT_PREFIX}${iv}:${toBase64(data)}`;
+  }
+
+  static isEncryptedText(value) {
+    return typeof value === 'string' && value.startsWith(TEXT_PREFIX);
+  }
+
+  static async decryptText(value, key = this.key) {
+    const [iv, data] = value.slice(TEXT_PREFIX.length).split(':');
+    return new TextDecoder().decode(await this.decryptBytes({ iv, data: fromBase64(data) }, key));
+  }
+
+  // Encrypts when encryption is on; values written before it was turned on
+  // (or after it was turned off) are plain and read back as they are
+  static async sealText(value) {
+    return this.isEnabled() ? this.encryptText(value) : value;
+  }
+
+  static async openText(value) {
+    return this.isEncryptedText(value) ? this.decryptText(value) : value;
+  }
+
+  // Resolves to false for a wrong passphrase
+  static async unlock(passphrase) {
+    const config = this.getConfig();
+    if (!config) return true;
+    const key = await this.deriveKey(passphrase, fromBase64(config.salt), config.iterations);
+    try {
+      if (await this.decryptText(config.verifier, key) !== VERIFIER_TEXT) return false;
+    } catch {
+      return false; // AES-GCM authentication fails with the wrong key
+    }
+    this.key = key;
+    return true;
+  }
+
+  // Turns encryption on for data written from now on; existing data has to be
+  // rewritten by the caller (see resealPersistedState and BlobStore.resealAll)
+  static async enable(passphrase) {
+    if (String(passphrase || '').length < MIN_PASSPHRASE_LENGTH) {
+      throw new Error(`Use a passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters`);
+    }
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await this.deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+    const config = {
+      version: 1,
+      salt: toBase64(salt),
+      iterations: PBKDF2_ITERATIONS,
+      verifier: await this.encryptText(VERIFIER_TEXT, key),
+      enabledAt: new Date().toISOString()
+    };
+    this.key = key;
+    getLocalStorage().setItem(CONFIG_KEY, JSON.stringify(config));
+  }
+
+  // Stops encrypting new writes and returns the removed config. The key stays
+  // in memory so existing data can still be read and rewritten in plain form;
+  // forget() drops it afterwards, restoreConfig() undoes a failed switch.
+  static disable() {
+    const config = this.getConfig();
+    getLocalStorage()?.removeItem(CONFIG_KEY);
+    return config;
+  }
+
+  static restoreConfig(config) {
+    if (config) getLocalStorage().setItem(CONFIG_KEY, JSON.stringify(config));
+  }
+
+  static forget() {
+    this.key = null;
+  }
+
+  // Another tab turned encryption on or off; this one's key no longer matches
+  static onConfigChange(listener) {
+    if (typeof window === 'undefined') return () => {};
+    const handler = (event) => {
+      if (event.key === CONFIG_KEY) listener();
+    };
+    window.addEventListener('storage', handler);
+    return () => window.removeEventListener('storage', handler);
+  }
+}
+
+export default Encryption;
@@ -0,0 +1,284 @@
+// Structured answer evaluation: the JSON schema every provider must satisfy,
+// a small validator for it, the prompt that asks for it, and a repair step for
+// the usual ways models break JSON (code fences, prose around the object,
+// trailing commas, single quotes, "7/10" scores).
+
+import { describeRubric, getDefaultRubric, missingCriteria } from './rubrics';
+
+export const EVALUATION_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'AnswerEvaluation',
+  type: 'object',
+  required: ['score', 'criteria', 'feedback', 'strengths', 'gaps', 'confidence'],
+  additionalProperties: false,
+  properties: {
+    score: { type: 'number', minimum: 0, maximum: 10 },
+    criteria: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['name', 'score'],
+        additionalProperties: false,
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          score: { type: 'number', minimum: 0, maximum: 10 },
+          comment: { type: 'string' }
+        }
+      }
+    },
+    feedback: { type: 'string', minLength: 1 },
+    strengths: { type: 'array', items: { type: 'string' } },
+    gaps: { type: 'array', items: { type: 'string' } },
+    confidence: { type: 'number', minimum: 0, maximum: 1 }
+  }
+};
+
+const typeOf = (value) => {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+};
+
+// Supports the subset of JSON Schema used above
+export const validateAgainstSchema = (value, schema, path = '$') => {
+  const errors = [];
+  const actual = typeOf(value);
+
+  if (schema.type && schema.type !== actual) {
+    errors.push(`${path} should be ${schema.type} but is ${actual}`);
+    return errors;
+  }
+
+  if (schema.type === 'number') {
+    if (!Number.isFinite(value)) errors.push(`${path} should be a finite number`);
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} should be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} should be <= ${schema.maximum}`);
+  }
+
+  if (schema.type === 'string' && schema.minLength && value.trim().length < schema.minLength) {
+    errors.push(`${path} should not be empty`);
+  }
+
+  if (schema.type === 'array') {
+    if (schema.minItems && value.length < schema.minItems) errors.push(`${path} should have at least ${schema.minItems} item(s)`);
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validateAgainstSchema(item, schema.items, `${path}[${i}]`)));
+    }
+  }
+
+  if (schema.type === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) errors.push(`${path}.${key} is required`);
+    });
+    Object.entries(value).forEach(([key, child]) => {
+      const childSchema = schema.properties?.[key];
+      if (childSchema) {
+        errors.push(...validateAgainstSchema(child, childSchema, `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not allowed`);
+      }
+    });
+  }
+
+  return errors;
+};
+
+// With a rubric, every rubric criterion must also be scored
+export const validateEvaluation = (value, rubric) => {
+  const errors = validateAgainstSchema(value, EVALUATION_SCHEMA);
+  if (rubric && errors.length === 0) {
+    missingCriteria(rubric, value.criteria).forEach(id => errors.push(`$.criteria is missing "${id}"`));
+  }
+  return { valid: errors.length === 0, errors };
+};
+
+const stripToJsonObject = (text) => {
+  let cleaned = String(text || '').trim();
+  cleaned = cleaned.replace(/^```[a-zA-Z]*\s*/, '').replace(/\s*```$/, '');
+  const start = cleaned.indexOf('{');
+  const end = cleaned.lastIndexOf('}');
+  if (start !== -1 && end > start) cleaned = cleaned.slice(start, end + 1);
+  return cleaned;
+};
+
+const STRING_CLOSERS = { '"': '"', "'": "'", '\u201c': '\u201d', '\u2018': '\u2019' };
+
+// Reads a string starting at `start` and re-emits it double-quoted. Single and
+// curly quotes are accepted as delimiters; quotes inside are left as text.
+const readString = (text, start) => {
+  const close = STRING_CLOSERS[text[start]];
+  let inner = '';
+  let i = start + 1;
+  while (i < text.length && text[i] !== close) {
+    if (text[i] === '\\' && i + 1 < text.length) {
+      // \' is not a JSON escape
+      inner += text[i + 1] === "'" ? "'" : text.slice(i, i + 2);
+      i += 2;
+    } else {
+      inner += text[i] === '"' ? '\\"' : text[i];
+      i += 1;
+    }
+  }
+  return { json: `"${inner}"`, end: i + 1 };
+};
+
+// Fixes common slips in model JSON, outside string values only: single or
+// curly quotes around strings, bare keys and trailing commas
+const repairJsonText = (text) => {
+  let out = '';
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+    if (STRING_CLOSERS[ch]) {
+      const { json, end } = readString(text, i);
+      out += json;
+      i = end;
+      continue;
+    }
+    const rest = text.slice(i);
+    const trailingComma = rest.match(/^,\s*(?=[}\]])/);
+    if (trailingComma) {
+      i += trailingComma[0].length;
+      continue;
+    }
+    // Quote bare keys: { score: 7 } -> { "score": 7 }
+    const bareKey = /[{,]\s*$/.test(out) && rest.match(/^([A-Za-z_][A-Za-z0-9_]*)\s*:/);
+    if (bareKey) {
+      out += `"${bareKey[1]}":`;
+      i += bareKey[0].length;
+      continue;
+    }
+    out += ch;
+    i += 1;
+  }
+  return out;
+};
+
+// Lenient JSON object parse for short model replies; null when nothing parseable is found
+export const parseJsonObject = (raw) => {
+  const candidate = stripToJsonObject(raw);
+  try {
+    return JSON.parse(candidate);
+  } catch {
+    try {
+      return JSON.parse(repairJsonText(candidate));
+    } catch {
+      return null;
+    }
+  }
+};
+
+const toNumber = (value) => {
+  if (typeof value === 'number') return value;
+  if (typeof value !== 'string') return value;
+  // "7/10", "7 out of 10", "80%"; percentages are left on the 0-100 scale
+  const fraction = value.match(/^\s*(-?\d+(?:\.\d+)?)\s*(?:\/|out of)\s*(\d+(?:\.\d+)?)\s*$/i);
+  if (fraction) return (parseFloat(fraction[1]) / parseFloat(fraction[2])) * 10;
+  const percent = value.match(/^\s*(-?\d+(?:\.\d+)?)\s*%\s*$/);
+  if (percent) return parseFloat(percent[1]);
+  const plain = parseFloat(value);
+  return Number.isFinite(plain) ? plain : value;
+};
+
+const toStringList = (value) => {
+  if (Array.isArray(value)) return value.map(v => String(v)).filter(Boolean);
+  if (typeof value === 'string' && value.trim()) return [value.trim()];
+  return value;
+};
+
+// Coerces near-miss shapes into the schema without inventing data: a missing
+// field stays missing and fails validation.
+const coerceEvaluation = (input) => {
+  if (typeOf(input) !== 'object') return input;
+  const out = {};
+  if (input.score !== undefined) out.score = toNumber(input.score);
+  if (input.criteria !== undefined) {
+    let criteria = input.criteria;
+    // { correctness: 7, depth: 6 } -> [{ name, score }]
+    if (typeOf(criteria) === 'object') {
+      criteria = Object.entries(criteria).map(([name, v]) => (
+        typeOf(v) === 'object' ? { name, ...v } : { name, score: v }
+      ));
+    }
+    if (Array.isArray(criteria)) {
+      criteria = criteria.map(c => {
+        if (typeOf(c) !== 'object') return c;
+        const item = { name: c.name ?? c.criterion ?? c.id, score: toNumber(c.score) };
+        if (c.comment !== undefined) item.comment = String(c.comment);
+        return item;
+      });
+    }
+    out.criteria = criteria;
+  }
+  if (input.feedback !== undefined) out.feedback = typeof input.feedback === 'string' ? input.feedback : String(input.feedback);
+  if (input.strengths !== undefined) out.strengths = toStringList(input.strengths);
+  const gaps = input.gaps ?? input.weaknesses;
+  if (gaps !== undefined) out.gaps = toStringList(gaps);
+  if (input.confidence !== undefined) {
+    const confidence = toNumber(input.confidence);
+    // Accept 0-100 confidence
+    out.confidence = typeof confidence === 'number' && confidence > 1 && confidence <= 100 ? confidence / 100 : confidence;
+  }
+  return out;
+};
+
+// Returns { value, valid, errors, repaired }. `value` is null when nothing parseable was found.
+export const parseEvaluation = (raw, rubric) => {
+  if (typeOf(raw) === 'object') {
+    const value = coerceEvaluation(raw);
+    return { value, repaired: false, ...validateEvaluation(value, rubric) };
+  }
+
+  const candidate = stripToJsonObject(raw);
+  let parsed;
+  let repaired = candidate !== String(raw || '').trim();
+  try {
+    parsed = JSON.parse(candidate);
+  } catch {
+    try {
+      parsed = JSON.parse(repairJsonText(candidate));
+      repaired = true;
+    } catch (err) {
+      return { value: null, valid: false, repaired, errors: [`Response is not valid JSON: ${err.message}`] };
+    }
+  }
+
+  const value = coerceEvaluation(parsed);
+  if (JSON.stringify(value) !== JSON.stringify(parsed)) repaired = true;
+  return { value, repaired, ...validateEvaluation(value, rubric) };
+};
+
+export const buildEvaluationMessages = ({ question, answer, role, difficulty, rubric = getDefaultRubric(difficulty), referenceAnswer }) => {
+  // Bank questions carry an interviewer-written reference answer to grade against
+  const reference = referenceAnswer ? `\nReference answer (what a strong answer covers): ${referenceAnswer}\n` : '';
+  const prompt = `You are an expert technical interviewer for a ${role} role. Evaluate the candidate's answer strictly.
+
+Question (${difficulty}): ${question}
+Answer: ${answer}
+${reference}
+Grade against this rubric. Score every criterion from 0 to 10 using its level descriptors,
+use the criterion id as "name", and add a one-sentence "comment" justifying each score:
+${describeRubric(rubric)}
+
+"score" is the weighted average of the criterion scores.
+
+Return ONLY a JSON object that matches this JSON schema, with no prose or code fences:
+${JSON.stringify(EVALUATION_SCHEMA)}
+
+"confidence" is how sure you are of the score, from 0 to 1.`;
+  return [
+    { role: 'system', content: 'You grade interview answers and reply with JSON only.' },
+    { role: 'user', content: prompt }
+  ];
+};
+
+// Follow-up turn when the previous reply did not validate
+export const buildRepairMessages = (messages, raw, errors) => [
+  ...messages,
+  { role: 'assistant', content: String(raw || '') },
+  {
+    role: 'user',
+    content: `Your reply did not match the schema:\n${errors.map(e => `- ${e}`).join('\n')}\nReply again with ONLY the corrected JSON object.`
+  }
+];
@@ -0,0 +1,82 @@
+// Adaptive follow-ups: after an answer is evaluated the model may ask one more
+// question that probes a vague or wrong part of it. Follow-ups are inserted
+// right after the question they follow and point back to it via `parentId`.
+
+import { parseJsonObject } from './evaluationSchema';
+
+export const DEFAULT_MAX_FOLLOW_UPS = 1;
+
+// Follow-ups of follow-ups count against the original question
+export const getRootQuestionId = (question) => question.parentId || question.id;
+
+export const countFollowUps = (questions, rootId) => questions.filter(q => q.parentId === rootId).length;
+
+export const canAskFollowUp = (questions, question, maxPerQuestion) => (
+  maxPerQuestion > 0 && countFollowUps(questions, getRootQuestionId(question)) < maxPerQuestion
+);
+
+// Inserts the follow-up directly after `afterIndex` so it is asked next
+export const insertFollowUp = (questions, afterIndex, followUp) => {
+  const parent = questions[afterIndex];
+  const rootId = getRootQuestionId(parent);
+  const question = {
+    id: `followup-${Date.now()}-${countFollowUps(questions, rootId) + 1}`,
+    question: followUp.question,
+    difficulty: parent.difficulty,
+    timeLimit: parent.timeLimit,
+    rubric: parent.rubric,
+    parentId: rootId,
+    isFollowUp: true,
+    reason: followUp.reason || ''
+  };
+  return [...questions.slice(0, afterIndex + 1), question, ...questions.slice(afterIndex + 1)];
+};
+
+// Groups a flat question list into threads: [{ question, followUps: [...] }]
+export const threadQuestions = (questions = []) => {
+  const threads = [];
+  const byId = new Map();
+  questions.forEach(q => {
+    const parent = q.parentId && byId.get(q.parentId);
+    if (parent) {
+      parent.followUps.push(q);
+    } else {
+      const thread = { question: q, followUps: [] };
+      byId.set(q.id, thread);
+      threads.push(thread);
+    }
+  });
+  return threads;
+};
+
+export const buildFollowUpMessages = ({ question, answer, role, evaluation }) => {
+  const gaps = evaluation?.gaps?.length ? evaluation.gaps.join(', ') : 'none noted';
+  const prompt = `You are interviewing a candidate for a ${role} role.
+
+Question: ${question}
+Answer: ${answer}
+Evaluation: score ${evaluation?.score ?? 'unknown'}/10. Gaps: ${gaps}. ${evaluation?.feedback || ''}
+
+Decide whether one short follow-up question would reveal more about the candidate's understanding,
+for example by probing a vague claim, a mistake or a missing key concept. Do not ask a follow-up when
+the answer is already complete and correct.
+
+Return ONLY a JSON object, with no prose or code fences:
+{"ask": true or false, "question": "the follow-up question, empty when ask is false", "reason": "what it probes"}`;
+  return [
+    { role: 'system', content: 'You are a technical interviewer who replies with JSON only.' },
+    { role: 'user', content: prompt }
+  ];
+};
+
+// Returns { ask, question, reason }; anything unusable means no follow-up
+export const parseFollowUp = (raw) => {
+  const parsed = typeof raw === 'object' && raw !== null ? raw : parseJsonObject(raw);
+  const question = typeof parsed?.question === 'string' ? parsed.question.trim() : '';
+  const ask = parsed?.ask !== false && parsed?.ask !== 'false' && question.length > 0;
+  return {
+    ask,
+    question: ask ? question : '',
+    reason: typeof parsed?.reason === 'string' ? parsed.reason.trim() : ''
+  };
+};
@@ -102,6 +102,23 @@ class GeminiAPI {
     throw new Error(`${lastError?.message || 'All Gemini model attempts failed.'}${triedMsg}`);
   }
 
+  // Raw completion for chat-style messages; Gemini takes a single prompt here
+  static async chat(messages, options = {}) {
+    if (!this.isApiKeyAvailable()) {
+      throw new Error('Gemini API key is missing or invalid.');
+    }
+    const prompt = messages.map(m => (m.role === 'user' ? m.content : `[${m.role}]\n${m.content}`)).join('\n\n');
+    const generationConfig = {
+      temperature: options.temperature ?? 0.2,
+      maxOutputTokens: options.max_tokens ?? 600
+    };
+    if (options.json) generationConfig.responseMimeType = 'application/json';
+    const data = await this.postWithModelFallback({
+      contents: [{ parts: [{ text: prompt }] }]
+    }, generationConfig);
+    return this.extractTextFromResponse(data);
+  }
+
   // Generate interview questions using Gemini API
   static async generateQuestion(candidateProfile, questionNumber, difficulty) {
     if (!this.isApiKeyAvailable()) {
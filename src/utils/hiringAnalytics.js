@@ -0,0 +1,147 @@
+// Aggregates over the stored candidates for the analytics view. Every figure
+// uses each candidate's latest attempt; candidates are filtered by template
+// and by when they were created.
+
+import { getLastActivity } from './privacy';
+
+const DIFFICULTIES = ['Easy', 'Medium', 'Hard'];
+const SCORE_BUCKET = 10;
+// An interview untouched for this long counts as abandoned, not in progress
+export const ABANDONED_AFTER_MS = 24 * 60 * 60 * 1000;
+
+const average = (values) => (
+  values.length ? Math.round((values.reduce((sum, v) => sum + v, 0) / values.length) * 10) / 10 : null
+);
+
+// `dateRange` is [from, to] as timestamps, matched against createdAt
+export const filterForAnalytics = (candidates, { templateIds = [], dateRange = null } = {}) => candidates.filter(c => {
+  if (templateIds.length && !templateIds.includes(c.template?.id)) return false;
+  if (!dateRange) return true;
+  const created = new Date(c.createdAt).getTime();
+  return created >= dateRange[0] && created <= dateRange[1];
+});
+
+// Completed interviews per final-score band: 0-9, 10-19, ... 90-100
+export const getScoreDistribution = (candidates) => {
+  const buckets = Array.from({ length: 100 / SCORE_BUCKET }, (_, i) => ({
+    from: i * SCORE_BUCKET,
+    to: i === 100 / SCORE_BUCKET - 1 ? 100 : (i + 1) * SCORE_BUCKET - 1,
+    count: 0
+  }));
+  candidates.forEach(c => {
+    if (c.interviewStatus !== 'completed' || typeof c.score !== 'number') return;
+    const index = Math.min(buckets.length - 1, Math.max(0, Math.floor(c.score / SCORE_BUCKET)));
+    buckets[index].count += 1;
+  });
+  return buckets;
+};
+
+const isAbandoned = (candidate, now) => {
+  if (candidate.interviewStatus !== 'in_progress') return false;
+  const last = getLastActivity(candidate);
+  return !last || now.getTime() - last.getTime() > ABANDONED_AFTER_MS;
+};
+
+// For each question position: how many candidates saw it, answered it and
+// left the interview there. Interviews still in progress are not counted as
+// drop-offs until they have been idle for ABANDONED_AFTER_MS.
+export const getDropOffByQuestion = (candidates, now = new Date()) => {
+  const rows = [];
+  candidates.forEach(c => {
+    const questions = c.questions || [];
+    const answered = new Set((c.answers || []).map(a => a.questionId));
+    const abandoned = isAbandoned(c, now);
+    questions.forEach((q, index) => {
+      const reached = index === 0 || answered.has(questions[index - 1].id);
+      if (!reached) return;
+      if (!rows[index]) rows[index] = { index, reached: 0, answered: 0, dropped: 0 };
+      rows[index].reached += 1;
+      if (answered.has(q.id)) {
+        rows[index].answered += 1;
+      } else if (abandoned || c.interviewStatus === 'completed') {
+        rows[index].dropped += 1;
+      }
+    });
+  });
+  return Array.from(rows, (row, index) => row || { index, reached: 0, answered: 0, dropped: 0 })
+    .map(row => ({ ...row, dropOffRate: row.reached ? Math.round((row.dropped / row.reached) * 100) : 0 }));
+};
+
+// Started interviews that were completed, abandoned or are still running
+export const getCompletionStats = (candidates, now = new Date()) => {
+  const started = candidates.filter(c => c.interviewStatus !== 'not_started' && (c.questions || []).length > 0);
+  const completed = started.filter(c => c.interviewStatus === 'completed').length;
+  const abandoned = started.filter(c => isAbandoned(c, now)).length;
+  return {
+    started: started.length,
+    completed,
+    abandoned,
+    inProgress: started.length - completed - abandoned,
+    completionRate: started.length ? Math.round((completed / started.length) * 100) : null
+  };
+};
+
+// Average answer score (0-10) per difficulty over all answers
+export const getAverageByDifficulty = (candidates) => DIFFICULTIES.map(difficulty => {
+  const scores = [];
+  candidates.forEach(c => {
+    const answers = new Map((c.answers || []).map(a => [a.questionId, a]));
+    (c.questions || []).filter(q => q.difficulty === difficulty).forEach(q => {
+      const score = answers.get(q.id)?.score;
+      if (typeof score === 'number') scores.push(score);
+    });
+  });
+  return { difficulty, average: average(scores), count: scores.length };
+});
+
+// Average seconds used and allowed per question position. Answers given
+// before the time used was recorded are left out.
+export const getTimeUsage = (candidates) => {
+  const rows = [];
+  candidates.forEach(c => {
+    const answers = new Map((c.answers || []).map(a => [a.questionId, a]));
+    (c.questions || []).forEach((q, index) => {
+      const used = answers.get(q.id)?.timeUsed;
+      if (typeof used !== 'number' || !q.timeLimit) return;
+      if (!rows[index]) rows[index] = { index, used: [], allowed: [] };
+      rows[index].used.push(used);
+      rows[index].allowed.push(q.timeLimit);
+    });
+  });
+  return Array.from(rows, (row, index) => row || { index, used: [], allowed: [] })
+    .map(({ index, used, allowed }) => ({ index, used: average(used), allowed: average(allowed), count: used.length }));
+};
+
+// Monday 00:00 (local time) of the week the date falls in
+const startOfWeek = (date) => {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  return d;
+};
+
+// New candidates per week, including empty weeks in between
+export const getCandidatesPerWeek = (candidates) => {
+  const counts = new Map();
+  candidates.forEach(c => {
+    const created = new Date(c.createdAt);
+    if (Number.isNaN(created.getTime())) return;
+    const week = startOfWeek(created).getTime();
+    counts.set(week, (counts.get(week) || 0) + 1);
+  });
+  if (!counts.size) return [];
+  const weeks = Array.from(counts.keys()).sort((a, b) => a - b);
+  const result = [];
+  // Stepping by calendar days keeps Mondays aligned across daylight saving changes
+  for (let week = new Date(weeks[0]); week.getTime() <= weeks[weeks.length - 1]; week.setDate(week.getDate() + 7)) {
+    result.push({ weekStart: new Date(week), count: counts.get(week.getTime()) || 0 });
+    if (result.length > 520) break; // ten years is plenty for a chart
+  }
+  return result;
+};
+
+export const getPassRate = (candidates, threshold) => {
+  const scored = candidates.filter(c => c.interviewStatus === 'completed' && typeof c.score === 'number');
+  const passed = scored.filter(c => c.score >= threshold).length;
+  return { scored: scored.length, passed, rate: scored.length ? Math.round((passed / scored.length) * 100) : null };
+};
@@ -0,0 +1,53 @@
+// Thin promise wrapper over the app's IndexedDB database. One database with a
+// key-value object store per purpose; keys are supplied by the caller.
+
+const DB_NAME = 'interview-assistant';
+const DB_VERSION = 1;
+
+export const STORES = {
+  blobs: 'blobs', // resume files and other large binary data
+  persist: 'persist' // redux-persist state
+};
+
+let dbPromise = null;
+
+export const isIndexedDbAvailable = () => typeof indexedDB !== 'undefined';
+
+export const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        Object.values(STORES).forEach(name => {
+          if (!db.objectStoreNames.contains(name)) db.createObjectStore(name);
+        });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('IndexedDB upgrade is blocked by another open tab'));
+    }).catch(error => {
+      dbPromise = null; // let the next call retry
+      throw error;
+    });
+  }
+  return dbPromise;
+};
+
+// Resolves with the request's result once the transaction has committed
+const run = async (storeName, mode, operation) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = operation(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+  });
+};
+
+export const idbGet = (storeName, key) => run(storeName, 'readonly', store => store.get(key));
+export const idbSet = (storeName, key, value) => run(storeName, 'readwrite', store => store.put(value, key));
+export const idbDelete = (storeName, key) => run(storeName, 'readwrite', store => store.delete(key));
+export const idbKeys = (storeName) => run(storeName, 'readonly', store => store.getAllKeys());
+export const idbClear = (storeName) => run(storeName, 'readwrite', store => store.clear());
@@ -0,0 +1,57 @@
+// Interview attempts. The attempt in progress lives on the candidate itself (the
+// fields below), so the chat and dashboard read it as before; restarting moves
+// it to `candidate.attempts` and starts a fresh one instead of discarding it.
+
+export const ATTEMPT_FIELDS = [
+  'questions',
+  'answers',
+  'score',
+  'summary',
+  'interviewStatus',
+  'template',
+  'adaptive',
+  'plannedQuestionCount',
+  'difficultyReached',
+  'startedAt',
+  'completedAt'
+];
+
+// Attempt number of the one on the candidate; archived ones are numbered before it
+export const getCurrentAttemptNumber = (candidate) => (candidate?.attempts?.length || 0) + 1;
+
+// Whether restarting would lose anything worth keeping
+export const hasAttemptData = (candidate) => (
+  (candidate?.questions?.length || 0) > 0 || (candidate?.answers?.length || 0) > 0
+);
+
+export const snapshotAttempt = (candidate, archivedAt = new Date().toISOString()) => ({
+  number: getCurrentAttemptNumber(candidate),
+  ...Object.fromEntries(ATTEMPT_FIELDS.map(field => [field, candidate[field] ?? null])),
+  questions: candidate.questions || [],
+  answers: candidate.answers || [],
+  archivedAt
+});
+
+// Archived attempts, oldest first, followed by the current one
+export const getAttempts = (candidate) => {
+  if (!candidate) return [];
+  return [...(candidate.attempts || []), { ...snapshotAttempt(candidate, null), current: true }];
+};
+
+// The candidate as it looked during one attempt, for views that read the candidate
+export const withAttempt = (candidate, attempt) => (
+  attempt && !attempt.current
+    ? { ...candidate, ...Object.fromEntries(ATTEMPT_FIELDS.map(field => [field, attempt[field]])) }
+    : candidate
+);
+
+export const summarizeAttempt = (attempt) => {
+  const scored = attempt.answers.filter(a => typeof a.score === 'number');
+  return {
+    asked: attempt.questions.length,
+    answered: attempt.answers.length,
+    averageAnswerScore: scored.length
+      ? Math.round((scored.reduce((sum, a) => sum + a.score, 0) / scored.length) * 10) / 10
+      : null
+  };
+};
@@ -0,0 +1,123 @@
+// Interview templates: the shape of an interview (how many questions of each
+// difficulty, how long each may take, how much each counts towards the final
+// score, and optionally a fixed question list). Candidates keep a copy of the
+// template they were created with, so editing a template never changes an
+// interview that already happened.
+
+import { DIFFICULTIES, normalizeDifficulty } from './aiProviders';
+import { DIFFICULTY_MULTIPLIERS } from './adaptiveDifficulty';
+
+export const DEFAULT_TEMPLATE_ID = 'fullstack';
+
+const template = (id, name, role, overrides = {}) => ({
+  id,
+  name,
+  role,
+  questionCounts: { Easy: 2, Medium: 2, Hard: 2 },
+  timeLimits: { Easy: 20, Medium: 60, Hard: 120 }, // seconds
+  scoringWeights: { Easy: 1, Medium: 1, Hard: 1 },
+  fixedQuestions: [], // [{ question, difficulty }]; replaces generation when not empty
+  bankTags: [], // question bank tags to draw from before generating; empty = generate only
+  builtIn: true,
+  ...overrides
+});
+
+export const BUILT_IN_TEMPLATES = [
+  template(DEFAULT_TEMPLATE_ID, 'Full Stack (default)', 'Full Stack Developer (React/Node.js)'),
+  template('frontend', 'Frontend', 'Frontend Developer (React, TypeScript, CSS)', {
+    questionCounts: { Easy: 2, Medium: 3, Hard: 1 },
+    timeLimits: { Easy: 30, Medium: 60, Hard: 120 }
+  }),
+  template('backend', 'Backend', 'Backend Developer (Node.js, APIs, databases)', {
+    questionCounts: { Easy: 1, Medium: 3, Hard: 2 },
+    timeLimits: { Easy: 30, Medium: 90, Hard: 150 },
+    scoringWeights: { Easy: 1, Medium: 1.5, Hard: 2 }
+  }),
+  template('data', 'Data', 'Data Engineer / Data Scientist (SQL, Python, pipelines)', {
+    questionCounts: { Easy: 2, Medium: 2, Hard: 2 },
+    timeLimits: { Easy: 30, Medium: 90, Hard: 150 },
+    scoringWeights: { Easy: 1, Medium: 1.5, Hard: 2 }
+  }),
+  // Objective bank questions only: graded locally, no API calls
+  template('screening', 'Quick screening', 'Software Developer (screening round)', {
+    questionCounts: { Easy: 3, Medium: 1, Hard: 0 },
+    timeLimits: { Easy: 30, Medium: 45, Hard: 60 },
+    bankTags: ['screening']
+  })
+];
+
+// Fills in anything a stored or hand-written template is missing
+export const createTemplateId = () => `template-${Date.now()}`;
+
+export const normalizeTemplate = (input = {}) => {
+  const base = BUILT_IN_TEMPLATES[0];
+  const perDifficulty = (values, fallback, min) => Object.fromEntries(DIFFICULTIES.map(d => {
+    const value = Number(values?.[d]);
+    return [d, Number.isFinite(value) && value >= min ? value : fallback[d]];
+  }));
+  return {
+    id: input.id || createTemplateId(),
+    name: String(input.name || 'Untitled template').trim(),
+    role: String(input.role || base.role).trim(),
+    questionCounts: perDifficulty(input.questionCounts, base.questionCounts, 0),
+    timeLimits: perDifficulty(input.timeLimits, base.timeLimits, 5),
+    scoringWeights: perDifficulty(input.scoringWeights, base.scoringWeights, 0),
+    fixedQuestions: (input.fixedQuestions || [])
+      .map(q => ({ question: String(q.question || '').trim(), difficulty: normalizeDifficulty(q.difficulty) }))
+      .filter(q => q.question),
+    bankTags: Array.from(new Set((input.bankTags || []).map(t => String(t).trim().toLowerCase()).filter(Boolean))),
+    builtIn: !!input.builtIn
+  };
+};
+
+export const getTemplateQuestionCount = (tpl) => (
+  tpl.fixedQuestions?.length
+    ? tpl.fixedQuestions.length
+    : DIFFICULTIES.reduce((sum, d) => sum + (tpl.questionCounts?.[d] || 0), 0)
+);
+
+export const getTemplateTimeLimit = (tpl, difficulty) => tpl?.timeLimits?.[normalizeDifficulty(difficulty)]
+  ?? BUILT_IN_TEMPLATES[0].timeLimits[normalizeDifficulty(difficulty)];
+
+// Difficulty of each question in order, easiest first: { Easy: 2, Hard: 1 } -> ['Easy', 'Easy', 'Hard']
+export const getDifficultyPlan = (tpl) => DIFFICULTIES.flatMap(d => Array(tpl.questionCounts?.[d] || 0).fill(d));
+
+export const findTemplate = (templates, id) => templates.find(t => t.id === id)
+  || templates.find(t => t.id === DEFAULT_TEMPLATE_ID)
+  || BUILT_IN_TEMPLATES[0];
+
+// Candidates created before templates existed ran the default shape
+export const getCandidateTemplate = (candidate) => (
+  candidate?.template ? normalizeTemplate(candidate.template) : BUILT_IN_TEMPLATES[0]
+);
+
+export const describeTemplate = (tpl) => {
+  if (tpl.fixedQuestions?.length) return `${tpl.fixedQuestions.length} fixed questions`;
+  const counts = DIFFICULTIES
+    .filter(d => tpl.questionCounts[d] > 0)
+    .map(d => `${tpl.questionCounts[d]} ${d} (${tpl.timeLimits[d]}s)`)
+    .join(', ');
+  return tpl.bankTags?.length ? `${counts}, from bank: ${tpl.bankTags.join(', ')}` : counts;
+};
+
+// Final score out of 100: the average of all question scores, weighted by the
+// template's per-difficulty scoring weights. Adaptive interviews also scale
+// each answer by the difficulty it was asked at (capped at 10), so reaching
+// Hard questions pays off. Unanswered questions count as 0.
+export const computeFinalScore = (candidate) => {
+  const questions = candidate.questions || [];
+  const answers = candidate.answers || [];
+  const weights = getCandidateTemplate(candidate).scoringWeights;
+  let total = 0;
+  let weightSum = 0;
+  questions.forEach(q => {
+    const answer = answers.find(a => a.questionId === q.id);
+    let score = answer?.score || 0;
+    if (candidate.adaptive) score = Math.min(10, score * (DIFFICULTY_MULTIPLIERS[q.difficulty] ?? 1));
+    const weight = weights[q.difficulty] ?? 1;
+    total += score * weight;
+    weightSum += weight;
+  });
+  if (weightSum <= 0) return 0;
+  return Math.max(0, Math.min(100, Math.round((total / weightSum) * 10)));
+};
@@ -0,0 +1,105 @@
+// Item analysis: how each question performed across candidates. Questions are
+// grouped by their question bank entry, or by wording when they were generated.
+// Every completed attempt counts, each with its own final score.
+
+import { getAttempts } from './interviewAttempts';
+
+export const MIN_RESPONSES = 5; // fewer responses are too noisy to flag anything
+export const TOO_EASY_MEAN = 8.5;
+export const TOO_HARD_MEAN = 3;
+export const MIN_DISCRIMINATION = 0.2;
+const TIMED_OUT_TEXT = 'No answer provided (time ran out)';
+
+const round = (value, digits = 2) => (value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits);
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+// Population variance of the 0-10 item scores
+const variance = (values) => {
+  const m = mean(values);
+  return mean(values.map(v => (v - m) ** 2));
+};
+
+// Pearson correlation; null when either side does not vary
+export const correlation = (xs, ys) => {
+  if (xs.length < 2) return null;
+  const mx = mean(xs);
+  const my = mean(ys);
+  let num = 0;
+  let dx = 0;
+  let dy = 0;
+  xs.forEach((x, i) => {
+    num += (x - mx) * (ys[i] - my);
+    dx += (x - mx) ** 2;
+    dy += (ys[i] - my) ** 2;
+  });
+  return dx && dy ? num / Math.sqrt(dx * dy) : null;
+};
+
+// Questions whose text was removed on anonymization share one placeholder, so
+// they stay separate items
+const itemKey = (question) => {
+  if (question.bankQuestionId) return `bank:${question.bankQuestionId}`;
+  if (question.removed) return `removed:${question.id}`;
+  return `text:${question.question.trim().toLowerCase()}`;
+};
+
+// Answers recorded with the time used ran out when it reached the limit;
+// older ones only carry the placeholder text
+const isTimedOut = (question, answer) => (
+  typeof answer.timeUsed === 'number' && question.timeLimit
+    ? answer.timeUsed >= question.timeLimit
+    : answer.text === TIMED_OUT_TEXT
+);
+
+export const getItemFlags = (item) => {
+  if (item.responses < MIN_RESPONSES) return [];
+  const flags = [];
+  if (item.mean >= TOO_EASY_MEAN) flags.push('too_easy');
+  if (item.mean <= TOO_HARD_MEAN) flags.push('too_hard');
+  if (item.discrimination === null || item.discrimination < MIN_DISCRIMINATION) flags.push('non_discriminating');
+  return flags;
+};
+
+export const analyzeItems = (candidates) => {
+  const items = new Map();
+  candidates.forEach(candidate => {
+    getAttempts(candidate)
+      .filter(attempt => attempt.interviewStatus === 'completed' && typeof attempt.score === 'number')
+      .forEach(attempt => {
+        const answers = new Map((attempt.answers || []).map(a => [a.questionId, a]));
+        (attempt.questions || []).forEach(question => {
+          const answer = answers.get(question.id);
+          if (!answer || typeof answer.score !== 'number') return;
+          const key = itemKey(question);
+          const item = items.get(key) || {
+            key,
+            question: question.question,
+            difficulty: question.difficulty,
+            type: question.type || 'text',
+            bankQuestionId: question.bankQuestionId || null,
+            scores: [],
+            totals: [],
+            timeouts: 0
+          };
+          item.scores.push(answer.score);
+          item.totals.push(attempt.score);
+          if (isTimedOut(question, answer)) item.timeouts += 1;
+          items.set(key, item);
+        });
+      });
+  });
+
+  return Array.from(items.values()).map(({ scores, totals, timeouts, ...item }) => {
+    const stats = {
+      ...item,
+      responses: scores.length,
+      mean: round(mean(scores), 1),
+      variance: round(variance(scores)),
+      timeoutRate: Math.round((timeouts / scores.length) * 100),
+      // How well the item separates strong candidates from weak ones
+      discrimination: round(correlation(scores, totals))
+    };
+    return { ...stats, flags: getItemFlags(stats) };
+  });
+};
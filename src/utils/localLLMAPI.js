@@ -0,0 +1,90 @@
+// Self-hosted model behind an OpenAI-compatible chat-completions endpoint
+// (Ollama, llama.cpp server, LM Studio, vLLM, ...). Prompts are shared with
+// OpenAIAPI; only the transport differs, so candidate data stays on the box.
+
+import OpenAIAPI from './openaiAPI';
+
+const env = import.meta.env || {};
+
+export const DEFAULT_LOCAL_LLM_CONFIG = {
+  baseUrl: env.VITE_LOCAL_LLM_BASE_URL || '',
+  model: env.VITE_LOCAL_LLM_MODEL || '',
+  apiKey: env.VITE_LOCAL_LLM_API_KEY || '',
+};
+
+class LocalLLMAPI extends OpenAIAPI {
+  static config = { ...DEFAULT_LOCAL_LLM_CONFIG };
+
+  static configure(config = {}) {
+    this.config = { ...DEFAULT_LOCAL_LLM_CONFIG, ...config };
+  }
+
+  // Accepts "http://host:11434" or "http://host:11434/v1"
+  static normalizeBaseUrl(baseUrl) {
+    const trimmed = String(baseUrl || '').trim().replace(/\/+$/, '');
+    if (!trimmed) return '';
+    return /\/v\d+$/.test(trimmed) ? trimmed : `${trimmed}/v1`;
+  }
+
+  static get BASE_URL() {
+    return this.normalizeBaseUrl(this.config.baseUrl);
+  }
+
+  static get MODEL() {
+    return this.config.model;
+  }
+
+  static headers() {
+    const headers = { 'Content-Type': 'application/json' };
+    // Most local servers ignore auth; LM Studio and proxies may require a token
+    if (this.config.apiKey) headers.Authorization = `Bearer ${this.config.apiKey}`;
+    return headers;
+  }
+
+  static isApiKeyAvailable() {
+    return !!this.BASE_URL && !!this.MODEL;
+  }
+
+  static async listModels(config = this.config) {
+    const baseUrl = this.normalizeBaseUrl(config.baseUrl);
+    if (!baseUrl) throw new Error('Local LLM base URL is not set.');
+    const headers = {};
+    if (config.apiKey) headers.Authorization = `Bearer ${config.apiKey}`;
+    const resp = await fetch(`${baseUrl}/models`, { headers });
+    if (!resp.ok) {
+      const text = await resp.text();
+      throw new Error(`Model discovery failed with status ${resp.status}: ${text}`);
+    }
+    const data = await resp.json();
+    const models = Array.isArray(data?.data) ? data.data : [];
+    return models.map(m => m.id).filter(Boolean);
+  }
+
+  // response_format is not sent: JSON mode support differs between local servers
+  static async chat(messages, options = {}) {
+    if (!this.isApiKeyAvailable()) {
+      throw new Error('Local LLM base URL or model is not configured.');
+    }
+    const resp = await fetch(`${this.BASE_URL}/chat/completions`, {
+      method: 'POST',
+      headers: this.headers(),
+      body: JSON.stringify({
+        model: this.MODEL,
+        messages,
+        temperature: options.temperature ?? 0.7,
+        max_tokens: options.max_tokens ?? 300,
+        stream: false,
+      })
+    });
+    if (!resp.ok) {
+      const text = await resp.text();
+      throw new Error(`Local LLM request failed with status ${resp.status}: ${text}`);
+    }
+    const data = await resp.json();
+    const content = data?.choices?.[0]?.message?.content;
+    if (!content) throw new Error('Unexpected local LLM response shape');
+    return content.trim();
+  }
+}
+
+export default LocalLLMAPI;
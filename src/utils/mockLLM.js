@@ -0,0 +1,293 @@
+// Offline stand-in for an LLM. Everything is derived from the inputs through a
+// string hash, so the same candidate answers always produce the same questions,
+// scores and summaries. Used for demos, development and when no API key is set.
+
+import { computeRubricScore, getDefaultRubric } from './rubrics';
+import { aliasPattern } from './skillTaxonomy';
+
+const QUESTION_BANK = {
+  frontend: {
+    Easy: [
+      { text: 'What is the difference between state and props in React?', keywords: ['state', 'props', 'immutable', 'parent', 'component', 're-render'] },
+      { text: 'What is JSX and how is it turned into JavaScript?', keywords: ['jsx', 'babel', 'createelement', 'transpile', 'syntax'] },
+      { text: 'What is the difference between let, const, and var in JavaScript?', keywords: ['scope', 'block', 'hoisting', 'reassign', 'function'] },
+      { text: 'What does the key prop do when rendering lists in React?', keywords: ['key', 'reconciliation', 'unique', 'list', 'identity'] }
+    ],
+    Medium: [
+      { text: 'How does the useEffect dependency array control when an effect runs?', keywords: ['dependency', 'render', 'cleanup', 'mount', 'stale'] },
+      { text: 'How would you implement a debounce function in JavaScript?', keywords: ['settimeout', 'cleartimeout', 'closure', 'delay', 'timer'] },
+      { text: 'Explain controlled versus uncontrolled components in React.', keywords: ['controlled', 'uncontrolled', 'ref', 'value', 'onchange', 'state'] },
+      { text: 'How would you find and fix unnecessary re-renders in a React application?', keywords: ['memo', 'usememo', 'usecallback', 'profiler', 'props', 'reference'] }
+    ],
+    Hard: [
+      { text: 'Design a scalable state management solution for a complex React application.', keywords: ['redux', 'context', 'normalize', 'selector', 'server state', 'cache'] },
+      { text: 'Explain server-side rendering and hydration in React and their trade-offs.', keywords: ['ssr', 'hydration', 'seo', 'ttfb', 'streaming', 'mismatch'] },
+      { text: 'How would you architect a micro-frontend setup for several teams?', keywords: ['module federation', 'shared', 'deploy', 'isolation', 'routing', 'contract'] },
+      { text: 'How would you handle error boundaries and recovery in a large React application?', keywords: ['error boundary', 'fallback', 'logging', 'retry', 'componentdidcatch'] }
+    ]
+  },
+  backend: {
+    Easy: [
+      { text: 'What is middleware in Express.js?', keywords: ['request', 'response', 'next', 'pipeline', 'function'] },
+      { text: 'What is the difference between SQL and NoSQL databases?', keywords: ['schema', 'relational', 'document', 'join', 'scale'] },
+      { text: 'What does the Node.js event loop do?', keywords: ['event loop', 'non-blocking', 'callback', 'queue', 'single thread'] },
+      { text: 'What are HTTP status codes and name a few common ones?', keywords: ['200', '404', '500', '401', 'status'] }
+    ],
+    Medium: [
+      { text: 'How do you handle errors in async/await code in Node.js?', keywords: ['try', 'catch', 'promise', 'reject', 'unhandled'] },
+      { text: 'How would you design authentication for a REST API?', keywords: ['jwt', 'token', 'session', 'hash', 'refresh', 'https'] },
+      { text: 'How would you paginate a large result set from an API?', keywords: ['offset', 'cursor', 'limit', 'index', 'consistency'] },
+      { text: 'What is database indexing and when can it hurt performance?', keywords: ['index', 'b-tree', 'write', 'query', 'selectivity'] }
+    ],
+    Hard: [
+      { text: 'Design a rate limiter for a public API running on many servers.', keywords: ['token bucket', 'sliding window', 'redis', 'distributed', 'atomic'] },
+      { text: 'How would you design a system to handle millions of concurrent users?', keywords: ['load balancer', 'horizontal', 'cache', 'shard', 'queue', 'stateless'] },
+      { text: 'How would you guarantee exactly-once processing in a message queue consumer?', keywords: ['idempotent', 'deduplication', 'offset', 'transaction', 'retry'] },
+      { text: 'How would you migrate a monolith to microservices without downtime?', keywords: ['strangler', 'contract', 'data', 'incremental', 'feature flag'] }
+    ]
+  },
+  data: {
+    Easy: [
+      { text: 'What is the difference between a left join and an inner join?', keywords: ['left', 'inner', 'null', 'match', 'rows'] },
+      { text: 'What is the difference between mean and median, and when do you prefer each?', keywords: ['outlier', 'skew', 'average', 'middle', 'distribution'] },
+      { text: 'What is a primary key?', keywords: ['unique', 'identifier', 'null', 'row', 'constraint'] },
+      { text: 'What is overfitting?', keywords: ['training', 'generalize', 'validation', 'variance', 'noise'] }
+    ],
+    Medium: [
+      { text: 'How would you design an ETL pipeline for daily sales data?', keywords: ['extract', 'transform', 'load', 'schedule', 'incremental', 'validation'] },
+      { text: 'Explain window functions in SQL with an example.', keywords: ['over', 'partition', 'row_number', 'rank', 'running'] },
+      { text: 'How do you handle missing values in a dataset?', keywords: ['impute', 'drop', 'mean', 'indicator', 'bias'] },
+      { text: 'How would you evaluate a classification model?', keywords: ['precision', 'recall', 'f1', 'roc', 'confusion matrix'] }
+    ],
+    Hard: [
+      { text: 'Design a data warehouse schema for an e-commerce analytics team.', keywords: ['star schema', 'fact', 'dimension', 'partition', 'slowly changing'] },
+      { text: 'How would you build a streaming pipeline with late-arriving events?', keywords: ['watermark', 'window', 'kafka', 'event time', 'idempotent'] },
+      { text: 'How would you detect and handle data drift in production models?', keywords: ['distribution', 'monitor', 'retrain', 'threshold', 'alert'] },
+      { text: 'How would you design an A/B testing platform?', keywords: ['randomization', 'sample size', 'significance', 'metric', 'bucketing'] }
+    ]
+  }
+};
+
+const ROLE_KEYWORDS = {
+  data: ['data', 'sql', 'analytics', 'machine learning', 'ml', 'etl', 'python', 'pandas'],
+  backend: ['backend', 'back-end', 'node', 'express', 'api', 'java', 'go', 'database', 'server'],
+  frontend: ['frontend', 'front-end', 'react', 'vue', 'angular', 'css', 'ui']
+};
+
+// Whole words only, so "ml" does not match "HTML" nor "go" "Google"
+const ROLE_PATTERNS = Object.fromEntries(Object.entries(ROLE_KEYWORDS).map(([track, keywords]) => [
+  track,
+  keywords.map(keyword => aliasPattern(keyword, false))
+]));
+
+const STOP_WORDS = new Set([
+  'what', 'which', 'when', 'where', 'does', 'with', 'from', 'that', 'this', 'your', 'would', 'could',
+  'should', 'explain', 'describe', 'between', 'difference', 'how', 'the', 'and', 'for', 'you', 'are',
+  'its', 'into', 'their', 'them', 'have', 'about', 'many', 'several', 'some', 'example', 'name', 'few'
+]);
+
+const TIMEOUT_ANSWER = 'no answer provided';
+
+// FNV-1a string hash; stable across runs and browsers
+const hash = (input) => {
+  let h = 0x811c9dc5;
+  const str = String(input);
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+};
+
+class MockLLM {
+  // Tracks with the most keyword hits; full-stack roles usually tie frontend and backend
+  static detectTracks(role = '') {
+    const hits = Object.entries(ROLE_PATTERNS).map(([track, patterns]) => ({
+      track,
+      count: patterns.filter(p => p.test(role)).length
+    }));
+    const best = Math.max(...hits.map(h => h.count));
+    if (best === 0) return ['frontend', 'backend'];
+    return hits.filter(h => h.count === best).map(h => h.track);
+  }
+
+  // With a resume profile, every other question is about a technology the
+  // candidate listed, quoting the resume line that mentions it when there is one
+  static generateQuestions(role, difficulty, count = 1, profile = null) {
+    const pool = this.detectTracks(role).flatMap(track => QUESTION_BANK[track][difficulty] || QUESTION_BANK[track].Medium);
+    const start = hash(`${role}|${difficulty}`) % pool.length;
+    const skills = profile?.skills || [];
+    const skillStart = hash(`${skills.join(',')}|${difficulty}`);
+    const questions = [];
+    let fromBank = 0;
+    for (let i = 0; i < count; i++) {
+      if (skills.length > 0 && i % 2 === 0 && i / 2 < skills.length) {
+        questions.push(this.groundedQuestion(skills[(skillStart + i / 2) % skills.length], difficulty, profile.highlights || []));
+      } else if (fromBank < pool.length) {
+        questions.push(pool[(start + fromBank) % pool.length].text);
+        fromBank++;
+      }
+    }
+    return questions;
+  }
+
+  static groundedQuestion(skill, difficulty, highlights) {
+    const lowerSkill = skill.toLowerCase();
+    const highlight = highlights.find(h => h.toLowerCase().includes(lowerSkill));
+    const context = highlight ? `Your resume says: "${highlight}". ` : `Your resume lists ${skill}. `;
+    switch (difficulty) {
+      case 'Easy':
+        return `${context}What is ${skill} used for, and what did you use it for?`;
+      case 'Hard':
+        return `${context}Describe the hardest problem you hit with ${skill} in production. How did you diagnose it and what trade-offs did your fix involve?`;
+      default:
+        return `${context}What problem did ${skill} solve in that work, and what would you do differently next time?`;
+    }
+  }
+
+  static findKeywords(question) {
+    for (const track of Object.values(QUESTION_BANK)) {
+      for (const items of Object.values(track)) {
+        const match = items.find(item => item.text === question);
+        if (match) return match.keywords;
+      }
+    }
+    // Unknown question: use its own significant words as the expected concepts
+    return Array.from(new Set(
+      String(question || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9\s.-]/g, ' ')
+        .split(/\s+/)
+        .filter(w => w.length > 3 && !STOP_WORDS.has(w))
+    )).slice(0, 6);
+  }
+
+  // Heuristic criterion scores (0-10): concept coverage for correctness, length
+  // for depth, sentence structure for communication, and example markers.
+  // Criteria outside these four get the mean of the known ones.
+  static scoreCriteria(rubric, known) {
+    const ids = rubric.criteria.map(c => c.id);
+    const values = Object.values(known);
+    const mean = Math.round(values.reduce((s, n) => s + n, 0) / values.length);
+    return ids.map(id => ({ name: id, score: known[id] ?? mean }));
+  }
+
+  static evaluateAnswer(question, answer, rubric = getDefaultRubric()) {
+    const text = String(answer || '').trim();
+    const lower = text.toLowerCase();
+    const keywords = this.findKeywords(question);
+
+    if (!text || lower.startsWith(TIMEOUT_ANSWER)) {
+      return {
+        score: 0,
+        criteria: this.scoreCriteria(rubric, { correctness: 0, depth: 0, communication: 0, examples: 0 }),
+        feedback: 'No answer was given before the time ran out.',
+        strengths: [],
+        gaps: keywords.slice(0, 3),
+        confidence: 1
+      };
+    }
+
+    const matched = keywords.filter(k => lower.includes(k));
+    const missing = keywords.filter(k => !lower.includes(k));
+    const coverage = keywords.length ? matched.length / keywords.length : 0.5;
+
+    const words = text.split(/\s+/).length;
+    const depth = words >= 80 ? 10 : words >= 40 ? 7 : words >= 15 ? 4 : 1;
+
+    const sentences = text.split(/[.!?]+/).filter(s => s.trim().length > 0).length;
+    const communication = sentences >= 3 ? 9 : sentences >= 2 ? 6 : 3;
+
+    const hasExample = /for example|e\.g\.|such as|for instance|```|=>|function\s*\(/i.test(text);
+
+    const criteria = this.scoreCriteria(rubric, {
+      correctness: Math.round(coverage * 10),
+      depth,
+      communication,
+      examples: hasExample ? 8 : 0
+    });
+
+    const parts = [];
+    parts.push(matched.length
+      ? `Covered ${matched.slice(0, 3).join(', ')}.`
+      : 'Did not mention the key concepts for this question.');
+    if (missing.length) parts.push(`Could also discuss ${missing.slice(0, 3).join(', ')}.`);
+    if (depth < 7) parts.push('The answer would benefit from more detail.');
+    if (!hasExample) parts.push('A concrete example would strengthen it.');
+
+    return {
+      score: computeRubricScore(rubric, criteria),
+      criteria,
+      feedback: parts.join(' '),
+      strengths: matched.slice(0, 3),
+      gaps: missing.slice(0, 3),
+      // Keyword matching is a rough proxy for understanding
+      confidence: 0.5
+    };
+  }
+
+  // Probes the first missed concept of a middling answer. Strong answers and
+  // timeouts get no follow-up.
+  static generateFollowUp(question, answer, evaluation) {
+    const text = String(answer || '').trim();
+    const gaps = evaluation?.gaps || [];
+    if (!text || text.toLowerCase().startsWith(TIMEOUT_ANSWER) || gaps.length === 0 || evaluation.score >= 8) {
+      return { ask: false, question: '', reason: '' };
+    }
+    const templates = [
+      (gap) => `You did not mention ${gap}. How does it relate to your answer?`,
+      (gap) => `Can you explain where ${gap} fits in, with a concrete example?`,
+      (gap) => `How would ${gap} change the approach you described?`
+    ];
+    const gap = gaps[0];
+    return {
+      ask: true,
+      question: templates[hash(`${question}|${text}`) % templates.length](gap),
+      reason: `The answer did not cover ${gap}.`
+    };
+  }
+
+  static generateSummary(candidate = {}, role, finalScore) {
+    const questions = candidate.questions || [];
+    const answers = candidate.answers || [];
+    const scored = answers
+      .map(a => ({ ...a, question: questions.find(q => q.id === a.questionId) }))
+      .filter(a => a.question && typeof a.score === 'number');
+    const sorted = [...scored].sort((a, b) => b.score - a.score);
+    const strongest = sorted.slice(0, 2).filter(a => a.score >= 6);
+    const weakest = sorted.slice(-2).reverse().filter(a => a.score < 6);
+    const score = typeof finalScore === 'number' ? finalScore : 0;
+
+    const verdict = score >= 75
+      ? 'showed strong command of the material'
+      : score >= 50
+        ? 'showed a working understanding with some gaps'
+        : 'struggled with most of the material';
+    const recommendation = score >= 75
+      ? 'Recommend moving forward to the next round.'
+      : score >= 50
+        ? 'Consider a follow-up technical interview before deciding.'
+        : 'Not recommended for this role at this time.';
+
+    const lines = [
+      `${candidate.name || 'The candidate'} scored ${score}/100 for the ${role || 'role'} and ${verdict}.`,
+      '',
+      'Strengths:',
+      ...(strongest.length
+        ? strongest.map(a => `- ${a.question.question} (${a.score}/10)`)
+        : ['- No clear strengths in this interview']),
+      '',
+      'Areas for Improvement:',
+      ...(weakest.length
+        ? weakest.map(a => `- ${a.question.question} (${a.score}/10)`)
+        : ['- No major gaps identified']),
+      '',
+      `Recommendation: ${recommendation}`,
+      '',
+      'Note: generated by the offline mock provider.'
+    ];
+    return lines.join('\n');
+  }
+}
+
+export default MockLLM;
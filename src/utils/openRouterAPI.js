@@ -14,6 +14,34 @@ export class OpenRouterAPI {
     return true;
   }
 
+  // Raw chat completion; throws on failure instead of returning a default
+  static async chat(messages, options = {}) {
+    if (!await this.checkApiKey()) {
+      throw new Error('OpenRouter API key is missing or invalid.');
+    }
+    const response = await axios.post(
+      'https://openrouter.ai/api/v1/chat/completions',
+      {
+        model: options.model || "anthropic/claude-3-sonnet:beta",
+        messages,
+        temperature: options.temperature ?? 0.3,
+        max_tokens: options.max_tokens ?? 600,
+        ...(options.json ? { response_format: { type: "json_object" } } : {})
+      },
+      {
+        headers: {
+          'Authorization': `Bearer ${this.apiKey}`,
+          'Content-Type': 'application/json',
+          'HTTP-Referer': window.location.origin,
+          'X-Title': 'Interview Assistant'
+        }
+      }
+    );
+    const content = response.data?.choices?.[0]?.message?.content;
+    if (!content) throw new Error('Unexpected OpenRouter response shape');
+    return content.trim();
+  }
+
   static async generateQuestions(position, difficulty, count = 1) {
     if (!await this.checkApiKey()) return [];
     
@@ -31,6 +31,7 @@ class OpenAIAPI {
         messages,
         temperature: options.temperature ?? 0.7,
         max_tokens: options.max_tokens ?? 300,
+        ...(options.json ? { response_format: { type: 'json_object' } } : {}),
       })
     });
     if (!resp.ok) {
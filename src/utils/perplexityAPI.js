@@ -185,6 +185,49 @@ export class PerplexityAPI {
     return { success: false, error: 'All test models failed. Please check your API key and account status.' };
   }
 
+  // Raw chat completion across the model list; throws when every model fails
+  static async chat(messages, options = {}) {
+    if (!await this.checkApiKey()) {
+      throw new Error('Perplexity API key is missing or invalid.');
+    }
+    
+    const models = [
+      "llama-3.1-sonar-small-128k-online",
+      "llama-3.1-sonar-large-128k-online",
+      "sonar-small-online",
+      "sonar-medium-online",
+      "sonar"
+    ];
+    
+    let lastError;
+    for (const model of models) {
+      try {
+        const response = await perplexityAxios.post(
+          '/chat/completions',
+          {
+            model: model,
+            messages,
+            temperature: options.temperature ?? 0.3,
+            max_tokens: options.max_tokens ?? 600
+          },
+          {
+            headers: {
+              'Authorization': `Bearer ${this.apiKey}`,
+              'Content-Type': 'application/json'
+            }
+          }
+        );
+        const content = response.data?.choices?.[0]?.message?.content;
+        if (content) return content.trim();
+        lastError = new Error(`Empty response from ${model}`);
+      } catch (error) {
+        console.warn(`Failed to chat with model ${model}:`, error.message);
+        lastError = error;
+      }
+    }
+    throw new Error(`All Perplexity models failed: ${lastError?.message || 'unknown error'}`);
+  }
+
   static async generateQuestions(position, difficulty, count = 1) {
     if (!await this.checkApiKey()) {
       console.warn('Perplexity API key not available, returning default questions');
@@ -542,7 +585,7 @@ Provide a 2-3 paragraph summary covering their technical skills, strengths, area
     
     const defaultSummary = `Interview Summary for ${candidateData.name || 'Candidate'}
 
-Technical Skills Assessment: The candidate completed ${candidateData.answers.length} out of 6 interview questions with an average score of ${avgScore.toFixed(1)}/10.
+Technical Skills Assessment: The candidate completed ${candidateData.answers.length} out of ${candidateData.questions.length} interview questions with an average score of ${avgScore.toFixed(1)}/10.
 
 Performance Overview: ${avgScore >= 7 ? 'Strong performance with good technical understanding.' : avgScore >= 5 ? 'Moderate performance with room for improvement.' : 'Below average performance, significant gaps in technical knowledge.'}
 
@@ -0,0 +1,174 @@
+// Data protection helpers: the consent a candidate gives before anything about
+// them is stored, the retention policy applied on startup, anonymization and
+// the export of everything held about one person.
+
+import BlobStore from './blobStore';
+import { defaultQuestions } from './defaultQuestions';
+
+export const CONSENT_VERSION = 1;
+
+export const DEFAULT_PRIVACY_SETTINGS = {
+  retentionEnabled: false,
+  retentionDays: 180,
+  retentionAction: 'anonymize' // 'anonymize' keeps scores for statistics, 'delete' removes the candidate
+};
+
+// What the candidate is asked to agree to. `required` items must be accepted
+// to take the interview; the texts are stored with the record as shown.
+export const getConsentItems = ({ retentionEnabled, retentionDays } = DEFAULT_PRIVACY_SETTINGS) => [
+  {
+    id: 'processing',
+    required: true,
+    text: 'I agree that my resume, contact details and interview answers are stored and reviewed by the hiring team for this application.'
+  },
+  {
+    id: 'aiEvaluation',
+    required: true,
+    text: 'I agree that my answers are evaluated with the help of AI services.'
+  },
+  {
+    id: 'retention',
+    required: true,
+    text: retentionEnabled
+      ? `I understand my data is deleted or anonymized ${retentionDays} days after my last activity, and that I can ask for a copy or for erasure at any time.`
+      : 'I understand that I can ask for a copy of my data or for its erasure at any time.'
+  },
+  {
+    id: 'talentPool',
+    required: false,
+    text: 'You may contact me about other openings.'
+  }
+];
+
+export const buildConsentRecord = (accepted = {}, privacySettings = DEFAULT_PRIVACY_SETTINGS) => ({
+  version: CONSENT_VERSION,
+  givenAt: new Date().toISOString(),
+  retentionDays: privacySettings.retentionEnabled ? privacySettings.retentionDays : null,
+  items: getConsentItems(privacySettings).map(item => ({ ...item, accepted: !!accepted[item.id] }))
+});
+
+export const hasRequiredConsent = (consent) => (
+  !!consent && consent.items.every(item => !item.required || item.accepted)
+);
+
+// Latest moment anything happened for the candidate, in any attempt
+export const getLastActivity = (candidate) => {
+  const dates = [
+    candidate.createdAt,
+    candidate.startedAt,
+    candidate.completedAt,
+    ...(candidate.answers || []).map(a => a.timestamp),
+    ...(candidate.attempts || []).flatMap(a => [a.completedAt, a.archivedAt])
+  ].filter(Boolean).map(d => new Date(d).getTime()).filter(Number.isFinite);
+  return dates.length ? new Date(Math.max(...dates)) : null;
+};
+
+// Activity before this time (ms) is past the retention period; null when retention is off
+export const getRetentionCutoff = (privacySettings = DEFAULT_PRIVACY_SETTINGS, now = new Date()) => (
+  privacySettings.retentionEnabled ? now.getTime() - privacySettings.retentionDays * 24 * 60 * 60 * 1000 : null
+);
+
+// Candidates past the retention period. Interviews in progress and records
+// already anonymized are left alone.
+export const findExpiredCandidates = (candidates, privacySettings = DEFAULT_PRIVACY_SETTINGS, now = new Date()) => {
+  const cutoff = getRetentionCutoff(privacySettings, now);
+  if (cutoff === null) return [];
+  return candidates.filter(c => {
+    if (c.interviewStatus === 'in_progress' || c.anonymizedAt) return false;
+    const last = getLastActivity(c);
+    return !!last && last.getTime() < cutoff;
+  });
+};
+
+// Quarantined records (see migrations.js) failed validation, so they cannot be
+// anonymized reliably: past the retention period they are dropped, whatever
+// the retention action. Without a readable activity date the quarantine date counts.
+export const isQuarantineExpired = (entry, cutoff) => {
+  let last = null;
+  try {
+    last = getLastActivity(entry.record);
+  } catch {
+    // Malformed beyond reading; fall back to the quarantine date
+  }
+  const time = (last || new Date(entry.quarantinedAt)).getTime();
+  return cutoff !== null && Number.isFinite(time) && time < cutoff;
+};
+
+export const REMOVED_QUESTION_TEXT = 'Generated question (removed on anonymization)';
+
+const STANDARD_QUESTION_TEXTS = new Set(defaultQuestions.map(q => q.question));
+
+// Bank, template and built-in questions say nothing about the person. Generated
+// ones may quote the resume and follow-ups quote the answers, so their text goes.
+const anonymizeQuestion = (question, fixedTexts) => {
+  if (question.bankQuestionId || STANDARD_QUESTION_TEXTS.has(question.question) || fixedTexts.has(question.question)) {
+    return question;
+  }
+  const { reason: _reason, ...rest } = question;
+  return { ...rest, question: REMOVED_QUESTION_TEXT, removed: true };
+};
+
+// Strips everything that identifies the person: contact details, resume,
+// tags, answer texts, feedback and summaries (which quote them) and the text of
+// questions written for them. Scores and timestamps stay for hiring statistics.
+const anonymizeAttempt = (attempt, fixedTexts) => ({
+  ...attempt,
+  summary: '',
+  questions: (attempt.questions || []).map(q => anonymizeQuestion(q, fixedTexts)),
+  answers: (attempt.answers || []).map(a => ({
+    questionId: a.questionId,
+    score: a.score ?? null,
+    timestamp: a.timestamp || null,
+    timeUsed: a.timeUsed,
+    gradedLocally: a.gradedLocally,
+    text: '',
+    feedback: ''
+  }))
+});
+
+export const anonymizeCandidate = (candidate, anonymizedAt = new Date().toISOString()) => {
+  const fixedTexts = new Set((candidate.template?.fixedQuestions || []).map(q => q.question));
+  return {
+    ...anonymizeAttempt(candidate, fixedTexts),
+    name: 'Anonymized candidate',
+    email: '',
+    phone: '',
+    tags: [],
+    resumeFile: null,
+    resumeData: null,
+    attempts: (candidate.attempts || []).map(attempt => anonymizeAttempt(attempt, fixedTexts)),
+    anonymizedAt
+  };
+};
+
+// Removes the candidate's stored files; the record itself is removed by the caller.
+// Also used on quarantined records, which may be malformed.
+export const eraseCandidateFiles = async (candidate) => {
+  const blobId = candidate?.resumeFile?.blobId;
+  if (blobId) await BlobStore.remove(blobId);
+};
+
+// Everything held about one person, as a JSON document they can be given
+export const buildSubjectExport = async (candidate) => {
+  let resume = null;
+  if (candidate.resumeFile) {
+    try {
+      const blob = await BlobStore.getFile(candidate.resumeFile);
+      resume = {
+        name: candidate.resumeFile.name,
+        type: candidate.resumeFile.type || blob.type,
+        dataUrl: await BlobStore.readAsDataUrl(blob)
+      };
+    } catch (error) {
+      console.error(`Error reading resume for candidate ${candidate.id}:`, error);
+    }
+  }
+  const { resumeFile: _file, ...record } = candidate;
+  return JSON.stringify({
+    exportedAt: new Date().toISOString(),
+    subject: { name: candidate.name, email: candidate.email, phone: candidate.phone },
+    consent: candidate.consent || null,
+    resume,
+    record
+  }, null, 2);
+};
@@ -0,0 +1,250 @@
+// Question bank: curated questions with tags, a reference answer and a rubric.
+// Templates with bank tags draw their questions from here before asking the
+// AI providers, so interviewers control what gets asked.
+
+import { DIFFICULTIES, normalizeDifficulty } from './aiProviders';
+import { defaultQuestions } from './defaultQuestions';
+import { getRubricForQuestion } from './rubrics';
+import { getTemplateTimeLimit } from './interviewTemplates';
+import { parseJsonObject } from './evaluationSchema';
+import { toCsv, parseCsv } from './csv';
+import { getCodingFields } from './codeRunner';
+import { QUESTION_TYPES, getChoiceFields } from './choiceQuestions';
+
+export const BANK_EXPORT_VERSION = 1;
+
+const normalizeTags = (tags) => {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(/[;,|]/);
+  return Array.from(new Set(list.map(t => String(t).trim().toLowerCase()).filter(Boolean)));
+};
+
+// The question type's default rubric re-weighted; weights are keyed by criterion id
+export const rubricWithWeights = ({ type, difficulty }, weights = {}) => {
+  const base = getRubricForQuestion({ type, difficulty });
+  return {
+    criteria: base.criteria.map(c => {
+      const weight = Number(weights[c.id]);
+      return { ...c, weight: Number.isFinite(weight) && weight >= 0 ? weight : c.weight };
+    })
+  };
+};
+
+export const getRubricWeights = (rubric) => Object.fromEntries((rubric?.criteria || []).map(c => [c.id, c.weight]));
+
+export const createBankQuestionId = () => `bank-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Fills in anything an imported or hand-written question is missing
+export const normalizeBankQuestion = (input = {}) => {
+  const difficulty = normalizeDifficulty(input.difficulty);
+  const type = QUESTION_TYPES.some(t => t.value === input.type) ? input.type : 'text';
+  const timeLimit = Number(input.timeLimit);
+  const rubric = rubricWithWeights({ type, difficulty }, getRubricWeights(input.rubric));
+  return {
+    id: input.id || createBankQuestionId(),
+    question: String(input.question || '').trim(),
+    type,
+    ...getCodingFields({ ...input, type }),
+    ...getChoiceFields({ ...input, type }),
+    difficulty,
+    timeLimit: Number.isFinite(timeLimit) && timeLimit >= 5 ? timeLimit : getTemplateTimeLimit(null, difficulty),
+    tags: normalizeTags(input.tags),
+    referenceAnswer: String(input.referenceAnswer || '').trim(),
+    rubric,
+    retired: !!input.retired,
+    createdAt: input.createdAt || new Date().toISOString(),
+    updatedAt: input.updatedAt || input.createdAt || new Date().toISOString()
+  };
+};
+
+const SEED_TAGS = [
+  ['javascript', 'fundamentals'],
+  ['react', 'frontend'],
+  ['javascript', 'fundamentals'],
+  ['javascript', 'performance'],
+  ['react', 'frontend', 'ssr'],
+  ['react', 'frontend', 'architecture']
+];
+
+// Quick objective questions for screening rounds
+const SCREENING_SEED = [
+  {
+    type: 'single',
+    question: 'What does `typeof null` return in JavaScript?',
+    difficulty: 'Easy',
+    timeLimit: 20,
+    options: ['"null"', '"object"', '"undefined"', '"number"'],
+    correctOptions: [1],
+    tags: ['javascript', 'fundamentals']
+  },
+  {
+    type: 'multiple',
+    question: 'Which of these React hooks can cause a component to re-render?',
+    difficulty: 'Easy',
+    timeLimit: 30,
+    options: ['useState', 'useRef', 'useReducer', 'useContext'],
+    correctOptions: [0, 2, 3],
+    tags: ['react', 'frontend']
+  },
+  {
+    type: 'single',
+    question: 'Which HTTP status code means the client must authenticate to get the requested response?',
+    difficulty: 'Easy',
+    timeLimit: 20,
+    options: ['400', '401', '403', '404'],
+    correctOptions: [1],
+    tags: ['backend', 'http']
+  },
+  {
+    type: 'multiple',
+    question: 'Which of these run on the microtask queue in Node.js and browsers?',
+    difficulty: 'Medium',
+    timeLimit: 45,
+    options: ['Promise.then callbacks', 'setTimeout callbacks', 'queueMicrotask callbacks', 'setInterval callbacks'],
+    correctOptions: [0, 2],
+    tags: ['javascript', 'event-loop']
+  }
+];
+
+// The six built-in questions plus the screening set, so a fresh bank is never empty
+export const BANK_SEED = [
+  ...defaultQuestions.map((q, idx) => ({
+    ...q,
+    id: `bank-default-${idx + 1}`,
+    tags: ['fullstack', ...(SEED_TAGS[idx] || []), ...(q.type === 'coding' ? ['coding'] : [])]
+  })),
+  ...SCREENING_SEED.map((q, idx) => ({
+    ...q,
+    id: `bank-screening-${idx + 1}`,
+    tags: ['fullstack', 'screening', ...q.tags]
+  }))
+].map(q => normalizeBankQuestion({ ...q, createdAt: '2025-01-01T00:00:00.000Z' }));
+
+export const collectTags = (questions) => Array.from(new Set(questions.flatMap(q => q.tags))).sort();
+
+const hasAnyTag = (question, tags) => tags.length === 0 || tags.some(t => question.tags.includes(t));
+
+// Search by text (question, reference answer or tag), difficulty and tags
+export const filterBankQuestions = (questions, { search = '', difficulty, tags = [], includeRetired = false } = {}) => {
+  const needle = search.trim().toLowerCase();
+  const wanted = normalizeTags(tags);
+  return questions.filter(q => (
+    (includeRetired || !q.retired) &&
+    (!difficulty || q.difficulty === difficulty) &&
+    hasAnyTag(q, wanted) &&
+    (!needle ||
+      q.question.toLowerCase().includes(needle) ||
+      q.referenceAnswer.toLowerCase().includes(needle) ||
+      q.tags.some(t => t.includes(needle)))
+  ));
+};
+
+const shuffle = (items) => {
+  const copy = [...items];
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+};
+
+// Random active questions matching any of the tags, up to `count` at `difficulty`
+export const drawFromBank = (questions, { tags, difficulty, count, exclude = [] }) => {
+  const skip = new Set(exclude);
+  const pool = filterBankQuestions(questions, { tags, difficulty: normalizeDifficulty(difficulty) })
+    .filter(q => !skip.has(q.id) && !skip.has(q.question));
+  return shuffle(pool).slice(0, count);
+};
+
+// Interview question built from a bank entry; keeps the link for later analysis
+export const toInterviewQuestion = (bankQuestion, idx = 0) => ({
+  id: `bank-${Date.now()}-${idx}`,
+  bankQuestionId: bankQuestion.id,
+  question: bankQuestion.question,
+  difficulty: bankQuestion.difficulty,
+  timeLimit: bankQuestion.timeLimit,
+  rubric: bankQuestion.rubric,
+  referenceAnswer: bankQuestion.referenceAnswer,
+  ...getCodingFields(bankQuestion),
+  ...getChoiceFields(bankQuestion)
+});
+
+export const exportBankJson = (questions) => JSON.stringify({
+  version: BANK_EXPORT_VERSION,
+  exportedAt: new Date().toISOString(),
+  questions
+}, null, 2);
+
+const CSV_COLUMNS = [
+  { key: 'id' },
+  { key: 'question' },
+  { key: 'type' },
+  { key: 'difficulty' },
+  { key: 'timeLimit' },
+  { key: 'tags' },
+  { key: 'referenceAnswer' },
+  { key: 'rubricWeights' },
+  { key: 'retired' },
+  { key: 'options' },
+  { key: 'correctOptions' },
+  { key: 'coding' }
+];
+
+// Tags and rubric weights are flattened to "a;b" and "correctness:0.4;depth:0.3",
+// choice options and the correct ones (by text) to "A|B|C"; a coding question's
+// function name, starter code and tests go in one JSON column
+export const exportBankCsv = (questions) => toCsv(questions.map(q => ({
+  ...q,
+  options: (q.options || []).map(o => o.text).join('|'),
+  correctOptions: (q.options || []).filter(o => q.correctOptions.includes(o.id)).map(o => o.text).join('|'),
+  coding: q.type === 'coding'
+    ? JSON.stringify({ functionName: q.functionName, starterCode: q.starterCode, testCases: q.testCases })
+    : '',
+  tags: q.tags.join(';'),
+  rubricWeights: Object.entries(getRubricWeights(q.rubric)).map(([id, w]) => `${id}:${w}`).join(';'),
+  retired: q.retired ? 'true' : 'false'
+})), CSV_COLUMNS);
+
+const fromCsvRecord = (record) => {
+  const weights = Object.fromEntries(String(record.rubricWeights || '').split(';')
+    .map(pair => pair.split(':').map(s => s.trim()))
+    .filter(([id, w]) => id && w !== undefined));
+  const difficulty = normalizeDifficulty(record.difficulty);
+  const type = record.type || 'text';
+  const list = (value) => String(value || '').split('|').map(v => v.trim()).filter(Boolean);
+  return {
+    ...record,
+    ...(type === 'coding' ? parseJsonObject(record.coding) : {}),
+    options: list(record.options),
+    correctOptions: list(record.correctOptions),
+    type,
+    difficulty,
+    rubric: rubricWithWeights({ type, difficulty }, weights),
+    retired: /^(true|yes|1)$/i.test(String(record.retired || '').trim())
+  };
+};
+
+// Resolves to { questions, skipped }; throws when the file cannot be read at all.
+// JSON may be an export file or a plain array of questions.
+export const parseBankImport = (text, filename = '') => {
+  let records;
+  if (/\.csv$/i.test(filename) || !/^\s*[[{]/.test(text)) {
+    records = parseCsv(text).map(fromCsvRecord);
+  } else {
+    let parsed = null;
+    try {
+      parsed = JSON.parse(text);
+    } catch {
+      parsed = parseJsonObject(text);
+    }
+    records = Array.isArray(parsed) ? parsed : parsed?.questions;
+    if (!Array.isArray(records)) {
+      throw new Error('Expected a JSON array of questions or an export file with a "questions" array');
+    }
+  }
+  const questions = records.map(normalizeBankQuestion).filter(q => q.question);
+  return { questions, skipped: records.length - questions.length };
+};
+
+export const countByDifficulty = (questions) => Object.fromEntries(
+  DIFFICULTIES.map(d => [d, questions.filter(q => q.difficulty === d && !q.retired).length])
+);
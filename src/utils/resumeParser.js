@@ -4,8 +4,29 @@
 // Lightweight, browser-ready parsing using pdfjs-dist and mammoth browser build
 import { getDocument, GlobalWorkerOptions } from 'pdfjs-dist';
 import * as mammoth from 'mammoth/mammoth.browser';
+import { extractSkills } from './skillTaxonomy';
 GlobalWorkerOptions.workerSrc = 'https://unpkg.com/pdfjs-dist@5.4.149/build/pdf.worker.min.mjs';
 
+// Enough for a long resume while keeping persisted state small
+const MAX_TEXT_LENGTH = 20000;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH_PATTERN = '(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?';
+const DATE_PATTERN = `(?:${MONTH_PATTERN}\\s+\\d{4}|\\d{1,2}/\\d{4}|\\d{4})`;
+const DATE_RANGE = new RegExp(`(${DATE_PATTERN})\\s*(?:-|–|—|to)\\s*(${DATE_PATTERN}|present|current|now|today)`, 'i');
+const TITLE_WORDS = /\b(developer|engineer|architect|scientist|designer|manager|lead|analyst|consultant|programmer|intern|director|head|cto|founder)\b/i;
+// Spelled-out degrees match in any case; abbreviations only as written, so "be" or "ms" in prose do not count
+const DEGREE_WORDS = {
+  test: (line) => /\b(bachelor'?s?|master'?s?|mba|ph\.?\s?d|doctorate|associate'?s? degree|diploma)\b/i.test(line)
+    || /(^|[^A-Za-z])(B\.?\s?Sc?|M\.?\s?Sc?|B\.?\s?Tech|M\.?\s?Tech|B\.E\.|M\.E\.|B\.A\.|M\.A\.|PhD|BSc|MSc)\.?(?![A-Za-z])/.test(line)
+};
+const INSTITUTION_WORDS = /\b(university|college|institute|school|academy|polytechnic)\b/i;
+const SECTION_HEADINGS = {
+  experience: /^(work\s+|professional\s+)?(experience|employment(\s+history)?|work\s+history|career)\s*:?$/i,
+  education: /^(education|academic\s+background|qualifications)\s*:?$/i,
+  other: /^(skills|technical\s+skills|projects|certifications?|summary|profile|objective|awards|languages|interests|publications|references)\s*:?$/i
+};
+
 const isPDF = (file) => file.type === 'application/pdf' || file.name?.toLowerCase().endsWith('.pdf');
 const isDOCX = (file) => file.type === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' || file.name?.toLowerCase().endsWith('.docx');
 
@@ -53,7 +74,21 @@ class ResumeParser {
       }
     }
 
-    return { name: name || '', email: email || '', phone: phone || '' };
+    const sections = this.splitSections(text);
+    const workHistory = this.extractWorkHistory(sections.experience.length ? sections.experience : text.split('\n'));
+
+    // Full text is kept so question generation can reference the candidate's experience
+    return {
+      name: name || '',
+      email: email || '',
+      phone: phone || '',
+      text: text.trim().slice(0, MAX_TEXT_LENGTH),
+      skills: extractSkills(text),
+      workHistory,
+      yearsOfExperience: this.computeYearsOfExperience(workHistory, text),
+      education: this.extractEducation(sections.education.length ? sections.education : text.split('\n')),
+      links: this.extractLinks(text)
+    };
   }
   
   static extractName(text) {
@@ -111,6 +146,150 @@ class ResumeParser {
     return '';
   }
 
+  // Lines under the Experience and Education headings; everything else is ignored
+  static splitSections(text) {
+    const sections = { experience: [], education: [] };
+    let current = null;
+    for (const raw of text.split('\n')) {
+      const line = raw.trim();
+      if (!line) continue;
+      const heading = Object.keys(SECTION_HEADINGS).find(key => SECTION_HEADINGS[key].test(line));
+      if (heading) {
+        current = heading === 'other' ? null : heading;
+        continue;
+      }
+      if (current) sections[current].push(line);
+    }
+    return sections;
+  }
+
+  // "Mar 2019", "03/2019", "2019" or "Present" -> { year, month } (month 1-12)
+  static parseResumeDate(value) {
+    const text = String(value || '').trim().toLowerCase();
+    if (/^(present|current|now|today)$/.test(text)) {
+      const now = new Date();
+      return { year: now.getFullYear(), month: now.getMonth() + 1, current: true };
+    }
+    const numeric = text.match(/^(\d{1,2})\/(\d{4})$/);
+    if (numeric) return { year: parseInt(numeric[2], 10), month: parseInt(numeric[1], 10) };
+    const named = text.match(/^([a-z]+)\.?\s+(\d{4})$/);
+    if (named) return { year: parseInt(named[2], 10), month: MONTHS.indexOf(named[1].slice(0, 3)) + 1 || 1 };
+    const year = text.match(/^(\d{4})$/);
+    if (year) return { year: parseInt(year[1], 10), month: null };
+    return null;
+  }
+
+  // "Senior Engineer at Acme", "Acme — Senior Engineer", "Senior Engineer, Acme"
+  static splitTitleAndCompany(text) {
+    const cleaned = text.replace(/[()]/g, ' ').replace(/\s{2,}/g, ' ').replace(/^[\s|,–—-]+|[\s|,–—-]+$/g, '');
+    if (!cleaned) return { title: '', company: '' };
+    const at = cleaned.match(/^(.+?)\s+(?:at|@)\s+(.+)$/i);
+    if (at) return { title: at[1].trim(), company: at[2].trim() };
+    const parts = cleaned.split(/\s+[|–—-]\s+|,\s+/).map(p => p.trim()).filter(Boolean);
+    if (parts.length === 1) {
+      return TITLE_WORDS.test(parts[0]) ? { title: parts[0], company: '' } : { title: '', company: parts[0] };
+    }
+    const titleIndex = parts.findIndex(p => TITLE_WORDS.test(p));
+    if (titleIndex === -1) return { title: parts[1], company: parts[0] };
+    const title = parts[titleIndex];
+    const company = parts.find((p, i) => i !== titleIndex) || '';
+    return { title, company };
+  }
+
+  // One entry per date range; title and company come from the same line or the line above
+  static extractWorkHistory(lines) {
+    const history = [];
+    lines.forEach((raw, index) => {
+      const line = raw.trim();
+      const match = line.match(DATE_RANGE);
+      if (!match) return;
+      const start = this.parseResumeDate(match[1]);
+      const end = this.parseResumeDate(match[2]);
+      if (!start || !end) return;
+      let { title, company } = this.splitTitleAndCompany(line.replace(match[0], ' '));
+      const previous = (lines[index - 1] || '').trim();
+      if ((!title || !company) && previous && !DATE_RANGE.test(previous)) {
+        const above = this.splitTitleAndCompany(previous);
+        title = title || above.title;
+        company = company || above.company;
+      }
+      if (!title && !company) return;
+      // Education ranges ("B.Sc., 2012 - 2016") are not jobs
+      if (DEGREE_WORDS.test(line) || INSTITUTION_WORDS.test(company)) return;
+      history.push({
+        title,
+        company,
+        startDate: match[1],
+        endDate: match[2],
+        current: !!end.current,
+        start,
+        end
+      });
+    });
+    return history;
+  }
+
+  // Total months across jobs with overlaps merged, in years to one decimal.
+  // Falls back to an explicit "8 years of experience" statement.
+  static computeYearsOfExperience(workHistory, text = '') {
+    const ranges = workHistory
+      .map(job => [job.start.year * 12 + (job.start.month || 1) - 1, job.end.year * 12 + (job.end.month || 12)])
+      .filter(([start, end]) => end > start)
+      .sort((a, b) => a[0] - b[0]);
+    let months = 0;
+    let cursor = -Infinity;
+    for (const [start, end] of ranges) {
+      const from = Math.max(start, cursor);
+      if (end > from) months += end - from;
+      cursor = Math.max(cursor, end);
+    }
+    if (months > 0) return Math.round((months / 12) * 10) / 10;
+    const stated = text.match(/(\d{1,2})\+?\s*(?:years?|yrs)\s+(?:of\s+)?(?:professional\s+|industry\s+|work\s+)?experience/i);
+    return stated ? parseInt(stated[1], 10) : null;
+  }
+
+  // Degree and institution may share a line or sit on consecutive lines
+  static extractEducation(lines) {
+    const entries = [];
+    lines.forEach(raw => {
+      const line = raw.trim();
+      const hasDegree = DEGREE_WORDS.test(line);
+      const hasInstitution = INSTITUTION_WORDS.test(line);
+      if (!hasDegree && !hasInstitution) return;
+      const years = line.match(/\b(19|20)\d{2}\b/g);
+      const parts = line.replace(DATE_RANGE, ' ').split(/\s+[|–—-]\s+|,\s+/).map(p => p.trim()).filter(Boolean);
+      const degree = hasDegree ? parts.find(p => DEGREE_WORDS.test(p)) || '' : '';
+      const institution = hasInstitution ? parts.find(p => INSTITUTION_WORDS.test(p)) || '' : '';
+      const year = years ? years[years.length - 1] : '';
+      const last = entries[entries.length - 1];
+      if (last && ((!last.degree && degree && !institution) || (!last.institution && institution && !degree))) {
+        last.degree = last.degree || degree;
+        last.institution = last.institution || institution;
+        last.year = last.year || year;
+        return;
+      }
+      entries.push({ degree, institution, year });
+    });
+    return entries.slice(0, 5);
+  }
+
+  static extractLinks(text) {
+    const links = { linkedin: '', github: '', portfolio: '' };
+    const urls = text.match(/\b(?:https?:\/\/|www\.)[^\s,;)]+|\b(?:linkedin\.com|github\.com)\/[^\s,;)]+/gi) || [];
+    for (const raw of urls) {
+      const url = raw.replace(/[.]+$/, '');
+      const normalized = /^https?:\/\//i.test(url) ? url : `https://${url}`;
+      if (/linkedin\.com\//i.test(url)) {
+        links.linkedin = links.linkedin || normalized;
+      } else if (/github\.com\//i.test(url)) {
+        links.github = links.github || normalized;
+      } else if (!links.portfolio) {
+        links.portfolio = normalized;
+      }
+    }
+    return links;
+  }
+
   static toTitleCase(word) {
     if (!word) return word;
     return word.charAt(0).toUpperCase() + word.slice(1).toLowerCase();
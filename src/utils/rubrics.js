@@ -0,0 +1,124 @@
+// Grading rubrics. Each question carries a rubric: weighted criteria with level
+// descriptors. The evaluator scores every criterion 0-10 and the answer score is
+// the weighted average, so a 6 can always be traced back to its parts.
+
+const LEVELS = {
+  correctness: [
+    { min: 0, max: 2, description: 'Wrong or irrelevant' },
+    { min: 3, max: 5, description: 'Partly correct with significant errors' },
+    { min: 6, max: 8, description: 'Correct with minor inaccuracies' },
+    { min: 9, max: 10, description: 'Fully correct and precise' }
+  ],
+  depth: [
+    { min: 0, max: 2, description: 'Surface-level or missing' },
+    { min: 3, max: 5, description: 'Covers basics, misses important details' },
+    { min: 6, max: 8, description: 'Explains how and why, some trade-offs' },
+    { min: 9, max: 10, description: 'Thorough, covers edge cases and trade-offs' }
+  ],
+  communication: [
+    { min: 0, max: 2, description: 'Hard to follow' },
+    { min: 3, max: 5, description: 'Understandable but disorganised' },
+    { min: 6, max: 8, description: 'Clear and structured' },
+    { min: 9, max: 10, description: 'Concise, well structured and precise terminology' }
+  ],
+  examples: [
+    { min: 0, max: 2, description: 'No examples' },
+    { min: 3, max: 5, description: 'Generic or vague example' },
+    { min: 6, max: 8, description: 'Relevant example or code' },
+    { min: 9, max: 10, description: 'Concrete, well-chosen examples from real use' }
+  ],
+  readability: [
+    { min: 0, max: 2, description: 'Hard to read, unclear names' },
+    { min: 3, max: 5, description: 'Readable but messy or inconsistent' },
+    { min: 6, max: 8, description: 'Clear names and structure' },
+    { min: 9, max: 10, description: 'Idiomatic, well structured and easy to maintain' }
+  ],
+  efficiency: [
+    { min: 0, max: 2, description: 'Needlessly slow or wasteful' },
+    { min: 3, max: 5, description: 'Works but with avoidable overhead' },
+    { min: 6, max: 8, description: 'Reasonable complexity for the problem' },
+    { min: 9, max: 10, description: 'Optimal approach with justified trade-offs' }
+  ],
+  edgeCases: [
+    { min: 0, max: 2, description: 'Ignores edge cases' },
+    { min: 3, max: 5, description: 'Handles the obvious cases only' },
+    { min: 6, max: 8, description: 'Handles most edge cases' },
+    { min: 9, max: 10, description: 'Handles edge cases and invalid input deliberately' }
+  ]
+};
+
+const criterion = (id, label, weight) => ({ id, label, weight, levels: LEVELS[id] });
+
+// Harder questions put more weight on depth, easier ones on getting it right
+export const DEFAULT_RUBRICS = {
+  Easy: {
+    criteria: [
+      criterion('correctness', 'Correctness', 0.5),
+      criterion('depth', 'Depth', 0.15),
+      criterion('communication', 'Communication', 0.2),
+      criterion('examples', 'Examples', 0.15)
+    ]
+  },
+  Medium: {
+    criteria: [
+      criterion('correctness', 'Correctness', 0.4),
+      criterion('depth', 'Depth', 0.25),
+      criterion('communication', 'Communication', 0.15),
+      criterion('examples', 'Examples', 0.2)
+    ]
+  },
+  Hard: {
+    criteria: [
+      criterion('correctness', 'Correctness', 0.35),
+      criterion('depth', 'Depth', 0.35),
+      criterion('communication', 'Communication', 0.1),
+      criterion('examples', 'Examples', 0.2)
+    ]
+  }
+};
+
+// Code-quality review for coding questions; hidden tests cover whether it works
+export const CODE_REVIEW_RUBRIC = {
+  criteria: [
+    criterion('correctness', 'Correctness', 0.35),
+    criterion('readability', 'Readability', 0.25),
+    criterion('efficiency', 'Efficiency', 0.2),
+    criterion('edgeCases', 'Edge cases', 0.2)
+  ]
+};
+
+export const getDefaultRubric = (difficulty) => DEFAULT_RUBRICS[difficulty] || DEFAULT_RUBRICS.Medium;
+
+export const getRubricForQuestion = (question) => question?.rubric
+  || (question?.type === 'coding' ? CODE_REVIEW_RUBRIC : getDefaultRubric(question?.difficulty));
+
+export const getLevelDescription = (criterionDef, score) => {
+  const level = (criterionDef.levels || []).find(l => score >= l.min && score <= l.max + 0.99);
+  return level ? level.description : '';
+};
+
+// Weighted average of criterion scores on a 0-10 scale, one decimal.
+// Weights need not sum to 1; missing criteria make the score undefined.
+export const computeRubricScore = (rubric, criteriaScores) => {
+  const byId = new Map((criteriaScores || []).map(c => [c.name, c.score]));
+  let total = 0;
+  let weightSum = 0;
+  for (const c of rubric.criteria) {
+    const score = byId.get(c.id);
+    if (typeof score !== 'number') return null;
+    total += score * c.weight;
+    weightSum += c.weight;
+  }
+  if (weightSum <= 0) return null;
+  return Math.round((total / weightSum) * 10) / 10;
+};
+
+export const missingCriteria = (rubric, criteriaScores) => {
+  const names = new Set((criteriaScores || []).map(c => c.name));
+  return rubric.criteria.filter(c => !names.has(c.id)).map(c => c.id);
+};
+
+export const describeRubric = (rubric) => rubric.criteria.map(c => {
+  const levels = (c.levels || []).map(l => `    ${l.min}-${l.max}: ${l.description}`).join('\n');
+  return `- ${c.id} (weight ${c.weight})${c.description ? `: ${c.description}` : ''}${levels ? `\n${levels}` : ''}`;
+}).join('\n');
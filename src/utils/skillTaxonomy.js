@@ -0,0 +1,128 @@
+// Local skill taxonomy. Resume text is matched against each skill's aliases and
+// reported under one canonical name, so "ReactJS", "React.js" and "react" are
+// all React and filters can compare candidates reliably.
+
+export const SKILL_CATEGORIES = {
+  language: 'Languages',
+  frontend: 'Frontend',
+  backend: 'Backend',
+  data: 'Data & ML',
+  database: 'Databases',
+  cloud: 'Cloud & DevOps',
+  testing: 'Testing',
+  mobile: 'Mobile'
+};
+
+// `caseSensitive` is for names that are also ordinary words ("Go", "Spring")
+export const SKILL_TAXONOMY = [
+  { name: 'JavaScript', category: 'language', aliases: ['javascript', 'js', 'es6', 'ecmascript'] },
+  { name: 'TypeScript', category: 'language', aliases: ['typescript', 'ts'] },
+  { name: 'Python', category: 'language', aliases: ['python', 'python3'] },
+  { name: 'Java', category: 'language', aliases: ['java'] },
+  { name: 'Kotlin', category: 'language', aliases: ['kotlin'] },
+  { name: 'Go', category: 'language', aliases: ['Go', 'Golang', 'golang'], caseSensitive: true },
+  { name: 'Rust', category: 'language', aliases: ['Rust'], caseSensitive: true },
+  { name: 'C#', category: 'language', aliases: ['c#', 'csharp'] },
+  { name: 'C++', category: 'language', aliases: ['c++', 'cpp'] },
+  { name: 'Ruby', category: 'language', aliases: ['ruby'] },
+  { name: 'PHP', category: 'language', aliases: ['php'] },
+  { name: 'Swift', category: 'language', aliases: ['Swift'], caseSensitive: true },
+  { name: 'SQL', category: 'language', aliases: ['sql'] },
+  { name: 'HTML', category: 'frontend', aliases: ['html', 'html5'] },
+  { name: 'CSS', category: 'frontend', aliases: ['css', 'css3', 'scss', 'sass'] },
+  { name: 'React', category: 'frontend', aliases: ['react', 'reactjs', 'react.js'] },
+  { name: 'Redux', category: 'frontend', aliases: ['redux', 'redux toolkit', 'rtk'] },
+  { name: 'Next.js', category: 'frontend', aliases: ['next.js', 'nextjs'] },
+  { name: 'Vue', category: 'frontend', aliases: ['vue', 'vuejs', 'vue.js'] },
+  { name: 'Angular', category: 'frontend', aliases: ['angular', 'angularjs'] },
+  { name: 'Svelte', category: 'frontend', aliases: ['svelte', 'sveltekit'] },
+  { name: 'Tailwind CSS', category: 'frontend', aliases: ['tailwind', 'tailwindcss'] },
+  { name: 'Webpack', category: 'frontend', aliases: ['webpack'] },
+  { name: 'Vite', category: 'frontend', aliases: ['vite'] },
+  { name: 'Node.js', category: 'backend', aliases: ['node', 'nodejs', 'node.js'] },
+  { name: 'Express', category: 'backend', aliases: ['Express', 'Express.js', 'ExpressJS', 'express.js'], caseSensitive: true },
+  { name: 'NestJS', category: 'backend', aliases: ['nestjs', 'nest.js'] },
+  { name: 'GraphQL', category: 'backend', aliases: ['graphql'] },
+  { name: 'REST APIs', category: 'backend', aliases: ['REST', 'RESTful', 'REST API', 'REST APIs'], caseSensitive: true },
+  { name: 'Django', category: 'backend', aliases: ['django'] },
+  { name: 'Flask', category: 'backend', aliases: ['flask'] },
+  { name: 'FastAPI', category: 'backend', aliases: ['fastapi'] },
+  { name: 'Spring', category: 'backend', aliases: ['Spring', 'Spring Boot', 'SpringBoot'], caseSensitive: true },
+  { name: '.NET', category: 'backend', aliases: ['.net', 'dotnet', 'asp.net'] },
+  { name: 'Ruby on Rails', category: 'backend', aliases: ['Rails', 'Ruby on Rails', 'RoR'], caseSensitive: true },
+  { name: 'Laravel', category: 'backend', aliases: ['laravel'] },
+  { name: 'Kafka', category: 'backend', aliases: ['kafka', 'apache kafka'] },
+  { name: 'RabbitMQ', category: 'backend', aliases: ['rabbitmq'] },
+  { name: 'PostgreSQL', category: 'database', aliases: ['postgresql', 'postgres', 'psql'] },
+  { name: 'MySQL', category: 'database', aliases: ['mysql', 'mariadb'] },
+  { name: 'MongoDB', category: 'database', aliases: ['mongodb', 'mongo', 'mongoose'] },
+  { name: 'Redis', category: 'database', aliases: ['redis'] },
+  { name: 'Elasticsearch', category: 'database', aliases: ['elasticsearch', 'elastic search', 'opensearch'] },
+  { name: 'DynamoDB', category: 'database', aliases: ['dynamodb'] },
+  { name: 'Pandas', category: 'data', aliases: ['pandas'] },
+  { name: 'NumPy', category: 'data', aliases: ['numpy'] },
+  { name: 'Spark', category: 'data', aliases: ['Spark', 'PySpark', 'Apache Spark'], caseSensitive: true },
+  { name: 'Airflow', category: 'data', aliases: ['airflow', 'apache airflow'] },
+  { name: 'TensorFlow', category: 'data', aliases: ['tensorflow'] },
+  { name: 'PyTorch', category: 'data', aliases: ['pytorch'] },
+  { name: 'scikit-learn', category: 'data', aliases: ['scikit-learn', 'sklearn', 'scikit learn'] },
+  { name: 'Docker', category: 'cloud', aliases: ['docker', 'docker compose'] },
+  { name: 'Kubernetes', category: 'cloud', aliases: ['kubernetes', 'k8s'] },
+  { name: 'Terraform', category: 'cloud', aliases: ['terraform'] },
+  { name: 'AWS', category: 'cloud', aliases: ['aws', 'amazon web services', 'ec2', 'aws lambda'] },
+  { name: 'GCP', category: 'cloud', aliases: ['gcp', 'google cloud'] },
+  { name: 'Azure', category: 'cloud', aliases: ['azure'] },
+  { name: 'Linux', category: 'cloud', aliases: ['linux', 'unix'] },
+  { name: 'CI/CD', category: 'cloud', aliases: ['ci/cd', 'github actions', 'jenkins', 'gitlab ci', 'circleci'] },
+  { name: 'Git', category: 'cloud', aliases: ['Git', 'GitHub', 'GitLab'], caseSensitive: true },
+  { name: 'Jest', category: 'testing', aliases: ['jest'] },
+  { name: 'Cypress', category: 'testing', aliases: ['cypress'] },
+  { name: 'Playwright', category: 'testing', aliases: ['playwright'] },
+  { name: 'React Testing Library', category: 'testing', aliases: ['react testing library', 'testing library'] },
+  { name: 'React Native', category: 'mobile', aliases: ['react native', 'react-native'] },
+  { name: 'Flutter', category: 'mobile', aliases: ['flutter', 'dart'] }
+];
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Word-ish boundaries that still work for names like "C#", ".NET" and "CI/CD"
+export const aliasPattern = (alias, caseSensitive) => new RegExp(
+  `(^|[^A-Za-z0-9#+.])${escapeRegExp(alias)}(?![A-Za-z0-9#+])`,
+  caseSensitive ? '' : 'i'
+);
+
+const MATCHERS = SKILL_TAXONOMY.map(skill => ({
+  skill,
+  patterns: skill.aliases.map(alias => aliasPattern(alias, skill.caseSensitive))
+}));
+
+export const findSkill = (name) => {
+  const lower = String(name || '').trim().toLowerCase();
+  return SKILL_TAXONOMY.find(s => s.name.toLowerCase() === lower || s.aliases.some(a => a.toLowerCase() === lower));
+};
+
+// Canonical skill names mentioned anywhere in the text, in taxonomy order
+export const extractSkills = (text) => {
+  const source = String(text || '');
+  return MATCHERS.filter(m => m.patterns.some(p => p.test(source))).map(m => m.skill.name);
+};
+
+// Maps free-form skill names onto the taxonomy; unknown names are kept as typed
+export const normalizeSkills = (names = []) => Array.from(new Set(
+  names.map(name => findSkill(name)?.name || String(name).trim()).filter(Boolean)
+));
+
+export const skillPattern = (name) => {
+  const skill = findSkill(name);
+  if (!skill) return aliasPattern(name, false);
+  return new RegExp(skill.aliases.map(alias => aliasPattern(alias, skill.caseSensitive).source).join('|'), skill.caseSensitive ? '' : 'i');
+};
+
+export const groupSkillsByCategory = (names = []) => {
+  const groups = {};
+  names.forEach(name => {
+    const category = findSkill(name)?.category || 'other';
+    (groups[category] = groups[category] || []).push(name);
+  });
+  return groups;
+};